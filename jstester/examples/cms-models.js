@@ -0,0 +1,110 @@
+// Language CMS models
+// One Model per type in cms-schema.js (see lib/model.js). LanguageCMS binds
+// them to its client with bindModels(db).
+
+import { Model, validators } from '../lib/index.js';
+
+const { required, length, range, oneOf } = validators;
+
+const LANG = length({ min: 2, max: 5 }); // es, pt-BR
+
+// ============================================================================
+// Base Models
+// ============================================================================
+
+class BaseCourse extends Model {
+  static validations = {
+    name: required(),
+    lang: [required(), LANG],
+    version: range({ min: 1 })
+  };
+}
+
+class BaseTrack extends Model {
+  static validations = {
+    name: required(),
+    course: required(),
+    order: range({ min: 0 })
+  };
+}
+
+class BaseDeck extends Model {
+  static validations = {
+    name: required(),
+    track: required(),
+    order: range({ min: 0 })
+  };
+}
+
+class BaseCard extends Model {
+  static validations = {
+    text: required(),
+    deck: required(),
+    order: range({ min: 0 })
+  };
+
+  beforeSave() {
+    if (typeof this.text === 'string') this.text = this.text.trim();
+  }
+}
+
+// ============================================================================
+// Host Models
+// ============================================================================
+
+const HOST = {
+  hostCountry: [required(), length({ min: 2, max: 2 })],
+  hostLang: [required(), LANG]
+};
+
+class HostCourse extends Model {
+  static validations = { ...HOST, baseCourse: required() };
+}
+
+class HostTrack extends Model {
+  static validations = { ...HOST, baseTrack: required(), hostCourse: required() };
+}
+
+class HostDeck extends Model {
+  static validations = { ...HOST, baseDeck: required(), hostTrack: required() };
+}
+
+class HostCard extends Model {
+  static validations = { ...HOST, baseCard: required(), hostDeck: required() };
+}
+
+// ============================================================================
+// TTS Models
+// ============================================================================
+
+class TTSSettings extends Model {
+  static timestamps = { created: 'createdAt', updated: null };
+  static validations = {
+    name: required(),
+    provider: [required(), oneOf(['google', 'aws', 'azure', 'elevenlabs'])],
+    voice: required()
+  };
+}
+
+class TTSAudio extends Model {
+  static timestamps = { created: 'createdAt', updated: null };
+  static validations = {
+    baseCard: required(),
+    settings: required(),
+    fileUrl: required(),
+    duration: range({ min: 0 })
+  };
+}
+
+const CMS_MODELS = {
+  BaseCourse, BaseTrack, BaseDeck, BaseCard,
+  HostCourse, HostTrack, HostDeck, HostCard,
+  TTSSettings, TTSAudio
+};
+
+// { BaseCourse, ... } bound to db (Model.with)
+function bindModels(db) {
+  return Object.fromEntries(Object.entries(CMS_MODELS).map(([name, model]) => [name, model.with(db)]));
+}
+
+export { CMS_MODELS, bindModels };
@@ -0,0 +1,155 @@
+// Language CMS schema
+// Applied by createSchema() (see lib/define-type.js). The migrations keep their
+// own DDL and must build the same schema (tests/32-schema-diff.test.js).
+
+import { defineType, string, integer, float, datetime, link, list, map } from '../lib/index.js';
+
+function timestamps() {
+  return { createdAt: datetime(), updatedAt: datetime() };
+}
+
+// ============================================================================
+// Base Types
+// ============================================================================
+
+const BaseCourse = defineType('BaseCourse', {
+  properties: {
+    uid: string().unique(), // external ID
+    name: string(),
+    summary: string(),
+    lang: string(),
+    version: integer(),
+    ...timestamps()
+  },
+  indexes: [{ fields: ['name', 'lang', 'version'], unique: true }]
+});
+
+const BaseTrack = defineType('BaseTrack', {
+  properties: {
+    uid: string().unique(),
+    name: string(),
+    lang: string(),
+    course: link('BaseCourse').indexed(),
+    order: integer(),
+    ...timestamps()
+  }
+});
+
+const BaseDeck = defineType('BaseDeck', {
+  properties: {
+    uid: string().unique(),
+    name: string(),
+    lang: string(),
+    track: link('BaseTrack').indexed(),
+    order: integer(),
+    ...timestamps()
+  }
+});
+
+const BaseCard = defineType('BaseCard', {
+  properties: {
+    uid: string().unique(),
+    text: string(),
+    countryAffinity: string(), // null = all countries
+    deck: link('BaseDeck').indexed(),
+    order: integer(),
+    // Agent-added fields
+    pronunciation: string(),
+    words: list(string()),
+    wordTypes: list(string()), // type of each word
+    cloze_text: string(),
+    ...timestamps()
+  }
+});
+
+// ============================================================================
+// Host Types
+// ============================================================================
+
+const HostCourse = defineType('HostCourse', {
+  properties: {
+    uid: string().unique(),
+    baseCourse: link('BaseCourse'),
+    hostCountry: string(),
+    hostLang: string(),
+    name: string(), // translated
+    summary: string(), // translated
+    ...timestamps()
+  },
+  indexes: [{ fields: ['baseCourse', 'hostCountry', 'hostLang'] }]
+});
+
+const HostTrack = defineType('HostTrack', {
+  properties: {
+    uid: string().unique(),
+    baseTrack: link('BaseTrack'),
+    hostCourse: link('HostCourse').indexed(), // parent host course
+    hostCountry: string(),
+    hostLang: string(),
+    name: string(), // translated
+    ...timestamps()
+  }
+});
+
+const HostDeck = defineType('HostDeck', {
+  properties: {
+    uid: string().unique(),
+    baseDeck: link('BaseDeck'),
+    hostTrack: link('HostTrack').indexed(), // parent host track
+    hostCountry: string(),
+    hostLang: string(),
+    name: string(), // translated
+    ...timestamps()
+  }
+});
+
+const HostCard = defineType('HostCard', {
+  properties: {
+    uid: string().unique(),
+    baseCard: link('BaseCard'),
+    hostDeck: link('HostDeck').indexed(), // parent host deck
+    hostCountry: string(),
+    hostLang: string(),
+    // Agent-added fields
+    translation: string(),
+    explanation1: string(), // level 1
+    explanation2: string(), // level 2
+    explanation3: string(), // level 3
+    ...timestamps()
+  },
+  indexes: [{ fields: ['baseCard', 'hostCountry', 'hostLang'] }]
+});
+
+// ============================================================================
+// TTS Types
+// ============================================================================
+
+// Reusable voice configurations
+const TTSSettings = defineType('TTSSettings', {
+  properties: {
+    name: string().unique(), // friendly name
+    provider: string(), // google, aws, azure, elevenlabs
+    engine: string(), // standard, neural, wavenet
+    voice: string(), // provider-specific voice ID
+    options: map(), // provider-specific options
+    createdAt: datetime()
+  }
+});
+
+// Audio file of a BaseCard spoken with one TTSSettings
+const TTSAudio = defineType('TTSAudio', {
+  properties: {
+    baseCard: link('BaseCard').indexed(),
+    settings: link('TTSSettings').indexed(),
+    fileUrl: string(),
+    duration: float(), // in seconds
+    createdAt: datetime()
+  }
+});
+
+const BASE_TYPES = [BaseCourse, BaseTrack, BaseDeck, BaseCard];
+const HOST_TYPES = [HostCourse, HostTrack, HostDeck, HostCard];
+const TTS_TYPES = [TTSSettings, TTSAudio];
+const CMS_TYPES = [...BASE_TYPES, ...HOST_TYPES, ...TTS_TYPES];
+
+export { BASE_TYPES, HOST_TYPES, TTS_TYPES, CMS_TYPES };
@@ -2,34 +2,25 @@
 // Imports JSONL files into ArcadeDB
 
 import { readFileSync } from 'fs';
-import {
-  LanguageCMS,
-  createSchema,
-  createDatabase,
-  dropDatabase,
-  databaseExists,
-  command,
-  query
-} from './language-cms.js';
-
-const BASE_URL = 'http://localhost:2480';
-const AUTH = 'Basic ' + btoa('root:playwithdata');
+import { ArcadexClient, Rid, parseProfileFlag, select } from '../lib/index.js';
+import { LanguageCMS, createSchema } from './language-cms.js';
 
 // ============================================================================
 // Importer Class
 // ============================================================================
 
 class CourseImporter {
-  constructor(database) {
-    this.db = database;
-    this.cms = new LanguageCMS(database);
+  // db: ArcadexClient bound to the import database
+  constructor(db) {
+    this.db = db;
+    this.cms = new LanguageCMS(db);
 
     // ID to RID mappings
-    this.courseMap = new Map();   // course id -> @rid
-    this.trackMap = new Map();    // track id -> @rid
-    this.deckMap = new Map();     // deck id -> @rid
-    this.cardMap = new Map();     // card id -> @rid (base cards by base_card id)
-    this.hostCardMap = new Map(); // card id -> @rid (host cards by their id)
+    this.courseMap = new Map();   // course id -> Rid
+    this.trackMap = new Map();    // track id -> Rid
+    this.deckMap = new Map();     // deck id -> Rid
+    this.cardMap = new Map();     // card id -> Rid (base cards by base_card id)
+    this.hostCardMap = new Map(); // card id -> Rid (host cards by their id)
 
     // Stats
     this.stats = {
@@ -57,8 +48,9 @@ class CourseImporter {
         const record = JSON.parse(line);
         await this.processRecord(record, i + 1);
       } catch (e) {
-        this.stats.errors.push(`Line ${i + 1}: ${e.message}`);
-        console.error(`Error on line ${i + 1}:`, e.message);
+        // ArcadeError subclasses name the failure (DuplicatedKeyError, ParseError, ...)
+        this.stats.errors.push(`Line ${i + 1}: ${e.name}: ${e.message}`);
+        console.error(`Error on line ${i + 1}:`, e.name, e.message);
       }
 
       // Progress indicator
@@ -101,7 +93,7 @@ class CourseImporter {
     const [baseLang, hostCountry, hostLang] = payload.lang_combo.split('.');
 
     // Create base course with uid
-    const baseCourse = await command(this.db, `
+    const baseCourse = await this.db.command(`
       INSERT INTO BaseCourse SET
         uid = :uid,
         name = :name,
@@ -119,14 +111,14 @@ class CourseImporter {
     });
 
     this.courseMap.set(payload.id, {
-      baseRid: baseCourse.result[0]['@rid'],
+      baseRid: Rid.parse(baseCourse[0]['@rid']),
       baseLang,
       hostCountry: hostCountry.toUpperCase(),
       hostLang
     });
 
     // Create host course with uid
-    const hostCourse = await command(this.db, `
+    const hostCourse = await this.db.command(`
       INSERT INTO HostCourse SET
         uid = :uid,
         baseCourse = :baseCourseRid,
@@ -138,14 +130,14 @@ class CourseImporter {
         updatedAt = sysdate()
     `, {
       uid: payload.id, // same as base for now
-      baseCourseRid: baseCourse.result[0]['@rid'],
+      baseCourseRid: this.courseMap.get(payload.id).baseRid,
       hostCountry: hostCountry.toUpperCase(),
       hostLang,
       name: payload.name,
       summary: `Imported from ${payload.base_folder}`
     });
 
-    this.courseMap.get(payload.id).hostRid = hostCourse.result[0]['@rid'];
+    this.courseMap.get(payload.id).hostRid = Rid.parse(hostCourse[0]['@rid']);
 
     this.stats.courses++;
     console.log(`  Course: ${payload.name} (${payload.id})`);
@@ -158,13 +150,12 @@ class CourseImporter {
     }
 
     // Create base track with uid
-    // Note: LINK fields need RID directly in SQL, not via parameters
-    const baseTrack = await command(this.db, `
+    const baseTrack = await this.db.command(`
       INSERT INTO BaseTrack SET
         uid = :uid,
         name = :name,
         lang = :lang,
-        course = ${courseData.baseRid},
+        course = :courseRid,
         \`order\` = :order,
         createdAt = sysdate(),
         updatedAt = sysdate()
@@ -172,19 +163,20 @@ class CourseImporter {
       uid: payload.id,
       name: payload.name,
       lang: courseData.baseLang.replace('_', '-'),
+      courseRid: courseData.baseRid,
       order: payload.position || 0
     });
 
     this.trackMap.set(payload.id, {
-      baseRid: baseTrack.result[0]['@rid']
+      baseRid: Rid.parse(baseTrack[0]['@rid'])
     });
 
     // Create host track with uid
-    const hostTrack = await command(this.db, `
+    const hostTrack = await this.db.command(`
       INSERT INTO HostTrack SET
         uid = :uid,
-        baseTrack = ${baseTrack.result[0]['@rid']},
-        hostCourse = ${courseData.hostRid},
+        baseTrack = :baseTrackRid,
+        hostCourse = :hostCourseRid,
         hostCountry = :hostCountry,
         hostLang = :hostLang,
         name = :name,
@@ -192,12 +184,14 @@ class CourseImporter {
         updatedAt = sysdate()
     `, {
       uid: payload.id,
+      baseTrackRid: this.trackMap.get(payload.id).baseRid,
+      hostCourseRid: courseData.hostRid,
       hostCountry: courseData.hostCountry,
       hostLang: courseData.hostLang,
       name: payload.name
     });
 
-    this.trackMap.get(payload.id).hostRid = hostTrack.result[0]['@rid'];
+    this.trackMap.get(payload.id).hostRid = Rid.parse(hostTrack[0]['@rid']);
 
     this.stats.tracks++;
   }
@@ -216,12 +210,12 @@ class CourseImporter {
       this.courseMap.values().next().value;
 
     // Create base deck with uid
-    const baseDeck = await command(this.db, `
+    const baseDeck = await this.db.command(`
       INSERT INTO BaseDeck SET
         uid = :uid,
         name = :name,
         lang = :lang,
-        track = ${trackData.baseRid},
+        track = :trackRid,
         \`order\` = :order,
         createdAt = sysdate(),
         updatedAt = sysdate()
@@ -229,20 +223,21 @@ class CourseImporter {
       uid: payload.id,
       name: payload.name,
       lang: courseData.baseLang.replace('_', '-'),
+      trackRid: trackData.baseRid,
       order: payload.position || 0
     });
 
     this.deckMap.set(payload.id, {
-      baseRid: baseDeck.result[0]['@rid'],
+      baseRid: Rid.parse(baseDeck[0]['@rid']),
       courseData
     });
 
     // Create host deck with uid
-    const hostDeck = await command(this.db, `
+    const hostDeck = await this.db.command(`
       INSERT INTO HostDeck SET
         uid = :uid,
-        baseDeck = ${baseDeck.result[0]['@rid']},
-        hostTrack = ${trackData.hostRid},
+        baseDeck = :baseDeckRid,
+        hostTrack = :hostTrackRid,
         hostCountry = :hostCountry,
         hostLang = :hostLang,
         name = :name,
@@ -250,12 +245,14 @@ class CourseImporter {
         updatedAt = sysdate()
     `, {
       uid: payload.id,
+      baseDeckRid: this.deckMap.get(payload.id).baseRid,
+      hostTrackRid: trackData.hostRid,
       hostCountry: courseData.hostCountry,
       hostLang: courseData.hostLang,
       name: payload.name
     });
 
-    this.deckMap.get(payload.id).hostRid = hostDeck.result[0]['@rid'];
+    this.deckMap.get(payload.id).hostRid = Rid.parse(hostDeck[0]['@rid']);
 
     this.stats.decks++;
   }
@@ -271,12 +268,11 @@ class CourseImporter {
 
     if (!baseCardRid) {
       // Create new base card with uid
-      // Note: LINK fields need RID directly in SQL, not via parameters
-      const baseCard = await command(this.db, `
+      const baseCard = await this.db.command(`
         INSERT INTO BaseCard SET
           uid = :uid,
           text = :text,
-          deck = ${deckData.baseRid},
+          deck = :deckRid,
           countryAffinity = :countryAffinity,
           \`order\` = :order,
           cloze_text = :clozeText,
@@ -285,21 +281,21 @@ class CourseImporter {
       `, {
         uid: payload.base_card,
         text: payload.text,
+        deckRid: deckData.baseRid,
         countryAffinity: null,
         order: payload.position || 0,
         clozeText: payload.cloze_text || null
       });
-      baseCardRid = baseCard.result[0]['@rid'];
+      baseCardRid = Rid.parse(baseCard[0]['@rid']);
       this.cardMap.set(payload.base_card, baseCardRid);
     }
 
     // Create host card with uid
-    // Note: LINK fields (baseCard, hostDeck) need RID directly in SQL
-    const result = await command(this.db, `
+    const result = await this.db.command(`
       INSERT INTO HostCard SET
         uid = :uid,
-        baseCard = ${baseCardRid},
-        hostDeck = ${deckData.hostRid},
+        baseCard = :baseCardRid,
+        hostDeck = :hostDeckRid,
         hostCountry = :hostCountry,
         hostLang = :hostLang,
         translation = :translation,
@@ -310,6 +306,8 @@ class CourseImporter {
         updatedAt = sysdate()
     `, {
       uid: payload.id,
+      baseCardRid,
+      hostDeckRid: deckData.hostRid,
       hostCountry: deckData.courseData.hostCountry,
       hostLang: deckData.courseData.hostLang,
       translation: payload.translation || null,
@@ -319,7 +317,7 @@ class CourseImporter {
       explanation3: payload.explain_long || null    // lv3 - long
     });
 
-    this.hostCardMap.set(payload.id, result.result[0]['@rid']);
+    this.hostCardMap.set(payload.id, Rid.parse(result[0]['@rid']));
 
     this.stats.cards++;
   }
@@ -330,35 +328,44 @@ class CourseImporter {
 // ============================================================================
 
 async function main() {
-  const args = process.argv.slice(2);
+  const { profile, args } = parseProfileFlag(process.argv.slice(2));
+
+  // --no-backup skips the backup of the database about to be dropped
+  const skipBackup = args.includes('--no-backup');
+  if (skipBackup) args.splice(args.indexOf('--no-backup'), 1);
 
   if (args.length === 0) {
-    console.log('Usage: bun run import-course.js <jsonl-file> [database-name]');
+    console.log('Usage: bun run import-course.js [--profile <name>] [--no-backup] <jsonl-file> [database-name]');
     console.log('Example: bun run import-course.js ./kids-en_us-si-sl-final.jsonl language_cms_import');
     process.exit(1);
   }
 
+  const client = ArcadexClient.fromConfig({ profile });
   const filePath = args[0];
-  const dbName = args[1] || 'language_cms_import';
+  const dbName = args[1] || client.database || 'language_cms_import';
 
   console.log('='.repeat(60));
   console.log('Language CMS Course Importer');
   console.log('='.repeat(60));
 
+  const db = client.withDatabase(dbName);
+
   // Setup database
   console.log(`\nSetting up database: ${dbName}`);
-  if (await databaseExists(dbName)) {
+  if (await client.databaseExists(dbName)) {
+    if (!skipBackup) {
+      console.log('Backing up existing database...');
+      const backup = await db.backup();
+      console.log(`  ${backup?.backupFile || JSON.stringify(backup)}`);
+    }
     console.log('Dropping existing database...');
-    await dropDatabase(dbName);
+    await client.dropDatabase(dbName);
   }
-  await createDatabase(dbName);
-  await createSchema(dbName);
-
-  // Add cloze_text property to BaseCard
-  await command(dbName, 'CREATE PROPERTY BaseCard.cloze_text STRING IF NOT EXISTS');
+  await client.createDatabase(dbName);
+  await createSchema(db);
 
   // Import
-  const importer = new CourseImporter(dbName);
+  const importer = new CourseImporter(db);
   const stats = await importer.importFile(filePath);
 
   // Report
@@ -380,28 +387,48 @@ async function main() {
 
   // Verify
   console.log('\nVerification:');
-  const courseCount = await query(dbName, 'SELECT count(*) as cnt FROM BaseCourse');
-  const trackCount = await query(dbName, 'SELECT count(*) as cnt FROM BaseTrack');
-  const deckCount = await query(dbName, 'SELECT count(*) as cnt FROM BaseDeck');
-  const baseCardCount = await query(dbName, 'SELECT count(*) as cnt FROM BaseCard');
-  const hostCardCount = await query(dbName, 'SELECT count(*) as cnt FROM HostCard');
-
-  console.log(`  BaseCourse: ${courseCount.result[0].cnt}`);
-  console.log(`  BaseTrack:  ${trackCount.result[0].cnt}`);
-  console.log(`  BaseDeck:   ${deckCount.result[0].cnt}`);
-  console.log(`  BaseCard:   ${baseCardCount.result[0].cnt}`);
-  console.log(`  HostCard:   ${hostCardCount.result[0].cnt}`);
+  const courseCount = await db.query('SELECT count(*) as cnt FROM BaseCourse');
+  const trackCount = await db.query('SELECT count(*) as cnt FROM BaseTrack');
+  const deckCount = await db.query('SELECT count(*) as cnt FROM BaseDeck');
+  const baseCardCount = await db.query('SELECT count(*) as cnt FROM BaseCard');
+  const hostCardCount = await db.query('SELECT count(*) as cnt FROM HostCard');
+
+  console.log(`  BaseCourse: ${courseCount[0].cnt}`);
+  console.log(`  BaseTrack:  ${trackCount[0].cnt}`);
+  console.log(`  BaseDeck:   ${deckCount[0].cnt}`);
+  console.log(`  BaseCard:   ${baseCardCount[0].cnt}`);
+  console.log(`  HostCard:   ${hostCardCount[0].cnt}`);
+
+  // Every host card must link to its base card and host deck
+  let unlinked = 0;
+  for await (const hostCard of db.stream(select('@rid', 'baseCard', 'hostDeck').from('HostCard'))) {
+    if (!hostCard.baseCard || !hostCard.hostDeck) unlinked++;
+  }
+  console.log(`  Unlinked HostCards: ${unlinked}`);
+  const failures = unlinked > 0 ? [`${unlinked} HostCards without baseCard or hostDeck`] : [];
 
   // Sample query
   console.log('\nSample card:');
-  const sample = await query(dbName, 'SELECT FROM HostCard LIMIT 1');
-  if (sample.result[0]) {
-    const hostCard = sample.result[0];
-    const baseCard = await query(dbName, 'SELECT FROM BaseCard WHERE @rid = :rid', { rid: hostCard.baseCard });
-    console.log(`  Text: ${baseCard.result[0]?.text || 'N/A'}`);
+  const sample = await db.query('SELECT FROM HostCard LIMIT 1');
+  if (sample[0]) {
+    const hostCard = sample[0];
+    let baseText = 'N/A';
+    if (hostCard.baseCard) {
+      const baseCard = await db.query('SELECT FROM BaseCard WHERE @rid = :rid', { rid: Rid.parse(hostCard.baseCard) });
+      baseText = baseCard[0]?.text || 'N/A';
+    } else {
+      failures.push(`HostCard ${hostCard['@rid']} has no baseCard`);
+    }
+    console.log(`  Text: ${baseText}`);
     console.log(`  Translation: ${hostCard.translation || 'N/A'}`);
     console.log(`  Explanation (short): ${(hostCard.explanation1 || '').substring(0, 100)}...`);
   }
+
+  if (failures.length > 0) {
+    console.log('\nVerification FAILED:');
+    failures.forEach(f => console.log(`  - ${f}`));
+    process.exit(1);
+  }
 }
 
 main().catch(console.error);
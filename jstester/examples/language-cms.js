@@ -1,204 +1,21 @@
 // Language Learning CMS Data Model
 // Uses Document types with LINK properties for hierarchy
 
-const BASE_URL = 'http://localhost:2480';
-const AUTH = 'Basic ' + btoa('root:playwithdata');
+import { join } from 'node:path';
+import { ArcadexClient, QueryRegistry, measureQueries, parseProfileFlag, select, includeLinks, isRecord } from '../lib/index.js';
+import { CMS_TYPES } from './cms-schema.js';
+import { bindModels } from './cms-models.js';
 
-// ============================================================================
-// HTTP Helpers
-// ============================================================================
-
-async function command(database, sql, params = null) {
-  const body = { language: 'sql', command: sql };
-  if (params) body.params = params;
-
-  const res = await fetch(`${BASE_URL}/api/v1/command/${database}`, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'Authorization': AUTH
-    },
-    body: JSON.stringify(body)
-  });
-  return res.json();
-}
-
-async function query(database, sql, params = null) {
-  const body = { language: 'sql', command: sql };
-  if (params) body.params = params;
-
-  const res = await fetch(`${BASE_URL}/api/v1/query/${database}`, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'Authorization': AUTH
-    },
-    body: JSON.stringify(body)
-  });
-  return res.json();
-}
-
-async function serverCommand(cmd) {
-  const res = await fetch(`${BASE_URL}/api/v1/server`, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'Authorization': AUTH
-    },
-    body: JSON.stringify({ command: cmd })
-  });
-  return res.json();
-}
+// Larger queries live in queries/*.sql (see lib/queries.js)
+const cmsQueries = QueryRegistry.fromDirectory(join(import.meta.dir, 'queries'));
 
 // ============================================================================
 // Schema Setup
 // ============================================================================
 
 async function createSchema(db) {
-  // --- BASE TYPES ---
-
-  // BaseCourse
-  await command(db, 'CREATE DOCUMENT TYPE BaseCourse IF NOT EXISTS');
-  await command(db, 'CREATE PROPERTY BaseCourse.uid STRING IF NOT EXISTS'); // external ID
-  await command(db, 'CREATE PROPERTY BaseCourse.name STRING IF NOT EXISTS');
-  await command(db, 'CREATE PROPERTY BaseCourse.summary STRING IF NOT EXISTS');
-  await command(db, 'CREATE PROPERTY BaseCourse.lang STRING IF NOT EXISTS');
-  await command(db, 'CREATE PROPERTY BaseCourse.version INTEGER IF NOT EXISTS');
-  await command(db, 'CREATE PROPERTY BaseCourse.createdAt DATETIME IF NOT EXISTS');
-  await command(db, 'CREATE PROPERTY BaseCourse.updatedAt DATETIME IF NOT EXISTS');
-
-  // BaseTrack
-  await command(db, 'CREATE DOCUMENT TYPE BaseTrack IF NOT EXISTS');
-  await command(db, 'CREATE PROPERTY BaseTrack.uid STRING IF NOT EXISTS'); // external ID
-  await command(db, 'CREATE PROPERTY BaseTrack.name STRING IF NOT EXISTS');
-  await command(db, 'CREATE PROPERTY BaseTrack.lang STRING IF NOT EXISTS');
-  await command(db, 'CREATE PROPERTY BaseTrack.course LINK IF NOT EXISTS');
-  await command(db, 'CREATE PROPERTY BaseTrack.order INTEGER IF NOT EXISTS');
-  await command(db, 'CREATE PROPERTY BaseTrack.createdAt DATETIME IF NOT EXISTS');
-  await command(db, 'CREATE PROPERTY BaseTrack.updatedAt DATETIME IF NOT EXISTS');
-
-  // BaseDeck
-  await command(db, 'CREATE DOCUMENT TYPE BaseDeck IF NOT EXISTS');
-  await command(db, 'CREATE PROPERTY BaseDeck.uid STRING IF NOT EXISTS'); // external ID
-  await command(db, 'CREATE PROPERTY BaseDeck.name STRING IF NOT EXISTS');
-  await command(db, 'CREATE PROPERTY BaseDeck.lang STRING IF NOT EXISTS');
-  await command(db, 'CREATE PROPERTY BaseDeck.track LINK IF NOT EXISTS');
-  await command(db, 'CREATE PROPERTY BaseDeck.order INTEGER IF NOT EXISTS');
-  await command(db, 'CREATE PROPERTY BaseDeck.createdAt DATETIME IF NOT EXISTS');
-  await command(db, 'CREATE PROPERTY BaseDeck.updatedAt DATETIME IF NOT EXISTS');
-
-  // BaseCard
-  await command(db, 'CREATE DOCUMENT TYPE BaseCard IF NOT EXISTS');
-  await command(db, 'CREATE PROPERTY BaseCard.uid STRING IF NOT EXISTS'); // external ID
-  await command(db, 'CREATE PROPERTY BaseCard.text STRING IF NOT EXISTS');
-  await command(db, 'CREATE PROPERTY BaseCard.countryAffinity STRING IF NOT EXISTS'); // null = all countries
-  await command(db, 'CREATE PROPERTY BaseCard.deck LINK IF NOT EXISTS');
-  await command(db, 'CREATE PROPERTY BaseCard.order INTEGER IF NOT EXISTS');
-  // Agent-added fields
-  await command(db, 'CREATE PROPERTY BaseCard.pronunciation STRING IF NOT EXISTS');
-  await command(db, 'CREATE PROPERTY BaseCard.words LIST IF NOT EXISTS'); // list of words
-  await command(db, 'CREATE PROPERTY BaseCard.wordTypes LIST IF NOT EXISTS'); // list of types for each word
-  await command(db, 'CREATE PROPERTY BaseCard.createdAt DATETIME IF NOT EXISTS');
-  await command(db, 'CREATE PROPERTY BaseCard.updatedAt DATETIME IF NOT EXISTS');
-
-  // --- HOST TYPES ---
-
-  // HostCourse
-  await command(db, 'CREATE DOCUMENT TYPE HostCourse IF NOT EXISTS');
-  await command(db, 'CREATE PROPERTY HostCourse.uid STRING IF NOT EXISTS'); // external ID
-  await command(db, 'CREATE PROPERTY HostCourse.baseCourse LINK IF NOT EXISTS');
-  await command(db, 'CREATE PROPERTY HostCourse.hostCountry STRING IF NOT EXISTS');
-  await command(db, 'CREATE PROPERTY HostCourse.hostLang STRING IF NOT EXISTS');
-  await command(db, 'CREATE PROPERTY HostCourse.name STRING IF NOT EXISTS'); // translated
-  await command(db, 'CREATE PROPERTY HostCourse.summary STRING IF NOT EXISTS'); // translated
-  await command(db, 'CREATE PROPERTY HostCourse.createdAt DATETIME IF NOT EXISTS');
-  await command(db, 'CREATE PROPERTY HostCourse.updatedAt DATETIME IF NOT EXISTS');
-
-  // HostTrack
-  await command(db, 'CREATE DOCUMENT TYPE HostTrack IF NOT EXISTS');
-  await command(db, 'CREATE PROPERTY HostTrack.uid STRING IF NOT EXISTS'); // external ID
-  await command(db, 'CREATE PROPERTY HostTrack.baseTrack LINK IF NOT EXISTS');
-  await command(db, 'CREATE PROPERTY HostTrack.hostCourse LINK IF NOT EXISTS'); // parent host course
-  await command(db, 'CREATE PROPERTY HostTrack.hostCountry STRING IF NOT EXISTS');
-  await command(db, 'CREATE PROPERTY HostTrack.hostLang STRING IF NOT EXISTS');
-  await command(db, 'CREATE PROPERTY HostTrack.name STRING IF NOT EXISTS'); // translated
-  await command(db, 'CREATE PROPERTY HostTrack.createdAt DATETIME IF NOT EXISTS');
-  await command(db, 'CREATE PROPERTY HostTrack.updatedAt DATETIME IF NOT EXISTS');
-
-  // HostDeck
-  await command(db, 'CREATE DOCUMENT TYPE HostDeck IF NOT EXISTS');
-  await command(db, 'CREATE PROPERTY HostDeck.uid STRING IF NOT EXISTS'); // external ID
-  await command(db, 'CREATE PROPERTY HostDeck.baseDeck LINK IF NOT EXISTS');
-  await command(db, 'CREATE PROPERTY HostDeck.hostTrack LINK IF NOT EXISTS'); // parent host track
-  await command(db, 'CREATE PROPERTY HostDeck.hostCountry STRING IF NOT EXISTS');
-  await command(db, 'CREATE PROPERTY HostDeck.hostLang STRING IF NOT EXISTS');
-  await command(db, 'CREATE PROPERTY HostDeck.name STRING IF NOT EXISTS'); // translated
-  await command(db, 'CREATE PROPERTY HostDeck.createdAt DATETIME IF NOT EXISTS');
-  await command(db, 'CREATE PROPERTY HostDeck.updatedAt DATETIME IF NOT EXISTS');
-
-  // HostCard
-  await command(db, 'CREATE DOCUMENT TYPE HostCard IF NOT EXISTS');
-  await command(db, 'CREATE PROPERTY HostCard.uid STRING IF NOT EXISTS'); // external ID
-  await command(db, 'CREATE PROPERTY HostCard.baseCard LINK IF NOT EXISTS');
-  await command(db, 'CREATE PROPERTY HostCard.hostDeck LINK IF NOT EXISTS'); // parent host deck
-  await command(db, 'CREATE PROPERTY HostCard.hostCountry STRING IF NOT EXISTS');
-  await command(db, 'CREATE PROPERTY HostCard.hostLang STRING IF NOT EXISTS');
-  // Agent-added fields
-  await command(db, 'CREATE PROPERTY HostCard.translation STRING IF NOT EXISTS');
-  await command(db, 'CREATE PROPERTY HostCard.explanation1 STRING IF NOT EXISTS'); // level 1
-  await command(db, 'CREATE PROPERTY HostCard.explanation2 STRING IF NOT EXISTS'); // level 2
-  await command(db, 'CREATE PROPERTY HostCard.explanation3 STRING IF NOT EXISTS'); // level 3
-  await command(db, 'CREATE PROPERTY HostCard.createdAt DATETIME IF NOT EXISTS');
-  await command(db, 'CREATE PROPERTY HostCard.updatedAt DATETIME IF NOT EXISTS');
-
-  // --- TTS SETTINGS ---
-
-  // TTSSettings - reusable voice configurations
-  await command(db, 'CREATE DOCUMENT TYPE TTSSettings IF NOT EXISTS');
-  await command(db, 'CREATE PROPERTY TTSSettings.name STRING IF NOT EXISTS'); // friendly name
-  await command(db, 'CREATE PROPERTY TTSSettings.provider STRING IF NOT EXISTS'); // google, aws, azure, elevenlabs
-  await command(db, 'CREATE PROPERTY TTSSettings.engine STRING IF NOT EXISTS'); // standard, neural, wavenet
-  await command(db, 'CREATE PROPERTY TTSSettings.voice STRING IF NOT EXISTS'); // provider-specific voice ID
-  await command(db, 'CREATE PROPERTY TTSSettings.options MAP IF NOT EXISTS'); // provider-specific options
-  await command(db, 'CREATE PROPERTY TTSSettings.createdAt DATETIME IF NOT EXISTS');
-
-  // --- TTS AUDIO ---
-
-  // TTSAudio - points to BaseCard and TTSSettings
-  await command(db, 'CREATE DOCUMENT TYPE TTSAudio IF NOT EXISTS');
-  await command(db, 'CREATE PROPERTY TTSAudio.baseCard LINK IF NOT EXISTS');
-  await command(db, 'CREATE PROPERTY TTSAudio.settings LINK IF NOT EXISTS'); // link to TTSSettings
-  await command(db, 'CREATE PROPERTY TTSAudio.fileUrl STRING IF NOT EXISTS');
-  await command(db, 'CREATE PROPERTY TTSAudio.duration FLOAT IF NOT EXISTS'); // in seconds
-  await command(db, 'CREATE PROPERTY TTSAudio.createdAt DATETIME IF NOT EXISTS');
-
-  // --- INDEXES ---
-
-  // UID indexes (external IDs)
-  await command(db, 'CREATE INDEX IF NOT EXISTS ON BaseCourse (uid) UNIQUE');
-  await command(db, 'CREATE INDEX IF NOT EXISTS ON BaseTrack (uid) UNIQUE');
-  await command(db, 'CREATE INDEX IF NOT EXISTS ON BaseDeck (uid) UNIQUE');
-  await command(db, 'CREATE INDEX IF NOT EXISTS ON BaseCard (uid) UNIQUE');
-  await command(db, 'CREATE INDEX IF NOT EXISTS ON HostCourse (uid) UNIQUE');
-  await command(db, 'CREATE INDEX IF NOT EXISTS ON HostTrack (uid) UNIQUE');
-  await command(db, 'CREATE INDEX IF NOT EXISTS ON HostDeck (uid) UNIQUE');
-  await command(db, 'CREATE INDEX IF NOT EXISTS ON HostCard (uid) UNIQUE');
-
-  // Unique constraints
-  await command(db, 'CREATE INDEX IF NOT EXISTS ON BaseCourse (name, lang, version) UNIQUE');
-  await command(db, 'CREATE INDEX IF NOT EXISTS ON HostCourse (baseCourse, hostCountry, hostLang) NOTUNIQUE');
-  await command(db, 'CREATE INDEX IF NOT EXISTS ON HostCard (baseCard, hostCountry, hostLang) NOTUNIQUE');
-  await command(db, 'CREATE INDEX IF NOT EXISTS ON TTSSettings (name) UNIQUE');
-  await command(db, 'CREATE INDEX IF NOT EXISTS ON TTSAudio (baseCard) NOTUNIQUE');
-  await command(db, 'CREATE INDEX IF NOT EXISTS ON TTSAudio (settings) NOTUNIQUE');
-
-  // Lookup indexes
-  await command(db, 'CREATE INDEX IF NOT EXISTS ON BaseTrack (course) NOTUNIQUE');
-  await command(db, 'CREATE INDEX IF NOT EXISTS ON BaseDeck (track) NOTUNIQUE');
-  await command(db, 'CREATE INDEX IF NOT EXISTS ON BaseCard (deck) NOTUNIQUE');
-  await command(db, 'CREATE INDEX IF NOT EXISTS ON HostTrack (hostCourse) NOTUNIQUE');
-  await command(db, 'CREATE INDEX IF NOT EXISTS ON HostDeck (hostTrack) NOTUNIQUE');
-  await command(db, 'CREATE INDEX IF NOT EXISTS ON HostCard (hostDeck) NOTUNIQUE');
+  // One sqlscript round trip; creates whatever is missing (see cms-schema.js)
+  await db.applySchema(CMS_TYPES);
 
   console.log('Schema created successfully');
 }
@@ -208,328 +25,167 @@ async function createSchema(db) {
 // ============================================================================
 
 class LanguageCMS {
-  constructor(database) {
-    this.db = database;
+  // db: ArcadexClient bound to the CMS database
+  constructor(db) {
+    this.db = db.withQueries(cmsQueries);
+    this.models = bindModels(this.db);
   }
 
   // --- BASE COURSE ---
 
   async createBaseCourse({ name, summary, lang, version = 1 }) {
-    const result = await command(this.db, `
-      INSERT INTO BaseCourse SET
-        name = :name,
-        summary = :summary,
-        lang = :lang,
-        version = :version,
-        createdAt = sysdate(),
-        updatedAt = sysdate()
-    `, { name, summary, lang, version });
-    return result.result[0];
+    return this.models.BaseCourse.create({ name, summary, lang, version });
   }
 
   async getBaseCourse(rid) {
-    const result = await query(this.db, 'SELECT FROM BaseCourse WHERE @rid = :rid', { rid });
-    return result.result[0];
+    return this.models.BaseCourse.find(rid);
   }
 
   async updateBaseCourse(rid, fields) {
-    const sets = Object.keys(fields).map(k => `${k} = :${k}`).join(', ');
-    const result = await command(this.db, `
-      UPDATE BaseCourse SET ${sets}, updatedAt = sysdate() WHERE @rid = :rid
-    `, { ...fields, rid });
-    return result.result[0];
+    const course = await this.models.BaseCourse.find(rid);
+    if (!course) return null;
+    return Object.assign(course, fields).save();
   }
 
   async listBaseCourses(lang = null) {
-    if (lang) {
-      const result = await query(this.db, 'SELECT FROM BaseCourse WHERE lang = :lang ORDER BY name', { lang });
-      return result.result;
-    }
-    const result = await query(this.db, 'SELECT FROM BaseCourse ORDER BY name');
-    return result.result;
+    return this.models.BaseCourse.where(lang ? { lang } : {}, { orderBy: 'name' });
   }
 
   // --- BASE TRACK ---
 
   async createBaseTrack({ name, lang, courseRid, order = 0 }) {
-    const result = await command(this.db, `
-      INSERT INTO BaseTrack SET
-        name = :name,
-        lang = :lang,
-        course = :courseRid,
-        \`order\` = :order,
-        createdAt = sysdate(),
-        updatedAt = sysdate()
-    `, { name, lang, courseRid, order });
-    return result.result[0];
+    return this.models.BaseTrack.create({ name, lang, course: courseRid, order });
   }
 
   async getTracksForCourse(courseRid) {
-    const result = await query(this.db, `
-      SELECT FROM BaseTrack WHERE course = :courseRid ORDER BY \`order\`
-    `, { courseRid });
-    return result.result;
+    return this.models.BaseTrack.where({ course: courseRid }, { orderBy: 'order' });
   }
 
   // --- BASE DECK ---
 
   async createBaseDeck({ name, lang, trackRid, order = 0 }) {
-    const result = await command(this.db, `
-      INSERT INTO BaseDeck SET
-        name = :name,
-        lang = :lang,
-        track = :trackRid,
-        \`order\` = :order,
-        createdAt = sysdate(),
-        updatedAt = sysdate()
-    `, { name, lang, trackRid, order });
-    return result.result[0];
+    return this.models.BaseDeck.create({ name, lang, track: trackRid, order });
   }
 
   async getDecksForTrack(trackRid) {
-    const result = await query(this.db, `
-      SELECT FROM BaseDeck WHERE track = :trackRid ORDER BY \`order\`
-    `, { trackRid });
-    return result.result;
+    return this.models.BaseDeck.where({ track: trackRid }, { orderBy: 'order' });
   }
 
   // --- BASE CARD ---
 
   async createBaseCard({ text, deckRid, countryAffinity = null, order = 0 }) {
-    const result = await command(this.db, `
-      INSERT INTO BaseCard SET
-        text = :text,
-        deck = :deckRid,
-        countryAffinity = :countryAffinity,
-        \`order\` = :order,
-        createdAt = sysdate(),
-        updatedAt = sysdate()
-    `, { text, deckRid, countryAffinity, order });
-    return result.result[0];
+    return this.models.BaseCard.create({ text, deck: deckRid, countryAffinity, order });
   }
 
   async updateBaseCardWithAgentData(cardRid, { pronunciation, words, wordTypes }) {
-    const result = await command(this.db, `
-      UPDATE BaseCard SET
-        pronunciation = :pronunciation,
-        words = :words,
-        wordTypes = :wordTypes,
-        updatedAt = sysdate()
-      WHERE @rid = :cardRid
-    `, { cardRid, pronunciation, words, wordTypes });
-    return result.result[0];
+    const card = await this.models.BaseCard.find(cardRid);
+    if (!card) return null;
+    return Object.assign(card, { pronunciation, words, wordTypes }).save();
   }
 
   async getCardsForDeck(deckRid, countryAffinity = null) {
     if (countryAffinity) {
-      const result = await query(this.db, `
-        SELECT FROM BaseCard
-        WHERE deck = :deckRid AND (countryAffinity IS NULL OR countryAffinity = :countryAffinity)
-        ORDER BY \`order\`
-      `, { deckRid, countryAffinity });
-      return result.result;
+      return this.models.BaseCard.where(
+        'deck = :deckRid AND (countryAffinity IS NULL OR countryAffinity = :countryAffinity)',
+        { deckRid, countryAffinity },
+        { orderBy: 'order' }
+      );
     }
-    const result = await query(this.db, `
-      SELECT FROM BaseCard WHERE deck = :deckRid ORDER BY \`order\`
-    `, { deckRid });
-    return result.result;
+    return this.models.BaseCard.where({ deck: deckRid }, { orderBy: 'order' });
   }
 
   // --- HOST COURSE ---
 
   async createHostCourse({ baseCourseRid, hostCountry, hostLang, name, summary }) {
-    const result = await command(this.db, `
-      INSERT INTO HostCourse SET
-        baseCourse = :baseCourseRid,
-        hostCountry = :hostCountry,
-        hostLang = :hostLang,
-        name = :name,
-        summary = :summary,
-        createdAt = sysdate(),
-        updatedAt = sysdate()
-    `, { baseCourseRid, hostCountry, hostLang, name, summary });
-    return result.result[0];
+    return this.models.HostCourse.create({ baseCourse: baseCourseRid, hostCountry, hostLang, name, summary });
   }
 
   async getHostCoursesForBase(baseCourseRid) {
-    const result = await query(this.db, `
-      SELECT FROM HostCourse WHERE baseCourse = :baseCourseRid
-    `, { baseCourseRid });
-    return result.result;
+    return this.models.HostCourse.where({ baseCourse: baseCourseRid });
   }
 
   async getHostCourse(baseCourseRid, hostCountry, hostLang) {
-    const result = await query(this.db, `
-      SELECT FROM HostCourse
-      WHERE baseCourse = :baseCourseRid AND hostCountry = :hostCountry AND hostLang = :hostLang
-    `, { baseCourseRid, hostCountry, hostLang });
-    return result.result[0];
+    return this.models.HostCourse.findBy({ baseCourse: baseCourseRid, hostCountry, hostLang });
   }
 
   // --- HOST TRACK ---
 
   async createHostTrack({ baseTrackRid, hostCourseRid, hostCountry, hostLang, name }) {
-    const result = await command(this.db, `
-      INSERT INTO HostTrack SET
-        baseTrack = :baseTrackRid,
-        hostCourse = :hostCourseRid,
-        hostCountry = :hostCountry,
-        hostLang = :hostLang,
-        name = :name,
-        createdAt = sysdate(),
-        updatedAt = sysdate()
-    `, { baseTrackRid, hostCourseRid, hostCountry, hostLang, name });
-    return result.result[0];
+    return this.models.HostTrack.create({ baseTrack: baseTrackRid, hostCourse: hostCourseRid, hostCountry, hostLang, name });
   }
 
   async getHostTracksForCourse(hostCourseRid) {
-    const result = await query(this.db, `
-      SELECT FROM HostTrack WHERE hostCourse = :hostCourseRid ORDER BY baseTrack.\`order\`
-    `, { hostCourseRid });
-    return result.result;
+    return this.models.HostTrack.where({ hostCourse: hostCourseRid }, { orderBy: 'baseTrack.order' });
   }
 
   // --- HOST DECK ---
 
   async createHostDeck({ baseDeckRid, hostTrackRid, hostCountry, hostLang, name }) {
-    const result = await command(this.db, `
-      INSERT INTO HostDeck SET
-        baseDeck = :baseDeckRid,
-        hostTrack = :hostTrackRid,
-        hostCountry = :hostCountry,
-        hostLang = :hostLang,
-        name = :name,
-        createdAt = sysdate(),
-        updatedAt = sysdate()
-    `, { baseDeckRid, hostTrackRid, hostCountry, hostLang, name });
-    return result.result[0];
+    return this.models.HostDeck.create({ baseDeck: baseDeckRid, hostTrack: hostTrackRid, hostCountry, hostLang, name });
   }
 
   async getHostDecksForTrack(hostTrackRid) {
-    const result = await query(this.db, `
-      SELECT FROM HostDeck WHERE hostTrack = :hostTrackRid ORDER BY baseDeck.\`order\`
-    `, { hostTrackRid });
-    return result.result;
+    return this.models.HostDeck.where({ hostTrack: hostTrackRid }, { orderBy: 'baseDeck.order' });
   }
 
   // --- HOST CARD ---
 
   async createHostCard({ baseCardRid, hostDeckRid, hostCountry, hostLang }) {
-    const result = await command(this.db, `
-      INSERT INTO HostCard SET
-        baseCard = :baseCardRid,
-        hostDeck = :hostDeckRid,
-        hostCountry = :hostCountry,
-        hostLang = :hostLang,
-        createdAt = sysdate(),
-        updatedAt = sysdate()
-    `, { baseCardRid, hostDeckRid, hostCountry, hostLang });
-    return result.result[0];
+    return this.models.HostCard.create({ baseCard: baseCardRid, hostDeck: hostDeckRid, hostCountry, hostLang });
   }
 
   async updateHostCardWithAgentData(cardRid, { translation, explanation1, explanation2, explanation3 }) {
-    const result = await command(this.db, `
-      UPDATE HostCard SET
-        translation = :translation,
-        explanation1 = :explanation1,
-        explanation2 = :explanation2,
-        explanation3 = :explanation3,
-        updatedAt = sysdate()
-      WHERE @rid = :cardRid
-    `, { cardRid, translation, explanation1, explanation2, explanation3 });
-    return result.result[0];
+    const card = await this.models.HostCard.find(cardRid);
+    if (!card) return null;
+    return Object.assign(card, { translation, explanation1, explanation2, explanation3 }).save();
   }
 
   async getHostCardsForDeck(hostDeckRid) {
-    const result = await query(this.db, `
-      SELECT FROM HostCard WHERE hostDeck = :hostDeckRid ORDER BY baseCard.\`order\`
-    `, { hostDeckRid });
-    return result.result;
+    return this.models.HostCard.where({ hostDeck: hostDeckRid }, { orderBy: 'baseCard.order' });
   }
 
   async getHostCardWithBase(hostCardRid) {
     // Get host card with expanded base card data
-    const result = await query(this.db, `
+    const result = await this.db.query(`
       SELECT *, baseCard.text as baseText, baseCard.pronunciation, baseCard.words, baseCard.wordTypes
       FROM HostCard WHERE @rid = :hostCardRid
     `, { hostCardRid });
-    return result.result[0];
+    return result[0];
   }
 
   // --- TTS SETTINGS ---
 
   async createTTSSettings({ name, provider, engine, voice, options = {} }) {
-    const result = await command(this.db, `
-      INSERT INTO TTSSettings SET
-        name = :name,
-        provider = :provider,
-        engine = :engine,
-        voice = :voice,
-        options = :options,
-        createdAt = sysdate()
-    `, { name, provider, engine, voice, options });
-    return result.result[0];
+    return this.models.TTSSettings.create({ name, provider, engine, voice, options });
   }
 
   async getTTSSettings(name) {
-    const result = await query(this.db, `
-      SELECT FROM TTSSettings WHERE name = :name
-    `, { name });
-    return result.result[0];
+    return this.models.TTSSettings.findBy({ name });
   }
 
   async listTTSSettings() {
-    const result = await query(this.db, 'SELECT FROM TTSSettings ORDER BY name');
-    return result.result;
+    return this.models.TTSSettings.all({ orderBy: 'name' });
   }
 
   async updateTTSSettings(rid, fields) {
-    const sets = Object.keys(fields).map(k => `${k} = :${k}`).join(', ');
-    const result = await command(this.db, `
-      UPDATE TTSSettings SET ${sets} WHERE @rid = :rid
-    `, { ...fields, rid });
-    return result.result[0];
+    const settings = await this.models.TTSSettings.find(rid);
+    if (!settings) return null;
+    return Object.assign(settings, fields).save();
   }
 
   // --- TTS AUDIO ---
 
   async createTTSAudio({ baseCardRid, settingsRid, fileUrl, duration }) {
-    const result = await command(this.db, `
-      INSERT INTO TTSAudio SET
-        baseCard = :baseCardRid,
-        settings = :settingsRid,
-        fileUrl = :fileUrl,
-        duration = :duration,
-        createdAt = sysdate()
-    `, { baseCardRid, settingsRid, fileUrl, duration });
-    return result.result[0];
+    return this.models.TTSAudio.create({ baseCard: baseCardRid, settings: settingsRid, fileUrl, duration });
   }
 
   async getTTSForCard(baseCardRid) {
-    const result = await query(this.db, `
-      SELECT FROM TTSAudio WHERE baseCard = :baseCardRid
-    `, { baseCardRid });
-
-    // Expand settings for each audio
-    const audios = [];
-    for (const audio of result.result) {
-      const settingsResult = await query(this.db, `
-        SELECT FROM TTSSettings WHERE @rid = :settingsRid
-      `, { settingsRid: audio.settings });
-
-      audios.push({
-        ...audio,
-        settingsData: settingsResult.result[0] || null
-      });
-    }
-    return audios;
+    // Settings of every audio in one extra query
+    return this.models.TTSAudio.where({ baseCard: baseCardRid }).include('settings');
   }
 
   async getTTSBySettings(settingsRid) {
-    const result = await query(this.db, `
-      SELECT FROM TTSAudio WHERE settings = :settingsRid
-    `, { settingsRid });
-    return result.result;
+    return this.models.TTSAudio.where({ settings: settingsRid });
   }
 
   // --- BULK OPERATIONS ---
@@ -604,23 +260,16 @@ class LanguageCMS {
 
   async getFullCardData(hostCardRid) {
     // Get complete card data including base card, TTS, and translations
-    // First get host card
-    const hostResult = await query(this.db, `
-      SELECT FROM HostCard WHERE @rid = :hostCardRid
-    `, { hostCardRid });
-
-    const hostCard = hostResult.result[0];
+    const hostCard = await this.models.HostCard.find(hostCardRid);
     if (!hostCard) return null;
 
-    // Get base card data
-    const baseResult = await query(this.db, `
-      SELECT FROM BaseCard WHERE @rid = :baseCardRid
-    `, { baseCardRid: hostCard.baseCard });
-
-    const baseCard = baseResult.result[0];
-
-    // Get TTS audio files
-    const tts = await this.getTTSForCard(hostCard.baseCard);
+    // Base card and TTS audio (with settings) load side by side
+    const baseCardRid = hostCard.baseCard;
+    const [, tts] = await Promise.all([
+      includeLinks(this.db, [hostCard], ['baseCard']),
+      this.getTTSForCard(baseCardRid)
+    ]);
+    const baseCard = isRecord(hostCard.baseCard) ? hostCard.baseCard : null;
 
     return {
       hostCardRid: hostCard['@rid'],
@@ -640,78 +289,27 @@ class LanguageCMS {
   }
 
   async getDeckWithCards(deckUid) {
-    // Fetch deck with all host cards in a SINGLE SQL query using nested projections
-    // This leverages LINK type expansion to join data directly in the database
-    const result = await query(this.db, `
-      SELECT
-        @rid,
-        uid,
-        name,
-        hostCountry,
-        hostLang,
-        (SELECT
-          @rid as hostCardRid,
-          uid,
-          translation,
-          explanation1,
-          explanation2,
-          explanation3,
-          baseCard.uid as baseUid,
-          baseCard.text as text,
-          baseCard.cloze_text as clozeText,
-          baseCard.pronunciation as pronunciation,
-          baseCard.\`order\` as \`order\`
-         FROM HostCard
-         WHERE hostDeck = $parent.$current
-         ORDER BY baseCard.\`order\`) as cards
-      FROM HostDeck
-      WHERE uid = :deckUid
-    `, { deckUid });
-
-    return result.result[0] || null;
+    // Deck with all host cards in a SINGLE SQL query using nested projections
+    // (queries/deckWithCards.sql)
+    return this.db.named('deckWithCards', { deckUid });
   }
 
   async getDeckWithCardsByRid(deckRid) {
-    // Fetch deck with all host cards by RID
-    const result = await query(this.db, `
-      SELECT
-        @rid,
-        uid,
-        name,
-        hostCountry,
-        hostLang,
-        (SELECT
-          @rid as hostCardRid,
-          uid,
-          translation,
-          explanation1,
-          baseCard.uid as baseUid,
-          baseCard.text as text,
-          baseCard.cloze_text as clozeText
-         FROM HostCard
-         WHERE hostDeck = $parent.$current
-         ORDER BY baseCard.\`order\`) as cards
-      FROM HostDeck
-      WHERE @rid = :deckRid
-    `, { deckRid });
-
-    return result.result[0] || null;
+    // Fetch deck with all host cards by RID (queries/deckWithCardsByRid.sql)
+    return this.db.named('deckWithCardsByRid', { deckRid });
   }
 
   async searchCards(hostLang, searchText) {
-    // Get all host cards for the language
-    const hostResult = await query(this.db, `
-      SELECT FROM HostCard WHERE hostLang = :hostLang
-    `, { hostLang });
+    // Stream host cards for the language instead of loading them all; each
+    // page brings its base cards along in one extra query
+    const hostCards = this.db.stream(select().from('HostCard').where({ hostLang }), null, {
+      pageSize: 500,
+      include: ['baseCard']
+    });
 
     const results = [];
-    for (const hostCard of hostResult.result) {
-      // Get base card text
-      const baseResult = await query(this.db, `
-        SELECT text FROM BaseCard WHERE @rid = :baseCardRid
-      `, { baseCardRid: hostCard.baseCard });
-
-      const baseText = baseResult.result[0]?.text || '';
+    for await (const hostCard of hostCards) {
+      const baseText = hostCard.baseCard?.text || '';
       const translation = hostCard.translation || '';
 
       // Filter by search text
@@ -729,26 +327,6 @@ class LanguageCMS {
   }
 }
 
-// ============================================================================
-// Database Management
-// ============================================================================
-
-async function createDatabase(name) {
-  return serverCommand(`create database ${name}`);
-}
-
-async function dropDatabase(name) {
-  return serverCommand(`drop database ${name}`);
-}
-
-async function databaseExists(name) {
-  const res = await fetch(`${BASE_URL}/api/v1/exists/${name}`, {
-    headers: { 'Authorization': AUTH }
-  });
-  const data = await res.json();
-  return data.result;
-}
-
 // ============================================================================
 // Exports
 // ============================================================================
@@ -756,29 +334,30 @@ async function databaseExists(name) {
 export {
   LanguageCMS,
   createSchema,
-  createDatabase,
-  dropDatabase,
-  databaseExists,
-  command,
-  query
+  cmsQueries
 };
 
 // ============================================================================
-// Example Usage (run with: bun run language-cms.js)
+// Example Usage (run with: bun run language-cms.js [--profile <name>])
 // ============================================================================
 
 async function main() {
+  const { profile } = parseProfileFlag(process.argv.slice(2));
+  const client = ArcadexClient.fromConfig({ profile });
   const dbName = 'language_cms_demo';
+  client.logSlowQueries({ threshold: 50 });
 
   // Setup
   console.log('Setting up database...');
-  if (await databaseExists(dbName)) {
-    await dropDatabase(dbName);
+  if (await client.databaseExists(dbName)) {
+    await client.dropDatabase(dbName);
   }
-  await createDatabase(dbName);
-  await createSchema(dbName);
+  await client.createDatabase(dbName);
+
+  const db = client.withDatabase(dbName);
+  await createSchema(db);
 
-  const cms = new LanguageCMS(dbName);
+  const cms = new LanguageCMS(db);
 
   // Create base content (Spanish course)
   console.log('\nCreating base course...');
@@ -932,13 +511,15 @@ async function main() {
 
   // Query full card data
   console.log('\n--- Full Card Data ---');
-  const fullCard = await cms.getFullCardData(hostCards[0]['@rid']);
-  console.log(JSON.stringify(fullCard, null, 2));
+  const full = await measureQueries(db, () => cms.getFullCardData(hostCards[0]['@rid']));
+  console.log(JSON.stringify(full.result, null, 2));
+  console.log(`(${full.queries.length} queries, ${full.duration.toFixed(1)}ms)`);
 
   // Search cards
   console.log('\n--- Search Results for "morning" ---');
-  const searchResults = await cms.searchCards('en', 'morning');
-  console.log(searchResults);
+  const search = await measureQueries(db, () => cms.searchCards('en', 'morning'));
+  console.log(search.result);
+  console.log(`(${search.queries.length} queries, ${search.duration.toFixed(1)}ms)`);
 
   console.log('\nDemo complete!');
 }
@@ -2,35 +2,35 @@
 // Created: 2024-11-19
 // Adds TTS settings and audio types
 
-export async function up(db, command, query) {
+export async function up(db) {
   // TTSSettings - reusable voice configurations
-  await command(db, 'CREATE DOCUMENT TYPE TTSSettings');
-  await command(db, 'CREATE PROPERTY TTSSettings.name STRING');
-  await command(db, 'CREATE PROPERTY TTSSettings.provider STRING');
-  await command(db, 'CREATE PROPERTY TTSSettings.engine STRING');
-  await command(db, 'CREATE PROPERTY TTSSettings.voice STRING');
-  await command(db, 'CREATE PROPERTY TTSSettings.options MAP');
-  await command(db, 'CREATE PROPERTY TTSSettings.createdAt DATETIME');
+  await db.command('CREATE DOCUMENT TYPE TTSSettings');
+  await db.command('CREATE PROPERTY TTSSettings.name STRING');
+  await db.command('CREATE PROPERTY TTSSettings.provider STRING');
+  await db.command('CREATE PROPERTY TTSSettings.engine STRING');
+  await db.command('CREATE PROPERTY TTSSettings.voice STRING');
+  await db.command('CREATE PROPERTY TTSSettings.options MAP');
+  await db.command('CREATE PROPERTY TTSSettings.createdAt DATETIME');
 
   // TTSAudio - points to BaseCard and TTSSettings
-  await command(db, 'CREATE DOCUMENT TYPE TTSAudio');
-  await command(db, 'CREATE PROPERTY TTSAudio.baseCard LINK');
-  await command(db, 'CREATE PROPERTY TTSAudio.settings LINK');
-  await command(db, 'CREATE PROPERTY TTSAudio.fileUrl STRING');
-  await command(db, 'CREATE PROPERTY TTSAudio.duration FLOAT');
-  await command(db, 'CREATE PROPERTY TTSAudio.createdAt DATETIME');
+  await db.command('CREATE DOCUMENT TYPE TTSAudio');
+  await db.command('CREATE PROPERTY TTSAudio.baseCard LINK');
+  await db.command('CREATE PROPERTY TTSAudio.settings LINK');
+  await db.command('CREATE PROPERTY TTSAudio.fileUrl STRING');
+  await db.command('CREATE PROPERTY TTSAudio.duration FLOAT');
+  await db.command('CREATE PROPERTY TTSAudio.createdAt DATETIME');
 
   // Indexes
-  await command(db, 'CREATE INDEX ON TTSSettings (name) UNIQUE');
-  await command(db, 'CREATE INDEX ON TTSAudio (baseCard) NOTUNIQUE');
-  await command(db, 'CREATE INDEX ON TTSAudio (settings) NOTUNIQUE');
+  await db.command('CREATE INDEX ON TTSSettings (name) UNIQUE');
+  await db.command('CREATE INDEX ON TTSAudio (baseCard) NOTUNIQUE');
+  await db.command('CREATE INDEX ON TTSAudio (settings) NOTUNIQUE');
 
   console.log('    Created TTSSettings and TTSAudio types');
 }
 
-export async function down(db, command, query) {
-  await command(db, 'DROP TYPE TTSAudio IF EXISTS');
-  await command(db, 'DROP TYPE TTSSettings IF EXISTS');
+export async function down(db) {
+  await db.command('DROP TYPE TTSAudio IF EXISTS');
+  await db.command('DROP TYPE TTSSettings IF EXISTS');
 
   console.log('    Dropped TTSSettings and TTSAudio types');
 }
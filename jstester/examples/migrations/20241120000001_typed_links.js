@@ -0,0 +1,142 @@
+// Migration: typed_links
+// Created: 2024-11-20
+// Gives LINK and LIST properties their element types (LINK OF BaseDeck,
+// LIST OF STRING), as declared in cms-schema.js. A property's OF type can't be
+// altered in place: each one is dropped (with the indexes that cover it) and
+// created again. Records keep their values.
+
+export async function up(db) {
+  // BaseTrack
+  await db.command('DROP INDEX `BaseTrack[course]`');
+  await db.command('DROP PROPERTY BaseTrack.course');
+  await db.command('CREATE PROPERTY BaseTrack.course LINK OF BaseCourse');
+  await db.command('CREATE INDEX ON BaseTrack (course) NOTUNIQUE');
+
+  // BaseDeck
+  await db.command('DROP INDEX `BaseDeck[track]`');
+  await db.command('DROP PROPERTY BaseDeck.track');
+  await db.command('CREATE PROPERTY BaseDeck.track LINK OF BaseTrack');
+  await db.command('CREATE INDEX ON BaseDeck (track) NOTUNIQUE');
+
+  // BaseCard
+  await db.command('DROP INDEX `BaseCard[deck]`');
+  await db.command('DROP PROPERTY BaseCard.deck');
+  await db.command('CREATE PROPERTY BaseCard.deck LINK OF BaseDeck');
+  await db.command('CREATE INDEX ON BaseCard (deck) NOTUNIQUE');
+  await db.command('DROP PROPERTY BaseCard.words');
+  await db.command('CREATE PROPERTY BaseCard.words LIST OF STRING');
+  await db.command('DROP PROPERTY BaseCard.wordTypes');
+  await db.command('CREATE PROPERTY BaseCard.wordTypes LIST OF STRING');
+
+  // HostCourse
+  await db.command('DROP INDEX `HostCourse[baseCourse,hostCountry,hostLang]`');
+  await db.command('DROP PROPERTY HostCourse.baseCourse');
+  await db.command('CREATE PROPERTY HostCourse.baseCourse LINK OF BaseCourse');
+  await db.command('CREATE INDEX ON HostCourse (baseCourse, hostCountry, hostLang) NOTUNIQUE');
+
+  // HostTrack
+  await db.command('DROP PROPERTY HostTrack.baseTrack');
+  await db.command('CREATE PROPERTY HostTrack.baseTrack LINK OF BaseTrack');
+  await db.command('DROP INDEX `HostTrack[hostCourse]`');
+  await db.command('DROP PROPERTY HostTrack.hostCourse');
+  await db.command('CREATE PROPERTY HostTrack.hostCourse LINK OF HostCourse');
+  await db.command('CREATE INDEX ON HostTrack (hostCourse) NOTUNIQUE');
+
+  // HostDeck
+  await db.command('DROP PROPERTY HostDeck.baseDeck');
+  await db.command('CREATE PROPERTY HostDeck.baseDeck LINK OF BaseDeck');
+  await db.command('DROP INDEX `HostDeck[hostTrack]`');
+  await db.command('DROP PROPERTY HostDeck.hostTrack');
+  await db.command('CREATE PROPERTY HostDeck.hostTrack LINK OF HostTrack');
+  await db.command('CREATE INDEX ON HostDeck (hostTrack) NOTUNIQUE');
+
+  // HostCard
+  await db.command('DROP INDEX `HostCard[baseCard,hostCountry,hostLang]`');
+  await db.command('DROP PROPERTY HostCard.baseCard');
+  await db.command('CREATE PROPERTY HostCard.baseCard LINK OF BaseCard');
+  await db.command('CREATE INDEX ON HostCard (baseCard, hostCountry, hostLang) NOTUNIQUE');
+  await db.command('DROP INDEX `HostCard[hostDeck]`');
+  await db.command('DROP PROPERTY HostCard.hostDeck');
+  await db.command('CREATE PROPERTY HostCard.hostDeck LINK OF HostDeck');
+  await db.command('CREATE INDEX ON HostCard (hostDeck) NOTUNIQUE');
+
+  // TTSAudio
+  await db.command('DROP INDEX `TTSAudio[baseCard]`');
+  await db.command('DROP PROPERTY TTSAudio.baseCard');
+  await db.command('CREATE PROPERTY TTSAudio.baseCard LINK OF BaseCard');
+  await db.command('CREATE INDEX ON TTSAudio (baseCard) NOTUNIQUE');
+  await db.command('DROP INDEX `TTSAudio[settings]`');
+  await db.command('DROP PROPERTY TTSAudio.settings');
+  await db.command('CREATE PROPERTY TTSAudio.settings LINK OF TTSSettings');
+  await db.command('CREATE INDEX ON TTSAudio (settings) NOTUNIQUE');
+
+  console.log('    Typed 12 LINK and 2 LIST properties');
+}
+
+export async function down(db) {
+  // BaseTrack
+  await db.command('DROP INDEX `BaseTrack[course]`');
+  await db.command('DROP PROPERTY BaseTrack.course');
+  await db.command('CREATE PROPERTY BaseTrack.course LINK');
+  await db.command('CREATE INDEX ON BaseTrack (course) NOTUNIQUE');
+
+  // BaseDeck
+  await db.command('DROP INDEX `BaseDeck[track]`');
+  await db.command('DROP PROPERTY BaseDeck.track');
+  await db.command('CREATE PROPERTY BaseDeck.track LINK');
+  await db.command('CREATE INDEX ON BaseDeck (track) NOTUNIQUE');
+
+  // BaseCard
+  await db.command('DROP INDEX `BaseCard[deck]`');
+  await db.command('DROP PROPERTY BaseCard.deck');
+  await db.command('CREATE PROPERTY BaseCard.deck LINK');
+  await db.command('CREATE INDEX ON BaseCard (deck) NOTUNIQUE');
+  await db.command('DROP PROPERTY BaseCard.words');
+  await db.command('CREATE PROPERTY BaseCard.words LIST');
+  await db.command('DROP PROPERTY BaseCard.wordTypes');
+  await db.command('CREATE PROPERTY BaseCard.wordTypes LIST');
+
+  // HostCourse
+  await db.command('DROP INDEX `HostCourse[baseCourse,hostCountry,hostLang]`');
+  await db.command('DROP PROPERTY HostCourse.baseCourse');
+  await db.command('CREATE PROPERTY HostCourse.baseCourse LINK');
+  await db.command('CREATE INDEX ON HostCourse (baseCourse, hostCountry, hostLang) NOTUNIQUE');
+
+  // HostTrack
+  await db.command('DROP PROPERTY HostTrack.baseTrack');
+  await db.command('CREATE PROPERTY HostTrack.baseTrack LINK');
+  await db.command('DROP INDEX `HostTrack[hostCourse]`');
+  await db.command('DROP PROPERTY HostTrack.hostCourse');
+  await db.command('CREATE PROPERTY HostTrack.hostCourse LINK');
+  await db.command('CREATE INDEX ON HostTrack (hostCourse) NOTUNIQUE');
+
+  // HostDeck
+  await db.command('DROP PROPERTY HostDeck.baseDeck');
+  await db.command('CREATE PROPERTY HostDeck.baseDeck LINK');
+  await db.command('DROP INDEX `HostDeck[hostTrack]`');
+  await db.command('DROP PROPERTY HostDeck.hostTrack');
+  await db.command('CREATE PROPERTY HostDeck.hostTrack LINK');
+  await db.command('CREATE INDEX ON HostDeck (hostTrack) NOTUNIQUE');
+
+  // HostCard
+  await db.command('DROP INDEX `HostCard[baseCard,hostCountry,hostLang]`');
+  await db.command('DROP PROPERTY HostCard.baseCard');
+  await db.command('CREATE PROPERTY HostCard.baseCard LINK');
+  await db.command('CREATE INDEX ON HostCard (baseCard, hostCountry, hostLang) NOTUNIQUE');
+  await db.command('DROP INDEX `HostCard[hostDeck]`');
+  await db.command('DROP PROPERTY HostCard.hostDeck');
+  await db.command('CREATE PROPERTY HostCard.hostDeck LINK');
+  await db.command('CREATE INDEX ON HostCard (hostDeck) NOTUNIQUE');
+
+  // TTSAudio
+  await db.command('DROP INDEX `TTSAudio[baseCard]`');
+  await db.command('DROP PROPERTY TTSAudio.baseCard');
+  await db.command('CREATE PROPERTY TTSAudio.baseCard LINK');
+  await db.command('CREATE INDEX ON TTSAudio (baseCard) NOTUNIQUE');
+  await db.command('DROP INDEX `TTSAudio[settings]`');
+  await db.command('DROP PROPERTY TTSAudio.settings');
+  await db.command('CREATE PROPERTY TTSAudio.settings LINK');
+  await db.command('CREATE INDEX ON TTSAudio (settings) NOTUNIQUE');
+
+  console.log('    Untyped 12 LINK and 2 LIST properties');
+}
@@ -3,75 +3,35 @@
 
 import { readdir } from 'fs/promises';
 import { join, basename } from 'path';
-
-const BASE_URL = 'http://localhost:2480';
-const AUTH = 'Basic ' + btoa('root:playwithdata');
-
-// ============================================================================
-// HTTP Helpers
-// ============================================================================
-
-async function command(database, sql, params = null) {
-  const body = { language: 'sql', command: sql };
-  if (params) body.params = params;
-
-  const res = await fetch(`${BASE_URL}/api/v1/command/${database}`, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'Authorization': AUTH
-    },
-    body: JSON.stringify(body)
-  });
-  const json = await res.json();
-  if (json.error) {
-    throw new Error(json.error);
-  }
-  return json;
-}
-
-async function query(database, sql, params = null) {
-  const body = { language: 'sql', command: sql };
-  if (params) body.params = params;
-
-  const res = await fetch(`${BASE_URL}/api/v1/query/${database}`, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'Authorization': AUTH
-    },
-    body: JSON.stringify(body)
-  });
-  const json = await res.json();
-  if (json.error) {
-    throw new Error(json.error);
-  }
-  return json;
-}
-
-async function databaseExists(name) {
-  const res = await fetch(`${BASE_URL}/api/v1/exists/${name}`, {
-    headers: { 'Authorization': AUTH }
-  });
-  const data = await res.json();
-  return data.result;
-}
+import {
+  ArcadexClient, loadConfig, parseProfileFlag, migrationDDL, formatChange, declaredSchema, generateTypes, writeTypes
+} from '../../lib/index.js';
+import { CMS_TYPES } from '../cms-schema.js';
 
 // ============================================================================
 // Migrator Class
 // ============================================================================
 
 class Migrator {
-  constructor(database, migrationsPath = './migrations') {
-    this.db = database;
+  // db: ArcadexClient bound to the target database
+  // typesFile: .d.ts regenerated from the schema after migrate / rollback (see lib/typegen.js)
+  constructor(db, migrationsPath = './migrations', { typesFile = null } = {}) {
+    this.db = db;
     this.migrationsPath = migrationsPath;
+    this.typesFile = typesFile;
+  }
+
+  // Write TypeScript interfaces for the current schema to typesFile
+  async generateTypes(file = this.typesFile) {
+    await writeTypes(this.db, file);
+    console.log(`Types written to ${file}`);
   }
 
   // Check database exists
   async checkDatabase() {
-    const exists = await databaseExists(this.db);
+    const exists = await this.db.databaseExists(this.db.database);
     if (!exists) {
-      throw new Error(`Database '${this.db}' does not exist`);
+      throw new Error(`Database '${this.db.database}' does not exist`);
     }
   }
 
@@ -79,25 +39,20 @@ class Migrator {
   async ensureMigrationsTable() {
     await this.checkDatabase();
 
-    // Check if _migrations type exists
-    const typeCheck = await query(this.db,
-      "SELECT FROM schema:types WHERE name = '_migrations'"
-    );
-
-    if (typeCheck.result.length === 0) {
+    if (!(await this.db.schema.hasType('_migrations'))) {
       // Create fresh
-      await command(this.db, 'CREATE DOCUMENT TYPE _migrations');
-      await command(this.db, 'CREATE PROPERTY _migrations.version STRING');
-      await command(this.db, 'CREATE PROPERTY _migrations.name STRING');
-      await command(this.db, 'CREATE PROPERTY _migrations.appliedAt DATETIME');
-      await command(this.db, 'CREATE INDEX ON _migrations (version) UNIQUE');
+      await this.db.command('CREATE DOCUMENT TYPE _migrations');
+      await this.db.command('CREATE PROPERTY _migrations.version STRING');
+      await this.db.command('CREATE PROPERTY _migrations.name STRING');
+      await this.db.command('CREATE PROPERTY _migrations.appliedAt DATETIME');
+      await this.db.command('CREATE INDEX ON _migrations (version) UNIQUE');
     }
   }
 
-  // Get list of applied migrations
+  // Get list of applied migrations (appliedAt decoded to a Date)
   async getAppliedMigrations() {
-    const result = await query(this.db, 'SELECT version, name, appliedAt FROM _migrations ORDER BY version');
-    return result.result || [];
+    const result = await this.db.query('SELECT FROM _migrations ORDER BY version', null, { decode: true });
+    return result || [];
   }
 
   // Get list of migration files
@@ -136,10 +91,10 @@ class Migrator {
     console.log(`  Applying: ${migration.version}_${migration.name}`);
 
     // Run the migration
-    await module.up(this.db, command, query);
+    await module.up(this.db);
 
     // Record as applied
-    await command(this.db, `
+    await this.db.command(`
       INSERT INTO _migrations SET
         version = :version,
         name = :name,
@@ -162,10 +117,10 @@ class Migrator {
     console.log(`  Rolling back: ${migration.version}_${migration.name}`);
 
     // Run the rollback
-    await module.down(this.db, command, query);
+    await module.down(this.db);
 
     // Remove from applied
-    await command(this.db, 'DELETE FROM _migrations WHERE version = :version', {
+    await this.db.command('DELETE FROM _migrations WHERE version = :version', {
       version: migration.version
     });
   }
@@ -188,6 +143,7 @@ class Migrator {
     }
 
     console.log(`\nApplied ${pending.length} migration(s).`);
+    if (this.typesFile) await this.generateTypes();
     return { applied: pending.length };
   }
 
@@ -224,13 +180,27 @@ class Migrator {
     }
 
     console.log(`\nRolled back ${toRollback.length} migration(s).`);
+    if (this.typesFile) await this.generateTypes();
     return { rolledBack: toRollback.length };
   }
 
-  // Reset database (rollback all, then migrate)
-  async reset() {
+  // Safety net before destructive operations: a server-side backup zip
+  async backup() {
+    console.log(`Backing up ${this.db.database}...`);
+    const result = await this.db.backup();
+    console.log(`Backup done: ${result?.backupFile || JSON.stringify(result)}\n`);
+    return result;
+  }
+
+  // Reset database (rollback all, then migrate), after a backup unless
+  // backup is false
+  async reset({ backup = true } = {}) {
     await this.ensureMigrationsTable();
 
+    if (backup) {
+      await this.backup();
+    }
+
     const applied = await this.getAppliedMigrations();
 
     if (applied.length > 0) {
@@ -242,6 +212,23 @@ class Migrator {
     return this.migrate();
   }
 
+  // Changes that bring this database to the declared types (defineType()).
+  // With fromMigrations the starting point is a scratch database that every
+  // migration has run on instead, i.e. what the migrations don't build yet.
+  async schemaDiff(types, { fromMigrations = false } = {}) {
+    if (!fromMigrations) return this.db.schema.diff(types);
+
+    const scratchName = `${this.db.database}_diff_${Date.now()}`;
+    await this.db.createDatabase(scratchName);
+    try {
+      const scratch = this.db.withDatabase(scratchName);
+      await new Migrator(scratch, this.migrationsPath).migrate();
+      return await scratch.schema.diff(types);
+    } finally {
+      await this.db.dropDatabase(scratchName);
+    }
+  }
+
   // Show migration status
   async status() {
     await this.ensureMigrationsTable();
@@ -252,17 +239,15 @@ class Migrator {
     const files = await this.getMigrationFiles();
 
     console.log('Migration Status:\n');
-    console.log('Status     Version         Name');
-    console.log('-'.repeat(60));
+    console.log('Status     Applied     Version         Name');
+    console.log('-'.repeat(72));
 
     for (const file of files) {
       const appliedMigration = appliedMap.get(file.version);
       const status = appliedMigration ? 'applied' : 'pending';
-      const date = appliedMigration
-        ? new Date(appliedMigration.appliedAt).toISOString().split('T')[0]
-        : '          ';
+      const date = appliedMigration ? appliedDate(appliedMigration.appliedAt) : '';
 
-      console.log(`${status.padEnd(10)} ${file.version}  ${file.name}`);
+      console.log(`${status.padEnd(10)} ${date.padEnd(10)}  ${file.version}  ${file.name}`);
     }
 
     const pendingCount = files.length - applied.length;
@@ -270,25 +255,117 @@ class Migrator {
   }
 }
 
+// appliedAt is a Date when decoded, a string otherwise (and on old rows)
+function appliedDate(value) {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? '?' : date.toISOString().split('T')[0];
+}
+
 // ============================================================================
 // CLI
 // ============================================================================
 
+const EXAMPLE_UP = `  // Apply migration
+  // Example:
+  // await db.command('CREATE DOCUMENT TYPE MyType IF NOT EXISTS');
+  // await db.command('CREATE PROPERTY MyType.name STRING IF NOT EXISTS');`;
+
+const EXAMPLE_DOWN = `  // Rollback migration
+  // Example:
+  // await db.command('DROP TYPE MyType IF EXISTS');`;
+
+// Statements -> function body lines
+function commandLines(statements) {
+  return statements
+    .map(sql => `  await db.command('${sql.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}');`)
+    .join('\n');
+}
+
+// Write <timestamp>_<name>.js; without a body it gets the example template.
+// Returns the file name.
+async function writeMigration(migrationsPath, name, { up = EXAMPLE_UP, down = EXAMPLE_DOWN, comment = null } = {}) {
+  const timestamp = new Date().toISOString()
+    .replace(/[-:T]/g, '')
+    .slice(0, 14);
+
+  const filename = `${timestamp}_${name}.js`;
+  const template = `// Migration: ${name}
+// Created: ${new Date().toISOString()}
+${comment ? comment.split('\n').map(line => `// ${line}\n`).join('') : ''}
+export async function up(db) {
+${up}
+}
+
+export async function down(db) {
+${down}
+}
+`;
+
+  await Bun.write(join(migrationsPath, filename), template);
+  return filename;
+}
+
+// cms-schema.js as the .d.ts source for examples/types/ (no database needed);
+// tests/33-typegen.test.js compares it with the committed cms.d.ts
+function declaredTypes() {
+  return generateTypes(declaredSchema(CMS_TYPES).types, {
+    importFrom: '../../lib/index.js',
+    source: 'examples/cms-schema.js'
+  });
+}
+
+const COMMANDS = [
+  'migrate', 'rollback', 'reset', 'status', 'create', 'backup', 'export', 'import', 'schema', 'types', 'declared-types'
+];
+
+// Remove --flag [value] from args; returns the value, true, or null if absent
+function takeFlag(args, flag, { value = false } = {}) {
+  const i = args.indexOf(flag);
+  if (i === -1) return null;
+  const [, taken = null] = args.splice(i, value ? 2 : 1);
+  return value ? taken : true;
+}
+
 async function main() {
-  const args = process.argv.slice(2);
+  const { profile, args } = parseProfileFlag(process.argv.slice(2));
+  const config = loadConfig({ profile });
+
+  // --no-backup skips the backup reset takes first
+  const skipBackup = takeFlag(args, '--no-backup') === true;
+  // schema diff options
+  const fromMigrations = takeFlag(args, '--from-migrations') === true;
+  const writeName = takeFlag(args, '--write', { value: true });
+
+  // Database may be omitted when the profile / ARCADEDB_DATABASE provides it
+  if (COMMANDS.includes(args[0]) && config.database) {
+    args.unshift(config.database);
+  }
 
   if (args.length < 2) {
-    console.log('Usage: bun migrator.js <database> <command> [options]');
+    console.log('Usage: bun migrator.js [--profile <name>] [database] <command> [options]');
     console.log('\nCommands:');
     console.log('  migrate           Apply pending migrations');
     console.log('  rollback [N]      Rollback last N migrations (default: 1)');
-    console.log('  reset             Rollback all, then migrate');
+    console.log('  reset             Backup, rollback all, then migrate (--no-backup to skip the backup)');
     console.log('  status            Show migration status');
     console.log('  create <name>     Create a new migration file');
+    console.log('  backup            Backup the database (zip in the server\'s backups/ directory)');
+    console.log('  export [format] [file]  Export as jsonl (default) or graphml to the server\'s exports/ directory');
+    console.log('  import <file>     Import an export (server path or URL) into the database');
+    console.log('  types [file]      Write TypeScript interfaces for the schema (default: examples/types/cms.d.ts;');
+    console.log('                    migrate and rollback refresh it too)');
+    console.log('  declared-types    Write TypeScript interfaces for cms-schema.js to examples/types/cms.d.ts');
+    console.log('  schema diff       Compare the database with cms-schema.js (--from-migrations: compare');
+    console.log('                    what the migrations build instead); --write <name> saves a migration');
     console.log('\nExamples:');
     console.log('  bun migrator.js language_cms migrate');
     console.log('  bun migrator.js language_cms rollback 2');
     console.log('  bun migrator.js language_cms create add_user_preferences');
+    console.log('  bun migrator.js language_cms export graphml');
+    console.log('  bun migrator.js language_cms schema diff --write add_card_hints');
+    console.log('  bun migrator.js --profile staging migrate');
+    console.log('\nConnection settings come from ARCADEDB_URL/USER/PASSWORD/DATABASE');
+    console.log('or a profile in arcadedb.toml / arcadedb.json.');
     process.exit(1);
   }
 
@@ -304,36 +381,22 @@ async function main() {
       process.exit(1);
     }
 
-    const timestamp = new Date().toISOString()
-      .replace(/[-:T]/g, '')
-      .slice(0, 14);
-
-    const filename = `${timestamp}_${name}.js`;
-    const filepath = join(migrationsPath, filename);
-
-    const template = `// Migration: ${name}
-// Created: ${new Date().toISOString()}
-
-export async function up(db, command, query) {
-  // Apply migration
-  // Example:
-  // await command(db, 'CREATE DOCUMENT TYPE MyType IF NOT EXISTS');
-  // await command(db, 'CREATE PROPERTY MyType.name STRING IF NOT EXISTS');
-}
+    const filename = await writeMigration(migrationsPath, name);
+    console.log(`Created: ${filename}`);
+    process.exit(0);
+  }
 
-export async function down(db, command, query) {
-  // Rollback migration
-  // Example:
-  // await command(db, 'DROP TYPE MyType IF EXISTS');
-}
-`;
+  const typesFile = join(import.meta.dir, '../types/cms.d.ts');
 
-    await Bun.write(filepath, template);
-    console.log(`Created: ${filename}`);
+  // Declared types don't need a DB connection either
+  if (cmd === 'declared-types') {
+    await Bun.write(typesFile, declaredTypes());
+    console.log(`Types written to ${typesFile}`);
     process.exit(0);
   }
 
-  const migrator = new Migrator(dbName, migrationsPath);
+  const db = new ArcadexClient({ ...config, database: dbName });
+  const migrator = new Migrator(db, migrationsPath, { typesFile });
 
   switch (cmd) {
     case 'migrate':
@@ -346,13 +409,82 @@ export async function down(db, command, query) {
       break;
 
     case 'reset':
-      await migrator.reset();
+      await migrator.reset({ backup: !skipBackup });
       break;
 
     case 'status':
       await migrator.status();
       break;
 
+    case 'backup':
+      await migrator.backup();
+      break;
+
+    case 'export': {
+      const result = await db.exportDatabase({ format: args[2] || 'jsonl', file: args[3] || null });
+      console.log(`Export done: ${JSON.stringify(result)}`);
+      break;
+    }
+
+    case 'import': {
+      if (!args[2]) {
+        console.error('Error: File or URL to import required');
+        process.exit(1);
+      }
+      const result = await db.importDatabase(args[2]);
+      console.log(`Import done: ${JSON.stringify(result)}`);
+      break;
+    }
+
+    case 'types':
+      await migrator.generateTypes(args[2] || typesFile);
+      break;
+
+    case 'schema': {
+      if (args[2] !== 'diff') {
+        console.error('Usage: schema diff [--from-migrations] [--write <name>]');
+        process.exit(1);
+      }
+      const changes = await migrator.schemaDiff(CMS_TYPES, { fromMigrations });
+      const from = fromMigrations ? 'the migrations' : dbName;
+
+      if (changes.length === 0) {
+        console.log(`${from} ${fromMigrations ? 'match' : 'matches'} cms-schema.js.`);
+        break;
+      }
+      console.log(`${changes.length} change(s) from ${from} to cms-schema.js:\n`);
+      for (const change of changes) console.log(`  ${formatChange(change)}`);
+
+      const { up, down, notes } = migrationDDL(changes);
+      if (notes.length > 0) {
+        console.log('\nNo DDL for:');
+        for (const note of notes) console.log(`  ${note}`);
+      }
+
+      if (writeName) {
+        // Changes without DDL are left out of the migration and listed in its
+        // header; with nothing else to write there is no migration at all
+        if (up.length === 0) {
+          console.error(`\nError: no change has DDL, write the migration by hand (create ${writeName})`);
+          process.exit(1);
+        }
+        const comment = [
+          `Generated by schema diff from ${from} to cms-schema.js`,
+          ...(notes.length > 0 ? ['Not included, migrate by hand:', ...notes.map(note => `  ${note}`)] : [])
+        ];
+        const filename = await writeMigration(migrationsPath, writeName, {
+          up: commandLines(up),
+          down: commandLines(down),
+          comment: comment.join('\n')
+        });
+        console.log(`\nCreated: ${filename}`);
+        if (notes.length > 0) {
+          console.log(`${notes.length} change(s) without DDL were left out, see the header of ${filename}.`);
+        }
+      }
+      break;
+    }
+
     default:
       console.error(`Unknown command: ${cmd}`);
       process.exit(1);
@@ -360,7 +492,7 @@ export async function down(db, command, query) {
 }
 
 // Export for programmatic use
-export { Migrator, command, query };
+export { Migrator, writeMigration, declaredTypes };
 
 // Run CLI if executed directly
 if (import.meta.main) {
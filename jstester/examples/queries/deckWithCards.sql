@@ -0,0 +1,27 @@
+-- name: deckWithCards
+-- params: deckUid
+-- result: one
+-- description: Host deck by uid with all its host cards, in one query via nested projection
+SELECT
+  @rid,
+  uid,
+  name,
+  hostCountry,
+  hostLang,
+  (SELECT
+    @rid as hostCardRid,
+    uid,
+    translation,
+    explanation1,
+    explanation2,
+    explanation3,
+    baseCard.uid as baseUid,
+    baseCard.text as text,
+    baseCard.cloze_text as clozeText,
+    baseCard.pronunciation as pronunciation,
+    baseCard.`order` as `order`
+   FROM HostCard
+   WHERE hostDeck = $parent.$current
+   ORDER BY baseCard.`order`) as cards
+FROM HostDeck
+WHERE uid = :deckUid
@@ -0,0 +1,23 @@
+-- name: deckWithCardsByRid
+-- params: deckRid
+-- result: one
+-- description: Host deck by @rid with a summary of its host cards
+SELECT
+  @rid,
+  uid,
+  name,
+  hostCountry,
+  hostLang,
+  (SELECT
+    @rid as hostCardRid,
+    uid,
+    translation,
+    explanation1,
+    baseCard.uid as baseUid,
+    baseCard.text as text,
+    baseCard.cloze_text as clozeText
+   FROM HostCard
+   WHERE hostDeck = $parent.$current
+   ORDER BY baseCard.`order`) as cards
+FROM HostDeck
+WHERE @rid = :deckRid
@@ -1,16 +1,19 @@
 // Test fetching deck with all cards in a single request
-import { LanguageCMS } from './language-cms.js';
+import { ArcadexClient, measureQueries, parseProfileFlag } from '../lib/index.js';
+import { LanguageCMS, cmsQueries } from './language-cms.js';
 
-const cms = new LanguageCMS('language_cms_import');
+const { profile } = parseProfileFlag(process.argv.slice(2));
+const client = ArcadexClient.fromConfig({ profile });
+const db = client.withDatabase(client.database || 'language_cms_import');
+const cms = new LanguageCMS(db);
 
 async function main() {
   console.log('=== Fetching Deck with Cards (Single SQL Query with Nested Projections) ===\n');
 
   const deckUid = 'kids-en_us-si-sl.00-pre-a1.01-greetings';
 
-  console.time('Fetch time');
-  const deck = await cms.getDeckWithCards(deckUid);
-  console.timeEnd('Fetch time');
+  const { result: deck, queries, duration } = await measureQueries(db, () => cms.getDeckWithCards(deckUid));
+  console.log(`Fetch time: ${duration.toFixed(1)}ms (${queries.length} ${queries.length === 1 ? 'query' : 'queries'})`);
 
   if (!deck) {
     console.error('Deck not found:', deckUid);
@@ -36,29 +39,15 @@ async function main() {
     }
   });
 
-  console.log('\n--- SQL Query Used (Nested Projections) ---');
-  const sqlQuery = `
-SELECT
-  @rid, uid, name, hostCountry, hostLang,
-  (SELECT
-    @rid as hostCardRid,
-    uid,
-    translation,
-    explanation1,
-    explanation2,
-    explanation3,
-    baseCard.uid as baseUid,
-    baseCard.text as text,
-    baseCard.cloze_text as clozeText,
-    baseCard.pronunciation as pronunciation,
-    baseCard.\`order\` as \`order\`
-   FROM HostCard
-   WHERE hostDeck = $parent.$current
-   ORDER BY baseCard.\`order\`) as cards
-FROM HostDeck
-WHERE uid = '${deckUid}'
-`;
-  console.log(sqlQuery);
+  const source = cmsQueries.get('deckWithCards');
+  console.log(`\n--- SQL Query Used (${source.name}: ${source.description}) ---`);
+  console.log(source.sql);
+  console.log('Params:', queries[0].params);
+
+  console.log('\n--- Registered Queries ---');
+  for (const query of cmsQueries.list()) {
+    console.log(`${query.name}(${query.params.join(', ')}) -> ${query.result}  [${query.file}]`);
+  }
 }
 
 main().catch(console.error);
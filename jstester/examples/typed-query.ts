@@ -0,0 +1,23 @@
+// Typed queries with the generated interfaces (bun migrator.js <db> types)
+import { ArcadexClient, parseProfileFlag, type Rid } from '../lib/index.js';
+import type { BaseCard, BaseDeck, HostDeck } from './types/cms.js';
+
+const { profile } = parseProfileFlag(process.argv.slice(2));
+const client = ArcadexClient.fromConfig({ profile });
+const db = client.withDatabase(client.database || 'language_cms_import');
+
+async function main() {
+  const decks = await db.query<HostDeck>('SELECT FROM HostDeck ORDER BY name LIMIT 5', null, { decode: true });
+
+  for (const deck of decks) {
+    const cards = await db.query<BaseCard>(
+      'SELECT FROM BaseCard WHERE deck = :deck ORDER BY `order` LIMIT 3',
+      { deck: deck.baseDeck },
+      { decode: true }
+    );
+    const baseDeck: Rid<BaseDeck> | null | undefined = cards[0]?.deck;
+    console.log(`${deck.name} (${deck['@rid']}): ${cards.map(card => card.text).join(', ')} [${baseDeck ?? '-'}]`);
+  }
+}
+
+main().catch(console.error);
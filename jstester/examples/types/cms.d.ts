@@ -0,0 +1,147 @@
+// Generated from the ArcadeDB schema by lib/typegen.js - do not edit.
+// Source: examples/cms-schema.js
+// Row shapes of decoded results (decode: true).
+
+import type { Rid, Decimal } from '../../lib/index.js';
+
+export interface BaseCard {
+  '@rid': Rid<BaseCard>;
+  '@type': string;
+  uid?: string | null;
+  text?: string | null;
+  countryAffinity?: string | null;
+  deck?: Rid<BaseDeck> | null;
+  order?: number | null;
+  pronunciation?: string | null;
+  words?: string[] | null;
+  wordTypes?: string[] | null;
+  cloze_text?: string | null;
+  createdAt?: Date | null;
+  updatedAt?: Date | null;
+}
+
+export interface BaseCourse {
+  '@rid': Rid<BaseCourse>;
+  '@type': string;
+  uid?: string | null;
+  name?: string | null;
+  summary?: string | null;
+  lang?: string | null;
+  version?: number | null;
+  createdAt?: Date | null;
+  updatedAt?: Date | null;
+}
+
+export interface BaseDeck {
+  '@rid': Rid<BaseDeck>;
+  '@type': string;
+  uid?: string | null;
+  name?: string | null;
+  lang?: string | null;
+  track?: Rid<BaseTrack> | null;
+  order?: number | null;
+  createdAt?: Date | null;
+  updatedAt?: Date | null;
+}
+
+export interface BaseTrack {
+  '@rid': Rid<BaseTrack>;
+  '@type': string;
+  uid?: string | null;
+  name?: string | null;
+  lang?: string | null;
+  course?: Rid<BaseCourse> | null;
+  order?: number | null;
+  createdAt?: Date | null;
+  updatedAt?: Date | null;
+}
+
+export interface HostCard {
+  '@rid': Rid<HostCard>;
+  '@type': string;
+  uid?: string | null;
+  baseCard?: Rid<BaseCard> | null;
+  hostDeck?: Rid<HostDeck> | null;
+  hostCountry?: string | null;
+  hostLang?: string | null;
+  translation?: string | null;
+  explanation1?: string | null;
+  explanation2?: string | null;
+  explanation3?: string | null;
+  createdAt?: Date | null;
+  updatedAt?: Date | null;
+}
+
+export interface HostCourse {
+  '@rid': Rid<HostCourse>;
+  '@type': string;
+  uid?: string | null;
+  baseCourse?: Rid<BaseCourse> | null;
+  hostCountry?: string | null;
+  hostLang?: string | null;
+  name?: string | null;
+  summary?: string | null;
+  createdAt?: Date | null;
+  updatedAt?: Date | null;
+}
+
+export interface HostDeck {
+  '@rid': Rid<HostDeck>;
+  '@type': string;
+  uid?: string | null;
+  baseDeck?: Rid<BaseDeck> | null;
+  hostTrack?: Rid<HostTrack> | null;
+  hostCountry?: string | null;
+  hostLang?: string | null;
+  name?: string | null;
+  createdAt?: Date | null;
+  updatedAt?: Date | null;
+}
+
+export interface HostTrack {
+  '@rid': Rid<HostTrack>;
+  '@type': string;
+  uid?: string | null;
+  baseTrack?: Rid<BaseTrack> | null;
+  hostCourse?: Rid<HostCourse> | null;
+  hostCountry?: string | null;
+  hostLang?: string | null;
+  name?: string | null;
+  createdAt?: Date | null;
+  updatedAt?: Date | null;
+}
+
+export interface TTSAudio {
+  '@rid': Rid<TTSAudio>;
+  '@type': string;
+  baseCard?: Rid<BaseCard> | null;
+  settings?: Rid<TTSSettings> | null;
+  fileUrl?: string | null;
+  duration?: number | null;
+  createdAt?: Date | null;
+}
+
+export interface TTSSettings {
+  '@rid': Rid<TTSSettings>;
+  '@type': string;
+  name?: string | null;
+  provider?: string | null;
+  engine?: string | null;
+  voice?: string | null;
+  options?: Record<string, unknown> | null;
+  createdAt?: Date | null;
+}
+
+// Type name -> interface, e.g. for generic helpers
+export interface DatabaseTypes {
+  BaseCard: BaseCard;
+  BaseCourse: BaseCourse;
+  BaseDeck: BaseDeck;
+  BaseTrack: BaseTrack;
+  HostCard: HostCard;
+  HostCourse: HostCourse;
+  HostDeck: HostDeck;
+  HostTrack: HostTrack;
+  TTSAudio: TTSAudio;
+  TTSSettings: TTSSettings;
+}
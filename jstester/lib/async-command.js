@@ -0,0 +1,67 @@
+// Async commands
+// JS counterpart of Arcadex.Query.command_async/4: the server acknowledges the
+// command (awaitResponse: false) and runs it in the background, so neither its
+// result nor its errors come back. With `poll`, completion is confirmed by
+// re-running a query - a marker record or a count - until it passes.
+
+import { AbortError, TimeoutError } from './errors.js';
+import { reportError } from './telemetry.js';
+
+const DEFAULT_POLL = {
+  interval: 1000,     // ms between poll queries
+  timeout: 60_000,    // ms before giving up; null waits forever
+  until: rows => rows.length > 0
+};
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Re-run query until until(rows) holds; resolves to those rows.
+// queryOpts ({ timeout, signal } of the call) apply to every poll query
+async function pollUntil(client, {
+  query,
+  params = null,
+  until = DEFAULT_POLL.until,
+  interval = DEFAULT_POLL.interval,
+  timeout = DEFAULT_POLL.timeout
+}, queryOpts = {}) {
+  const { signal = null } = queryOpts;
+  const deadline = timeout ? Date.now() + timeout : Infinity;
+  while (true) {
+    const rows = await client.query(query, params, queryOpts);
+    if (until(rows)) return rows;
+
+    if (Date.now() + interval > deadline) {
+      throw new TimeoutError('Async command not confirmed', { detail: `poll query did not pass within ${timeout}ms` });
+    }
+    await sleep(interval);
+    if (signal?.aborted) {
+      throw new AbortError('Poll aborted', { detail: signal.reason?.message ?? String(signal.reason) });
+    }
+  }
+}
+
+async function commandAsync(client, statement, params, { poll = null, onComplete = null, ...opts } = {}) {
+  if (poll && !poll.query) {
+    throw new Error('poll needs a query');
+  }
+  if (onComplete && !poll) {
+    throw new Error('onComplete needs poll to know when the command is done');
+  }
+
+  await client.run('command', 'sql', statement, params, { ...opts, awaitResponse: false });
+  if (!poll) return true;
+
+  const done = pollUntil(client, poll, { timeout: opts.timeout, signal: opts.signal });
+  if (!onComplete) return done;
+
+  // Nobody awaits this chain: an onComplete that throws goes to the client's
+  // `error` event instead of becoming an unhandled rejection
+  done
+    .then(rows => onComplete(null, rows), error => onComplete(error))
+    .catch(error => reportError(client.events, error));
+  return true;
+}
+
+export { commandAsync };
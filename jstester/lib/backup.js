@@ -0,0 +1,54 @@
+// Backup, export and import
+// Wrappers for ArcadeDB's BACKUP DATABASE, EXPORT DATABASE and IMPORT
+// DATABASE commands. They run on the server, so files live on the server's
+// file system: backups under its backups/ directory, exports under exports/
+// (relative paths), imports from any path or http(s) URL it can read.
+
+// URLs go into the command unquoted, so allow only what a path or URL needs
+const URL_PATTERN = /^[A-Za-z0-9_.~%/:?=&+-]+$/;
+
+const EXPORT_FORMATS = {
+  jsonl: { name: 'JSONL', extension: 'jsonl.tgz' },
+  graphml: { name: 'GraphML', extension: 'graphml.tgz' }
+};
+
+// path or URL -> URL; bare paths become file:// URLs
+function toUrl(file) {
+  if (typeof file !== 'string' || !URL_PATTERN.test(file)) {
+    throw new Error(`Invalid file or URL: ${file}`);
+  }
+  return /^[a-z]+:\/\//i.test(file) ? file : `file://${file}`;
+}
+
+// 2024-11-19T10:22:33.123Z -> 20241119-102233
+function timestamp() {
+  return new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+}
+
+// Full backup (zip). Without file the server names it <db>-backup-<timestamp>.zip.
+// Returns the command's result row.
+async function backup(client, { file = null } = {}) {
+  const sql = file ? `BACKUP DATABASE ${toUrl(file)}` : 'BACKUP DATABASE';
+  const [result] = await client.command(sql);
+  return result;
+}
+
+// Export in format 'jsonl' (default) or 'graphml', to file (default
+// <db>-<timestamp>.<format>.tgz). Returns the command's result row.
+async function exportDatabase(client, { format = 'jsonl', file = null, overwrite = false } = {}) {
+  const target = EXPORT_FORMATS[format];
+  if (!target) {
+    throw new Error(`Unknown export format '${format}', expected one of ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+  }
+  const url = toUrl(file || `${client.database}-${timestamp()}.${target.extension}`);
+  const [result] = await client.command(`EXPORT DATABASE ${url} FORMAT ${target.name} OVERWRITE ${overwrite}`);
+  return result;
+}
+
+// Import an export (JSONL, GraphML, GraphSON, ...) into the client's database
+async function importDatabase(client, file) {
+  const [result] = await client.command(`IMPORT DATABASE ${toUrl(file)}`);
+  return result;
+}
+
+export { backup, exportDatabase, importDatabase };
@@ -0,0 +1,48 @@
+// Batch execution
+// Compiles a list of statements into one `sqlscript` request:
+//
+//   LET r0 = <statement 0>;
+//   LET r1 = <statement 1>;
+//   RETURN { "r0": $r0, "r1": $r1 }
+//
+// Each statement's named params are renamed (:name -> :s1_name) so statements
+// can reuse the same param names without clashing in the shared script scope.
+
+import { replaceParams, resolveStatement } from './sql.js';
+
+// ============================================================================
+// Compilation
+// ============================================================================
+
+// Returns { script, params, keys } - keys[i] is the RETURN key for statement i
+function compileBatch(statements, { transaction = false } = {}) {
+  const lines = [];
+  const params = {};
+  const keys = [];
+
+  if (transaction) lines.push('BEGIN;');
+
+  statements.map(statement => resolveStatement(statement)).forEach(({ sql, params: own }, i) => {
+    const key = `r${i}`;
+    const prefix = `s${i}_`;
+    const body = sql.trim().replace(/;+$/, '');
+
+    const renamed = replaceParams(body, name => {
+      if (!own || !(name in own)) {
+        throw new Error(`Batch statement ${i}: missing param :${name}`);
+      }
+      params[prefix + name] = own[name];
+      return `:${prefix}${name}`;
+    });
+
+    lines.push(`LET ${key} = ${renamed};`);
+    keys.push(key);
+  });
+
+  if (transaction) lines.push('COMMIT;');
+  lines.push(`RETURN { ${keys.map(k => `"${k}": $${k}`).join(', ')} }`);
+
+  return { script: lines.join('\n'), params, keys };
+}
+
+export { compileBatch };
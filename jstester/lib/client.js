@@ -0,0 +1,479 @@
+// ArcadeDB HTTP Client
+// JS counterpart of Arcadex.Conn + Arcadex.Query: one place that knows the
+// base URL, credentials, target database and (optional) transaction session.
+
+import { ArcadeError, TimeoutError, AbortError } from './errors.js';
+import { DEFAULTS, loadConfig } from './config.js';
+import { transaction } from './transaction.js';
+import { compileBatch } from './batch.js';
+import { resolveStatement } from './sql.js';
+import { bindRids } from './rid.js';
+import { stream } from './stream.js';
+import { backup, exportDatabase, importDatabase } from './backup.js';
+import { commandAsync } from './async-command.js';
+import { Schema } from './schema.js';
+import { applySchema } from './define-type.js';
+import { RequestLimiter } from './limiter.js';
+import { EVENTS, createEmitter, emitQuery, slowQueryLogger } from './telemetry.js';
+import { preciseNumbers, bigintReplacer, loadTypes, changesSchema, decodeResult } from './decode.js';
+
+const SERIALIZERS = ['record', 'graph', 'studio'];
+
+// ============================================================================
+// Request Helpers
+// ============================================================================
+
+// Build the JSON body for /api/v1/query and /api/v1/command
+function buildBody(language, command, params, opts = {}) {
+  const body = { language, command };
+  if (params && Object.keys(params).length > 0) body.params = params;
+  if (opts.limit) body.limit = opts.limit;
+  if (opts.retries) body.retries = opts.retries;
+  if (opts.serializer) {
+    if (!SERIALIZERS.includes(opts.serializer)) {
+      throw new Error(`Unknown serializer '${opts.serializer}', expected one of ${SERIALIZERS.join(', ')}`);
+    }
+    body.serializer = opts.serializer;
+  }
+  if (opts.awaitResponse === false) body.awaitResponse = false;
+  return body;
+}
+
+// SQL + params, a builder or a { sql, params } object -> what goes on the wire.
+// Rid params are bound as literals in SQL (see rid.js); other languages get
+// them as '#12:3' strings.
+function prepareStatement(language, statement, params) {
+  const resolved = resolveStatement(statement, params);
+  if (language !== 'sql' && language !== 'sqlscript') return resolved;
+  return bindRids(resolved.sql, resolved.params);
+}
+
+// Signal that aborts when any of the given ones does (null entries ignored)
+function anySignal(...signals) {
+  const active = signals.filter(Boolean);
+  if (active.length <= 1) return active[0] || null;
+  return AbortSignal.any(active);
+}
+
+// Error for a request cut short by its timeout or an AbortSignal. A reason
+// that is already an ArcadeError (e.g. from a transaction) is passed through.
+function cancellationError(reason, { timeout, timer }, context) {
+  if (reason instanceof ArcadeError) return reason;
+  if (timer && reason === timer.reason) {
+    return new TimeoutError('Request timed out', { detail: `no response within ${timeout}ms`, ...context });
+  }
+  if (reason?.name === 'TimeoutError') {
+    return new TimeoutError('Request timed out', { detail: reason.message, ...context });
+  }
+  return new AbortError('Request aborted', { detail: reason?.message ?? String(reason), ...context });
+}
+
+// Parse a response body, tolerating empty (204) and non-JSON payloads
+function parseBody(res, text, reviver) {
+  if (!text) return {};
+  try {
+    return JSON.parse(text, reviver);
+  } catch (e) {
+    return { error: `HTTP ${res.status}`, detail: text };
+  }
+}
+
+// ============================================================================
+// ArcadexClient
+// ============================================================================
+
+class ArcadexClient {
+  // limiter: a RequestLimiter to share, or its options ({ maxActive, maxQueue }) for a new one
+  // events: emitter to share (derived clients get their parent's; see telemetry.js)
+  // timeout: default per-request timeout in ms (null = none)
+  // signal: AbortSignal that cancels every query and command of this client
+  // serializer: default result format - 'record' (server default), 'graph' or 'studio'
+  // decode: decode results by schema type (see decode.js)
+  // typeCache: schema types per database to share (derived clients get their parent's)
+  // queries: QueryRegistry for named() (see queries.js)
+  constructor({
+    url = DEFAULTS.url,
+    database = DEFAULTS.database,
+    user = DEFAULTS.user,
+    password = DEFAULTS.password,
+    sessionId = null,
+    limiter = null,
+    events = null,
+    timeout = null,
+    signal = null,
+    serializer = null,
+    decode = false,
+    typeCache = null,
+    queries = null
+  } = {}) {
+    this.url = url.replace(/\/+$/, '');
+    this.database = database;
+    this.user = user;
+    this.password = password;
+    this.sessionId = sessionId;
+    this.limiter = RequestLimiter.from(limiter);
+    this.events = events || createEmitter();
+    this.timeout = timeout;
+    this.signal = signal;
+    this.serializer = serializer;
+    this.decode = decode;
+    this.typeCache = typeCache || new Map();
+    this.queries = queries;
+  }
+
+  // Client from env vars / config file profile (see config.js).
+  // overrides: explicit settings that win over the loaded config
+  static fromConfig({ profile = null, defaultProfile, ...overrides } = {}) {
+    return new ArcadexClient({ ...loadConfig({ profile, defaultProfile }), ...overrides });
+  }
+
+  // Settings needed to build a sibling client
+  get config() {
+    return {
+      url: this.url,
+      database: this.database,
+      user: this.user,
+      password: this.password,
+      sessionId: this.sessionId,
+      limiter: this.limiter,
+      events: this.events,
+      timeout: this.timeout,
+      signal: this.signal,
+      serializer: this.serializer,
+      decode: this.decode,
+      typeCache: this.typeCache,
+      queries: this.queries
+    };
+  }
+
+  // Active / queued request counts of the shared limiter (see limiter.js)
+  limiterStats() {
+    return this.limiter.stats();
+  }
+
+  // --- TELEMETRY ---
+
+  // Subscribe to query:* / transaction:* events (payloads in telemetry.js), or
+  // to `error` for errors thrown by listeners and callbacks
+  on(event, listener) {
+    if (!EVENTS.includes(event)) {
+      throw new Error(`Unknown event '${event}', expected one of ${EVENTS.join(', ')}`);
+    }
+    this.events.on(event, listener);
+    return this;
+  }
+
+  off(event, listener) {
+    this.events.off(event, listener);
+    return this;
+  }
+
+  // Log queries slower than threshold ms (default 100) via log (default
+  // console.warn). Returns a function that stops logging.
+  logSlowQueries(opts = {}) {
+    const listener = slowQueryLogger(opts);
+    this.on('query:end', listener);
+    return () => this.off('query:end', listener);
+  }
+
+  // Same server and credentials, different database (sessions are per database)
+  withDatabase(database) {
+    return new ArcadexClient({ ...this.config, database, sessionId: null });
+  }
+
+  // Same database, bound to a transaction session. signal replaces this
+  // client's one (transaction() passes one that also fires on its timeout).
+  withSession(sessionId, { signal = this.signal } = {}) {
+    return new ArcadexClient({ ...this.config, sessionId, signal });
+  }
+
+  // Same connection, with a QueryRegistry for named()
+  withQueries(queries) {
+    return new ArcadexClient({ ...this.config, queries });
+  }
+
+  // --- HTTP ---
+
+  // context ({sql, params}) is attached to any error raised.
+  // Options:
+  //   timeout (ms) - throw TimeoutError without a response by then (default: client timeout)
+  //   signal       - AbortSignal; throws AbortError when it fires
+  //   reviver      - JSON.parse reviver for the response
+  async request(method, path, body = null, context = {}, { timeout = this.timeout, signal = null, reviver } = {}) {
+    const headers = {
+      'Authorization': 'Basic ' + btoa(`${this.user}:${this.password}`)
+    };
+    if (body) headers['Content-Type'] = 'application/json';
+    if (this.sessionId) headers['arcadedb-session-id'] = this.sessionId;
+
+    const timer = timeout ? AbortSignal.timeout(timeout) : null;
+    const cancel = anySignal(signal, timer);
+
+    let res, text;
+    try {
+      ({ res, text } = await this.limiter.fetch(`${this.url}${path}`, {
+        method,
+        headers,
+        body: body ? JSON.stringify(body, bigintReplacer) : undefined,
+        signal: cancel
+      }));
+    } catch (e) {
+      if (e instanceof ArcadeError) throw e;
+      if (cancel?.aborted) throw cancellationError(cancel.reason, { timeout, timer }, context);
+      throw new ArcadeError('Connection failed', { detail: e.message, ...context });
+    }
+
+    const json = parseBody(res, text, reviver);
+    if (!res.ok || json.error) {
+      throw ArcadeError.fromResponse(res.status, json, context);
+    }
+    return { json, headers: res.headers };
+  }
+
+  requireDatabase() {
+    if (!this.database) {
+      throw new ArcadeError('No database selected', { detail: 'use withDatabase()' });
+    }
+  }
+
+  // --- QUERIES & COMMANDS ---
+  // Each takes SQL + params, or a builder from sql.js / { sql, params } object
+  // in place of both. Options:
+  //   timeout (ms), signal - cancel the call (see request()); the server may
+  //                          still finish a cancelled statement
+  //   serializer           - 'record', 'graph' or 'studio' (default: client's)
+  //   decode               - decode values by schema type (default: client's)
+  //   types                - { field: TYPE } decode hints for projections
+
+  // Read-only query (SELECT / MATCH); returns the result rows. Row type for
+  // TypeScript callers: db.query<BaseCard>(...) with generated interfaces (see typegen.js)
+  /**
+   * @template [T=any]
+   * @param {string | object} statement
+   * @param {Record<string, any> | null} [params]
+   * @param {Record<string, any>} [opts]
+   * @returns {Promise<T[]>}
+   */
+  async query(statement, params = null, opts = {}) {
+    return this.run('query', 'sql', statement, params, opts);
+  }
+
+  // Async iterator over every row of a SELECT, fetched pageSize (default 1000)
+  // rows at a time: for await (const card of db.stream(select().from('HostCard'))) ...
+  // select() builders page by @rid, plain SQL by SKIP/LIMIT (see stream.js).
+  // opts.include: LINK paths loaded onto each page (see include.js)
+  /**
+   * @template [T=any]
+   * @param {string | object} statement
+   * @param {Record<string, any> | null} [params]
+   * @param {Record<string, any>} [opts]
+   * @returns {AsyncGenerator<T>}
+   */
+  stream(statement, params = null, opts = {}) {
+    return stream(this, statement, params, opts);
+  }
+
+  // Write command (INSERT/UPDATE/DELETE/DDL); returns the result rows
+  /**
+   * @template [T=any]
+   * @param {string | object} sql
+   * @param {Record<string, any> | null} [params]
+   * @param {Record<string, any>} [opts]
+   * @returns {Promise<T[]>}
+   */
+  async command(sql, params = null, opts = {}) {
+    return this.execute('sql', sql, params, opts);
+  }
+
+  // Fire-and-forget command (awaitResponse: false); resolves once the server
+  // has accepted it. The server reports nothing back, so to know it finished:
+  //   poll       - { query, params, until, interval, timeout }: resolve with the
+  //                query's rows once until(rows) holds (default: any row), or
+  //                throw TimeoutError (default 60s)
+  //   onComplete - (error, rows) callback; resolve right after acceptance and
+  //                report the poll outcome here instead (if it throws, the
+  //                error goes to the `error` event)
+  // timeout and signal also apply to every poll query.
+  async commandAsync(sql, params = null, opts = {}) {
+    return commandAsync(this, sql, params, opts);
+  }
+
+  // Query from the attached registry by name; params must match its header.
+  // SELECT/MATCH/TRAVERSE go to the read-only endpoint, anything else runs as
+  // a command. Returns rows, or the first row (null if none) for result: one.
+  async named(name, params = null, opts = {}) {
+    if (!this.queries) {
+      throw new Error('No query registry, use withQueries()');
+    }
+    const { query, params: bound } = this.queries.bind(name, params);
+    const rows = await this.run(query.readOnly ? 'query' : 'command', query.language, query.sql, bound, opts);
+    return query.result === 'one' ? rows[0] ?? null : rows;
+  }
+
+  // Multi-statement SQL script (LET/RETURN)
+  async script(script, params = null, opts = {}) {
+    return this.execute('sqlscript', script, params, opts);
+  }
+
+  // Cypher query; params are referenced as $name
+  async cypher(query, params = null, opts = {}) {
+    return this.execute('cypher', query, params, opts);
+  }
+
+  // Gremlin traversal; params are bound as script variables
+  async gremlin(traversal, params = null, opts = {}) {
+    return this.execute('gremlin', traversal, params, opts);
+  }
+
+  // GraphQL query or type definition
+  async graphql(query, params = null, opts = {}) {
+    return this.execute('graphql', query, params, opts);
+  }
+
+  // Run many statements in one sqlscript round trip; returns one result array per
+  // statement. Statements are SQL strings, { sql, params } or builders - each keeps
+  // its own param names. Options:
+  //   transaction - wrap in BEGIN/COMMIT (DML only: ArcadeDB schema changes are
+  //                 not transactional)
+  async batch(statements, { transaction = false, ...opts } = {}) {
+    if (statements.length === 0) return [];
+    const { script, params, keys } = compileBatch(statements, { transaction });
+    const [row] = await this.script(script, params, opts);
+    return keys.map(key => row?.[key] ?? []);
+  }
+
+  // Command in any language ArcadeDB understands: sql, sqlscript, cypher, gremlin, graphql, mongo
+  async execute(language, statement, params = null, opts = {}) {
+    return this.run('command', language, statement, params, opts);
+  }
+
+  // POST to /api/v1/{endpoint}/db with query telemetry; returns the result rows
+  async run(endpoint, language, statement, params, opts) {
+    this.requireDatabase();
+    const { sql, params: bound } = prepareStatement(language, statement, params);
+    const { serializer = this.serializer, decode = this.decode } = opts;
+    const body = buildBody(language, sql, bound, { ...opts, serializer });
+    const event = { language, sql, params: bound, database: this.database, sessionId: this.sessionId };
+    const types = decode ? await this.recordTypes() : null;
+
+    return emitQuery(this.events, event, async () => {
+      const { json } = await this.request('POST', `/api/v1/${endpoint}/${this.database}`, body, { sql, params: bound }, {
+        timeout: opts.timeout,
+        signal: anySignal(opts.signal, this.signal),
+        reviver: decode ? preciseNumbers : undefined
+      });
+      if (endpoint === 'command' && changesSchema(sql)) this.typeCache.delete(this.database);
+      return decode ? decodeResult(json.result, types, { hints: opts.types }) : json.result;
+    });
+  }
+
+  // Property types of this database's record types, loaded from schema:types
+  // on first use and cached until a DDL command goes through a client that
+  // shares the cache
+  recordTypes() {
+    if (!this.typeCache.has(this.database)) {
+      const loading = loadTypes(this.withDatabase(this.database)).catch(e => {
+        this.typeCache.delete(this.database);
+        throw e;
+      });
+      this.typeCache.set(this.database, loading);
+    }
+    return this.typeCache.get(this.database);
+  }
+
+  // --- SCHEMA ---
+
+  // Type, property and index descriptors of this database (see schema.js):
+  // await db.schema.hasProperty('BaseCard', 'cloze_text')
+  get schema() {
+    return new Schema(this);
+  }
+
+  // Create the defineType() types, their properties and indexes where missing
+  // (one batch, see define-type.js). Returns the DDL statements.
+  async applySchema(types) {
+    return applySchema(this, types);
+  }
+
+  // --- TRANSACTIONS ---
+
+  // Run fn(tx) in a transaction: commit on resolve, rollback on throw.
+  // Options:
+  //   timeout (ms) - roll back and throw TransactionTimeoutError when exceeded
+  //   signal       - AbortSignal; roll back and throw AbortError when it fires
+  //   retry        - true or { maxAttempts, baseDelay, maxDelay, retryable }; re-runs
+  //                  fn on ConcurrentModificationError (or whatever retryable accepts)
+  async transaction(fn, opts = {}) {
+    return transaction(this, fn, opts);
+  }
+
+  // Begin a transaction; returns the session id
+  async begin() {
+    this.requireDatabase();
+    const { headers } = await this.request('POST', `/api/v1/begin/${this.database}`);
+    const sessionId = headers.get('arcadedb-session-id');
+    if (!sessionId) {
+      throw new ArcadeError('No session ID returned from begin');
+    }
+    return sessionId;
+  }
+
+  async commit() {
+    if (!this.sessionId) {
+      throw new ArcadeError('No active transaction');
+    }
+    await this.request('POST', `/api/v1/commit/${this.database}`);
+    return true;
+  }
+
+  // Rollback errors are swallowed (the session is gone either way)
+  async rollback() {
+    if (!this.sessionId) return true;
+    try {
+      await this.request('POST', `/api/v1/rollback/${this.database}`);
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  // --- BACKUP & EXPORT ---
+  // Files are on the server (see backup.js); each returns the command's result row.
+
+  // Full backup zip; file defaults to one named by the server
+  async backup(opts = {}) {
+    return backup(this, opts);
+  }
+
+  // Options: format ('jsonl' | 'graphml'), file, overwrite
+  async exportDatabase(opts = {}) {
+    return exportDatabase(this, opts);
+  }
+
+  // Load an export (server path or http(s) URL) into this database
+  async importDatabase(file) {
+    return importDatabase(this, file);
+  }
+
+  // --- SERVER ---
+
+  async serverCommand(command) {
+    const { json } = await this.request('POST', '/api/v1/server', { command }, { sql: command });
+    return json.result;
+  }
+
+  async createDatabase(name) {
+    return this.serverCommand(`create database ${name}`);
+  }
+
+  async dropDatabase(name) {
+    return this.serverCommand(`drop database ${name}`);
+  }
+
+  async databaseExists(name) {
+    const { json } = await this.request('GET', `/api/v1/exists/${name}`);
+    return json.result;
+  }
+}
+
+export { ArcadexClient, buildBody };
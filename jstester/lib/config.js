@@ -0,0 +1,103 @@
+// Connection settings
+// Resolved from (lowest to highest precedence): built-in local dev defaults,
+// a named profile in arcadedb.toml / arcadedb.json, then ARCADEDB_* env vars.
+//
+//   # arcadedb.toml
+//   [dev]
+//   url = "http://localhost:2480"
+//   user = "root"
+//   password = "playwithdata"
+//   database = "language_cms"
+
+import { existsSync, readFileSync } from 'fs';
+import { join, extname } from 'path';
+
+// Local docker setup (see the CI workflow)
+const DEFAULTS = {
+  url: 'http://localhost:2480',
+  user: 'root',
+  password: 'playwithdata',
+  database: null
+};
+
+const CONFIG_FILES = ['arcadedb.toml', 'arcadedb.json'];
+
+const ENV_VARS = {
+  url: 'ARCADEDB_URL',
+  user: 'ARCADEDB_USER',
+  password: 'ARCADEDB_PASSWORD',
+  database: 'ARCADEDB_DATABASE'
+};
+
+// ============================================================================
+// Loading
+// ============================================================================
+
+// ARCADEDB_CONFIG wins over the files looked up in cwd
+function findConfigFile(cwd, env) {
+  if (env.ARCADEDB_CONFIG) return env.ARCADEDB_CONFIG;
+  for (const name of CONFIG_FILES) {
+    const path = join(cwd, name);
+    if (existsSync(path)) return path;
+  }
+  return null;
+}
+
+function readConfigFile(path) {
+  const text = readFileSync(path, 'utf-8');
+  return extname(path) === '.toml' ? Bun.TOML.parse(text) : JSON.parse(text);
+}
+
+function pickSettings(source) {
+  const settings = {};
+  for (const key of Object.keys(DEFAULTS)) {
+    if (source[key] !== undefined && source[key] !== '') settings[key] = source[key];
+  }
+  return settings;
+}
+
+// profile: explicit name (e.g. from --profile); falls back to ARCADEDB_PROFILE,
+// then defaultProfile. Only an explicitly requested profile must exist.
+function loadConfig({ profile = null, defaultProfile = 'dev', cwd = process.cwd(), env = process.env } = {}) {
+  const requested = profile || env.ARCADEDB_PROFILE || null;
+  const name = requested || defaultProfile;
+  const path = findConfigFile(cwd, env);
+
+  let fromFile = {};
+  if (path) {
+    const profiles = readConfigFile(path);
+    if (profiles[name]) {
+      fromFile = profiles[name];
+    } else if (requested) {
+      throw new Error(`Profile '${name}' not found in ${path}`);
+    }
+  } else if (requested) {
+    throw new Error(`Profile '${name}' requested but no ${CONFIG_FILES.join(' or ')} found in ${cwd}`);
+  }
+
+  const fromEnv = {};
+  for (const [key, variable] of Object.entries(ENV_VARS)) {
+    fromEnv[key] = env[variable];
+  }
+
+  return { ...DEFAULTS, ...pickSettings(fromFile), ...pickSettings(fromEnv) };
+}
+
+// Strip --profile <name> / --profile=<name> from CLI args
+function parseProfileFlag(args) {
+  const rest = [];
+  let profile = null;
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--profile') {
+      profile = args[++i];
+      if (!profile) throw new Error('--profile requires a name');
+    } else if (args[i].startsWith('--profile=')) {
+      profile = args[i].slice('--profile='.length);
+    } else {
+      rest.push(args[i]);
+    }
+  }
+  return { profile, args: rest };
+}
+
+export { DEFAULTS, loadConfig, parseProfileFlag };
@@ -0,0 +1,42 @@
+// Decimal values
+// ArcadeDB DECIMAL is a Java BigDecimal, which a double can't hold exactly.
+// Decoded DECIMAL fields (see decode.js) come back as a Decimal that keeps
+// the exact digits; convert with toNumber() where a double is good enough.
+
+const DECIMAL_PATTERN = /^-?\d+(\.\d+)?([eE][+-]?\d+)?$/;
+
+class Decimal {
+  // value: decimal string, number or bigint
+  constructor(value) {
+    const text = String(value);
+    if (!DECIMAL_PATTERN.test(text)) {
+      throw new Error(`Invalid decimal: ${value}`);
+    }
+    this.value = text;
+    Object.freeze(this);
+  }
+
+  static isValid(value) {
+    return value instanceof Decimal || DECIMAL_PATTERN.test(String(value));
+  }
+
+  toNumber() {
+    return Number(this.value);
+  }
+
+  // Lets comparisons and arithmetic fall back to the double value
+  valueOf() {
+    return this.toNumber();
+  }
+
+  toString() {
+    return this.value;
+  }
+
+  // Exact JSON number where the runtime supports JSON.rawJSON, else a string
+  toJSON() {
+    return JSON.rawJSON ? JSON.rawJSON(this.value) : this.value;
+  }
+}
+
+export { Decimal };
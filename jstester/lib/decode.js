@@ -0,0 +1,202 @@
+// Typed result decoding
+// With `decode`, the client turns JSON results back into the types the schema
+// declares:
+//
+//   DATE / DATETIME*   -> Date (epoch ms, or text; text without an offset is UTC)
+//   LONG               -> BigInt
+//   DECIMAL            -> Decimal (decimal.js)
+//   LINK, @rid/@in/@out -> Rid
+//
+// Property types come from schema:types, matched by each record's @type.
+// Projections carry no @type, so they are only decoded through per-call
+// `types` hints ({ appliedAt: 'DATETIME' }). Works on all three serializer
+// shapes: record rows, and graph / studio { vertices, edges[, records] }.
+
+import { Rid } from './rid.js';
+import { Decimal } from './decimal.js';
+
+const DATE_TYPES = new Set(['DATE', 'DATETIME', 'DATETIME_SECOND', 'DATETIME_MICROS', 'DATETIME_NANOS']);
+
+const RID_FIELDS = new Set(['@rid', '@in', '@out']);
+
+// CREATE/ALTER/DROP of a type or property - the cached types are stale after it
+const SCHEMA_CHANGE = /\b(CREATE|ALTER|DROP)\s+((VERTEX|EDGE|DOCUMENT)\s+)?(TYPE|PROPERTY)\b/i;
+
+// ============================================================================
+// Exact Numbers
+// ============================================================================
+
+// A JSON number a double can't hold exactly (long integers, DECIMALs with
+// more than 15 significant digits). Only exists between parsing and decoding.
+class ExactNumber {
+  constructor(value, source) {
+    this.value = value;   // what JSON.parse alone would have returned
+    this.source = source;
+  }
+}
+
+function losesPrecision(value, source) {
+  if (/^-?\d+$/.test(source)) return !Number.isSafeInteger(value);
+  const digits = source
+    .replace(/^-/, '')
+    .replace(/[eE].*$/, '')
+    .replace('.', '')
+    .replace(/^0+/, '')
+    .replace(/0+$/, '');
+  return digits.length > 15;
+}
+
+// JSON.parse reviver keeping the source text of lossy numbers. Needs
+// JSON.parse source text access (Bun, Node 21+); elsewhere numbers are
+// decoded from their double value.
+function preciseNumbers(key, value, context) {
+  if (typeof value !== 'number' || !context?.source) return value;
+  return losesPrecision(value, context.source) ? new ExactNumber(value, context.source) : value;
+}
+
+// JSON.stringify replacer: BigInts (e.g. decoded LONGs passed back as params)
+// go out as JSON numbers
+function bigintReplacer(key, value) {
+  if (typeof value !== 'bigint') return value;
+  if (JSON.rawJSON) return JSON.rawJSON(value.toString());
+  return Number.isSafeInteger(Number(value)) ? Number(value) : value.toString();
+}
+
+// ============================================================================
+// Schema
+// ============================================================================
+
+// Record type name -> Map of property name -> { type, ofType }, with the
+// properties of parent types merged in
+async function loadTypes(client) {
+  const rows = await client.query('SELECT FROM schema:types', null, { decode: false });
+  const byName = new Map(rows.map(row => [row.name, row]));
+  const resolved = new Map();
+
+  function resolve(name) {
+    if (resolved.has(name)) return resolved.get(name);
+    const properties = new Map();
+    resolved.set(name, properties);
+    const row = byName.get(name);
+    for (const parent of row?.parentTypes || []) {
+      for (const [key, property] of resolve(parent)) properties.set(key, property);
+    }
+    for (const { name: key, type, ofType } of row?.properties || []) {
+      properties.set(key, { type, ofType });
+    }
+    return properties;
+  }
+
+  for (const name of byName.keys()) resolve(name);
+  return resolved;
+}
+
+function changesSchema(sql) {
+  return SCHEMA_CHANGE.test(sql);
+}
+
+// ============================================================================
+// Value Conversion
+// ============================================================================
+
+const DATE_TEXT = /^(\d{4}-\d{2}-\d{2})(?:[ T](\d{2}:\d{2}(?::\d{2})?)(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/;
+
+function toDate(value) {
+  if (typeof value === 'number') return new Date(value);
+  if (typeof value !== 'string') return value;
+
+  const match = DATE_TEXT.exec(value);
+  if (!match) return value;
+  const [, day, time = '00:00:00', fraction = '', zone = 'Z'] = match;
+  const offset = zone.length === 5 ? `${zone.slice(0, 3)}:${zone.slice(3)}` : zone;
+  const date = new Date(`${day}T${time}${fraction.slice(0, 4)}${offset}`);
+  return Number.isNaN(date.getTime()) ? value : date;
+}
+
+function toBigInt(value) {
+  if (Number.isInteger(value) || (typeof value === 'string' && /^-?\d+$/.test(value))) return BigInt(value);
+  return value;
+}
+
+function toDecimal(value) {
+  if ((typeof value === 'number' || typeof value === 'string') && Decimal.isValid(value)) return new Decimal(value);
+  return value;
+}
+
+function toRid(value) {
+  return Rid.isValid(value) ? Rid.parse(value) : value;
+}
+
+// property: { type, ofType } from the schema or a hint; null when unknown
+function decodeValue(value, property, types) {
+  const type = property?.type?.toUpperCase();
+
+  if (value instanceof ExactNumber) {
+    if (type === 'LONG' && /^-?\d+$/.test(value.source)) return BigInt(value.source);
+    if (type === 'DECIMAL') return new Decimal(value.source);
+    value = value.value;
+  }
+  if (value === null || value === undefined) return value;
+
+  if (DATE_TYPES.has(type)) return toDate(value);
+  if (type === 'LONG') return toBigInt(value);
+  if (type === 'DECIMAL') return toDecimal(value);
+  if (type === 'LINK' && typeof value === 'string') return toRid(value);
+  if (type === 'ARRAY_OF_LONGS' && Array.isArray(value)) return value.map(v => decodeValue(v, { type: 'LONG' }, types));
+
+  const element = property?.ofType ? { type: property.ofType } : null;
+  if (Array.isArray(value)) return value.map(v => decodeValue(v, element, types));
+  if (typeof value === 'object') {
+    if ('@type' in value || '@rid' in value) return decodeRecord(value, types);
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, decodeValue(v, element, types)]));
+  }
+  return value;
+}
+
+// hints: { field: TYPE } for fields the schema doesn't cover
+function decodeRecord(record, types, hints = {}, typeName = record['@type']) {
+  const properties = types.get(typeName);
+  const decoded = {};
+  for (const [key, value] of Object.entries(record)) {
+    if (RID_FIELDS.has(key)) {
+      decoded[key] = toRid(value);
+      continue;
+    }
+    const hint = hints[key] ? { type: hints[key] } : null;
+    decoded[key] = decodeValue(value, properties?.get(key) || hint, types);
+  }
+  return decoded;
+}
+
+// graph / studio vertex or edge: { p: properties, r: rid, t: type, i, o }
+// (i / o are RIDs on edges and edge counts on vertices)
+function decodeElement(element, types) {
+  return {
+    ...element,
+    p: element.p ? decodeRecord(element.p, types, {}, element.t) : element.p,
+    r: toRid(element.r),
+    i: toRid(element.i),
+    o: toRid(element.o)
+  };
+}
+
+// result: json.result for any serializer; types: from loadTypes()
+function decodeResult(result, types, { hints = {} } = {}) {
+  const decodeRow = row => row && typeof row === 'object' && !Array.isArray(row)
+    ? decodeRecord(row, types, hints)
+    : decodeValue(row, null, types);
+
+  if (Array.isArray(result)) return result.map(decodeRow);
+  if (result && typeof result === 'object' && Array.isArray(result.vertices)) {
+    const decoded = {
+      ...result,
+      vertices: result.vertices.map(v => decodeElement(v, types)),
+      edges: (result.edges || []).map(e => decodeElement(e, types))
+    };
+    if (Array.isArray(result.records)) decoded.records = result.records.map(decodeRow);
+    return decoded;
+  }
+  return decodeValue(result, null, types);
+}
+
+export { preciseNumbers, bigintReplacer, loadTypes, changesSchema, decodeResult };
@@ -0,0 +1,321 @@
+// Declarative schema
+// Types described once in JS instead of CREATE PROPERTY lists:
+//
+//   const BaseCard = defineType('BaseCard', {
+//     kind: 'document',                         // 'document' (default) | 'vertex' | 'edge'
+//     extends: 'Base',                          // supertype name(s)
+//     properties: {
+//       uid: string().mandatory().unique(),
+//       deck: link('BaseDeck').indexed(),       // LINK OF BaseDeck + NOTUNIQUE index
+//       words: list(string())                   // LIST OF STRING
+//     },
+//     indexes: [{ fields: ['deck', 'order'], unique: true }]
+//   });
+//   await db.applySchema([BaseDeck, BaseCard]);
+//
+// All DDL is IF NOT EXISTS, so applying is idempotent - but it never alters
+// what already exists (a changed constraint needs an ALTER PROPERTY).
+
+import { Raw } from './sql.js';
+
+const NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const KINDS = ['document', 'vertex', 'edge'];
+const INDEX_TYPES = ['UNIQUE', 'NOTUNIQUE', 'FULL_TEXT'];
+
+function checkName(name, what) {
+  if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+    throw new Error(`Invalid ${what} name: ${name}`);
+  }
+  return name;
+}
+
+// JS value -> constraint literal; raw() is spliced in (default raw('sysdate()'))
+function literal(value) {
+  if (value instanceof Raw) return value.sql;
+  if (typeof value === 'string') return JSON.stringify(value);
+  if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+  throw new Error(`Unsupported constraint value: ${value}`);
+}
+
+// ============================================================================
+// Properties
+// ============================================================================
+
+class PropertyDefinition {
+  constructor(type, ofType = null) {
+    this.type = type;
+    this.ofType = ofType;
+    this.constraints = {};
+    this.index = null;
+  }
+
+  mandatory(value = true) {
+    this.constraints.mandatory = value;
+    return this;
+  }
+
+  notNull(value = true) {
+    this.constraints.notnull = value;
+    return this;
+  }
+
+  readOnly(value = true) {
+    this.constraints.readonly = value;
+    return this;
+  }
+
+  min(value) {
+    this.constraints.min = value;
+    return this;
+  }
+
+  max(value) {
+    this.constraints.max = value;
+    return this;
+  }
+
+  default(value) {
+    this.constraints.default = value;
+    return this;
+  }
+
+  regexp(pattern) {
+    this.constraints.regexp = pattern instanceof RegExp ? pattern.source : pattern;
+    return this;
+  }
+
+  // Single-field index; composite ones go in the type's indexes
+  unique() {
+    this.index = 'UNIQUE';
+    return this;
+  }
+
+  indexed(type = 'NOTUNIQUE') {
+    if (!INDEX_TYPES.includes(type)) {
+      throw new Error(`Unknown index type '${type}', expected one of ${INDEX_TYPES.join(', ')}`);
+    }
+    this.index = type;
+    return this;
+  }
+
+  // Same shape as a schema.js property descriptor; default as its SQL literal
+  describe(name) {
+    const c = this.constraints;
+    return {
+      name,
+      type: this.type,
+      ofType: this.ofType,
+      mandatory: c.mandatory ?? false,
+      notNull: c.notnull ?? false,
+      readOnly: c.readonly ?? false,
+      hidden: false,
+      min: c.min ?? null,
+      max: c.max ?? null,
+      default: c.default === undefined ? null : literal(c.default),
+      regexp: c.regexp ?? null,
+      custom: {}
+    };
+  }
+
+  // STRING, LINK OF BaseDeck, LIST OF STRING
+  typeSQL() {
+    return this.ofType ? `${this.type} OF ${this.ofType}` : this.type;
+  }
+
+  constraintsSQL() {
+    const parts = Object.entries(this.constraints).map(([name, value]) => `${name} ${literal(value)}`);
+    return parts.length ? ` (${parts.join(', ')})` : '';
+  }
+}
+
+function property(type) {
+  return () => new PropertyDefinition(type);
+}
+
+const string = property('STRING');
+const boolean = property('BOOLEAN');
+const byte = property('BYTE');
+const short = property('SHORT');
+const integer = property('INTEGER');
+const long = property('LONG');
+const float = property('FLOAT');
+const double = property('DOUBLE');
+const decimal = property('DECIMAL');
+const date = property('DATE');
+const datetime = property('DATETIME');
+const binary = property('BINARY');
+
+// Link to a record, optionally restricted to one type
+function link(target = null) {
+  return new PropertyDefinition('LINK', target && checkName(target, 'type'));
+}
+
+function embedded(type = null) {
+  return new PropertyDefinition('EMBEDDED', type && checkName(type, 'type'));
+}
+
+// of: element type - a property definition (list(string())) or a type name
+function collection(kind, of) {
+  if (of === null) return new PropertyDefinition(kind);
+  if (of instanceof PropertyDefinition) {
+    if (of.ofType) throw new Error(`${kind} elements can't have an OF type themselves`);
+    return new PropertyDefinition(kind, of.type);
+  }
+  return new PropertyDefinition(kind, checkName(of, 'type'));
+}
+
+function list(of = null) {
+  return collection('LIST', of);
+}
+
+function map(of = null) {
+  return collection('MAP', of);
+}
+
+// ============================================================================
+// Types
+// ============================================================================
+
+class TypeDefinition {
+  constructor(name, { kind = 'document', extends: supertypes = [], properties = {}, indexes = [] } = {}) {
+    if (!KINDS.includes(kind)) {
+      throw new Error(`Unknown kind '${kind}', expected one of ${KINDS.join(', ')}`);
+    }
+    this.name = checkName(name, 'type');
+    this.kind = kind;
+    this.supertypes = [].concat(supertypes).map(s => checkName(s, 'type'));
+    this.properties = {};
+    for (const [key, definition] of Object.entries(properties)) {
+      if (!(definition instanceof PropertyDefinition)) {
+        throw new Error(`${name}.${key}: expected a property definition such as string() or link('Type')`);
+      }
+      this.properties[checkName(key, 'property')] = definition;
+    }
+    this.indexes = indexes.map(({ fields, unique = false, type = unique ? 'UNIQUE' : 'NOTUNIQUE' }) => {
+      if (!Array.isArray(fields) || fields.length === 0) {
+        throw new Error(`${name}: index needs a list of fields`);
+      }
+      if (!INDEX_TYPES.includes(type)) {
+        throw new Error(`Unknown index type '${type}', expected one of ${INDEX_TYPES.join(', ')}`);
+      }
+      return { fields: fields.map(f => checkName(f, 'property')), type };
+    });
+  }
+
+  // CREATE <KIND> TYPE statement
+  typeDDL() {
+    const parent = this.supertypes.length ? ` EXTENDS ${this.supertypes.join(', ')}` : '';
+    return `CREATE ${this.kind.toUpperCase()} TYPE ${this.name} IF NOT EXISTS${parent}`;
+  }
+
+  propertyDDL() {
+    return Object.entries(this.properties).map(([key, p]) =>
+      `CREATE PROPERTY ${this.name}.${key} IF NOT EXISTS ${p.typeSQL()}${p.constraintsSQL()}`
+    );
+  }
+
+  // Single-field indexes from unique()/indexed(), then composite ones
+  allIndexes() {
+    const single = Object.entries(this.properties)
+      .filter(([, p]) => p.index)
+      .map(([key, p]) => ({ fields: [key], type: p.index }));
+    return [...single, ...this.indexes];
+  }
+
+  indexDDL() {
+    return this.allIndexes().map(({ fields, type }) =>
+      `CREATE INDEX IF NOT EXISTS ON ${this.name} (${fields.join(', ')}) ${type}`
+    );
+  }
+
+  // { type, indexes } in the shape of Schema#snapshot() (see schema.js)
+  describe() {
+    return {
+      type: {
+        name: this.name,
+        kind: this.kind,
+        supertypes: this.supertypes,
+        properties: Object.entries(this.properties).map(([key, p]) => p.describe(key)),
+        buckets: [],
+        custom: {}
+      },
+      indexes: this.allIndexes().map(({ fields, type }) => ({
+        name: `${this.name}[${fields.join(',')}]`,
+        typeName: this.name,
+        type: type === 'FULL_TEXT' ? 'FULL_TEXT' : 'LSM_TREE',
+        unique: type === 'UNIQUE',
+        fields,
+        automatic: true,
+        nullStrategy: null
+      }))
+    };
+  }
+
+  toDDL() {
+    return [this.typeDDL(), ...this.propertyDDL(), ...this.indexDDL()];
+  }
+}
+
+function defineType(name, definition = {}) {
+  return new TypeDefinition(name, definition);
+}
+
+// Supertypes before their subtypes; otherwise in the given order
+function ordered(types) {
+  const byName = new Map(types.map(type => [type.name, type]));
+  const result = [];
+  const visiting = new Set();
+  const visit = type => {
+    if (result.includes(type)) return;
+    if (visiting.has(type)) throw new Error(`Type ${type.name} extends itself`);
+    visiting.add(type);
+    for (const name of type.supertypes) {
+      if (byName.has(name)) visit(byName.get(name));
+    }
+    result.push(type);
+  };
+  types.forEach(visit);
+  return result;
+}
+
+// DDL for a set of types: every type first (so LINK OF targets exist), then
+// properties, then indexes
+function schemaDDL(types) {
+  const sorted = ordered(types);
+  return [
+    ...sorted.map(type => type.typeDDL()),
+    ...sorted.flatMap(type => type.propertyDDL()),
+    ...sorted.flatMap(type => type.indexDDL())
+  ];
+}
+
+// Run schemaDDL(types) in one batch; returns the statements
+async function applySchema(client, types) {
+  const statements = schemaDDL(types);
+  if (statements.length > 0) await client.batch(statements);
+  return statements;
+}
+
+export {
+  defineType,
+  applySchema,
+  schemaDDL,
+  TypeDefinition,
+  PropertyDefinition,
+  string,
+  boolean,
+  byte,
+  short,
+  integer,
+  long,
+  float,
+  double,
+  decimal,
+  date,
+  datetime,
+  binary,
+  link,
+  embedded,
+  list,
+  map
+};
@@ -0,0 +1,121 @@
+// ArcadeDB error types
+// JS counterpart of Arcadex.Error: status/message/detail, plus the server's
+// exception class and the statement that failed. Subclasses are picked from
+// the `exception` field of the error response so callers can `instanceof`.
+
+class ArcadeError extends Error {
+  constructor(message, { status = null, detail = null, exception = null, sql = null, params = null } = {}) {
+    super(detail ? `${message}: ${detail}` : message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.detail = detail;
+    this.exception = exception; // fully qualified Java class, e.g. com.arcadedb.exception.DuplicatedKeyException
+    this.sql = sql;
+    this.params = params;
+  }
+
+  // Build the most specific error for an ArcadeDB error response
+  static fromResponse(status, json = {}, { sql = null, params = null } = {}) {
+    const ErrorClass = errorClassFor(json.exception, json.detail, status);
+    return new ErrorClass(json.error || `HTTP ${status}`, {
+      status,
+      detail: json.detail || null,
+      exception: json.exception || null,
+      sql,
+      params
+    });
+  }
+}
+
+// Unique index violation
+class DuplicatedKeyError extends ArcadeError {}
+
+// MVCC conflict - the record changed since it was read; safe to retry
+class ConcurrentModificationError extends ArcadeError {}
+
+// Syntax error in the submitted statement
+class ParseError extends ArcadeError {}
+
+// Target database does not exist (or is not open)
+class DatabaseNotFoundError extends ArcadeError {}
+
+// create database for a name that is taken
+class DatabaseExistsError extends ArcadeError {}
+
+// Bad credentials, or the user lacks the permission (401 / 403)
+class SecurityError extends ArcadeError {}
+
+// Request got no response within its timeout (client-side), or a lock/wait
+// timeout on the server
+class TimeoutError extends ArcadeError {}
+
+// Request cancelled through an AbortSignal
+class AbortError extends ArcadeError {}
+
+// Transaction or session timed out - on the server, or client-side via
+// transaction({ timeout })
+class TransactionTimeoutError extends TimeoutError {}
+
+// Model validation failed, nothing was sent (client-side, see model.js).
+// errors: { field: [message, ...] }
+class ValidationError extends ArcadeError {
+  constructor(typeName, errors) {
+    const detail = Object.entries(errors)
+      .map(([field, messages]) => `${field} ${messages.join(', ')}`)
+      .join('; ');
+    super(`Invalid ${typeName}`, { detail });
+    this.errors = errors;
+  }
+}
+
+// ============================================================================
+// Exception Mapping
+// ============================================================================
+
+const EXCEPTION_CLASSES = {
+  DuplicatedKeyException: DuplicatedKeyError,
+  ConcurrentModificationException: ConcurrentModificationError,
+  ParseException: ParseError,
+  CommandParsingException: ParseError,
+  CommandSQLParsingException: ParseError,
+  DatabaseIsClosedException: DatabaseNotFoundError,
+  // Lock and wait timeouts happen outside transactions too
+  TimeoutException: TimeoutError,
+  TransactionTimeoutException: TransactionTimeoutError,
+  SecurityException: SecurityError,
+  ServerSecurityException: SecurityError
+};
+
+const DATABASE_NOT_FOUND = /database '[^']*' (is not available|does not exist|not found)/i;
+const DATABASE_EXISTS = /database '[^']*' already exists/i;
+
+function errorClassFor(exception, detail, status) {
+  const shortName = exception ? exception.split('.').pop() : null;
+  if (shortName && EXCEPTION_CLASSES[shortName]) {
+    return EXCEPTION_CLASSES[shortName];
+  }
+  if (detail && DATABASE_NOT_FOUND.test(detail)) {
+    return DatabaseNotFoundError;
+  }
+  if (detail && DATABASE_EXISTS.test(detail)) {
+    return DatabaseExistsError;
+  }
+  if (status === 401 || status === 403) {
+    return SecurityError;
+  }
+  return ArcadeError;
+}
+
+export {
+  ArcadeError,
+  DuplicatedKeyError,
+  ConcurrentModificationError,
+  ParseError,
+  DatabaseNotFoundError,
+  DatabaseExistsError,
+  SecurityError,
+  TimeoutError,
+  AbortError,
+  TransactionTimeoutError,
+  ValidationError
+};
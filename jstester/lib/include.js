@@ -0,0 +1,92 @@
+// Eager loading
+// Replaces LINK values (RIDs) in result rows with the records they point to,
+// one query per level of the include paths instead of one per row:
+//
+//   await includeLinks(db, hostCards, ['baseCard', 'baseCard.deck']);
+//   // SELECT FROM [#12:0, #12:1, ...]      -> every baseCard
+//   // SELECT FROM [#11:0, ...]             -> every baseCard.deck
+//   hostCards[0].baseCard.deck.name;
+//
+// A level loads the links of all its paths together; SELECT FROM [rids] does
+// not need to know their types. A level with more than chunkSize RIDs is split
+// into several queries, so the SQL stays bounded. LIST OF LINK values are
+// loaded element-wise. Links that point nowhere keep their RID.
+
+import { Rid } from './rid.js';
+
+const CHUNK_SIZE = 1000;
+
+// ['baseCard', 'baseCard.deck', 'settings'] -> { baseCard: { deck: {} }, settings: {} }
+function includeTree(paths) {
+  const tree = {};
+  for (const path of paths) {
+    let node = tree;
+    for (const field of String(path).split('.')) {
+      if (!field) throw new Error(`Invalid include path: ${path}`);
+      node = node[field] ||= {};
+    }
+  }
+  return tree;
+}
+
+// A loaded record (row with @rid) rather than a RID
+function isRecord(value) {
+  return value !== null && typeof value === 'object' && !(value instanceof Rid) && '@rid' in value;
+}
+
+function linksOf(value) {
+  if (value === null || value === undefined) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+// records: rows (or Model records) to fill in place; returns records.
+// chunkSize: RIDs per query; other opts are passed to the queries (decode, timeout, ...)
+async function includeLinks(client, records, paths, { chunkSize = CHUNK_SIZE, ...opts } = {}) {
+  let level = [{ records, tree: includeTree(paths) }];
+
+  while (level.length > 0) {
+    const rids = new Map();
+    for (const { records: parents, tree } of level) {
+      for (const field of Object.keys(tree)) {
+        for (const parent of parents) {
+          for (const value of linksOf(parent[field])) {
+            if (!isRecord(value) && Rid.isValid(value)) rids.set(String(value), Rid.parse(value));
+          }
+        }
+      }
+    }
+
+    const loaded = new Map();
+    const pending = [...rids.values()];
+    for (let i = 0; i < pending.length; i += chunkSize) {
+      const rows = await client.query('SELECT FROM :rids', { rids: pending.slice(i, i + chunkSize) }, opts);
+      for (const row of rows) loaded.set(String(row['@rid']), row);
+    }
+
+    const next = [];
+    for (const { records: parents, tree } of level) {
+      for (const [field, children] of Object.entries(tree)) {
+        const linked = [];
+        const resolve = value => {
+          const record = isRecord(value) ? value : loaded.get(String(value));
+          if (!record) return value;
+          linked.push(record);
+          return record;
+        };
+        for (const parent of parents) {
+          const value = parent[field];
+          if (value === null || value === undefined) continue;
+          parent[field] = Array.isArray(value) ? value.map(resolve) : resolve(value);
+        }
+        if (linked.length > 0 && Object.keys(children).length > 0) {
+          next.push({ records: linked, tree: children });
+        }
+      }
+    }
+    level = next;
+  }
+
+  return records;
+}
+
+export { includeLinks, isRecord };
@@ -0,0 +1,59 @@
+// Arcadex JS client - public entry point
+
+export { ArcadexClient } from './client.js';
+export { loadConfig, parseProfileFlag } from './config.js';
+export { Rid } from './rid.js';
+export { Decimal } from './decimal.js';
+export { RequestLimiter } from './limiter.js';
+export { ServerAdmin } from './server.js';
+export { QueryRegistry } from './queries.js';
+export { Schema } from './schema.js';
+export { Model, ModelQuery, validators } from './model.js';
+export { includeLinks, isRecord } from './include.js';
+export { declaredSchema, diffSchema, migrationDDL, formatChange } from './schema-diff.js';
+export { generateTypes, writeTypes } from './typegen.js';
+export {
+  defineType,
+  schemaDDL,
+  string,
+  boolean,
+  byte,
+  short,
+  integer,
+  long,
+  float,
+  double,
+  decimal,
+  date,
+  datetime,
+  binary,
+  link,
+  embedded,
+  list,
+  map
+} from './define-type.js';
+export { measureQueries } from './telemetry.js';
+export {
+  ArcadeError,
+  DuplicatedKeyError,
+  ConcurrentModificationError,
+  ParseError,
+  DatabaseNotFoundError,
+  DatabaseExistsError,
+  SecurityError,
+  TimeoutError,
+  AbortError,
+  TransactionTimeoutError,
+  ValidationError
+} from './errors.js';
+export {
+  select,
+  insert,
+  update,
+  upsert,
+  deleteFrom,
+  createVertex,
+  createEdge,
+  raw,
+  quoteIdentifier
+} from './sql.js';
@@ -0,0 +1,227 @@
+// OpenTelemetry + Prometheus instrumentation
+// Optional layer on top of the query/transaction events from telemetry.js.
+// Needs @opentelemetry/api (an optional peer dependency), so it is not
+// re-exported from index.js - import it from './lib/instrumentation.js':
+//
+//   const { metrics, stop } = instrumentClient(client);
+//   app.get('/metrics', () => new Response(metrics.render(), { headers: { 'Content-Type': PROMETHEUS_CONTENT_TYPE } }));
+//
+// Spans follow the OTel database conventions (db.system, db.name,
+// db.statement, db.operation); query spans inside client.transaction() are
+// children of the transaction span. Params are never recorded.
+
+import { trace, context, SpanKind, SpanStatusCode } from '@opentelemetry/api';
+
+const PROMETHEUS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Seconds
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// SQL: first keyword (SELECT, INSERT, CREATE, ...); other languages: their name
+function operationName(language, sql) {
+  if (language === 'sqlscript') return 'SCRIPT';
+  if (language !== 'sql') return language.toUpperCase();
+  const match = /^\s*([A-Za-z]+)/.exec(sql);
+  return match ? match[1].toUpperCase() : 'UNKNOWN';
+}
+
+function errorName(error) {
+  return error?.exception?.split('.').pop() || error?.name || 'Error';
+}
+
+// ============================================================================
+// Prometheus Metrics
+// ============================================================================
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([k, v]) => `${k}="${escapeLabel(v)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+// One metric family; series keyed by their label values
+class Family {
+  constructor(name, type, help) {
+    this.name = name;
+    this.type = type;
+    this.help = help;
+    this.series = new Map();
+  }
+
+  get(labels, create) {
+    const key = JSON.stringify(labels);
+    if (!this.series.has(key)) this.series.set(key, { labels, ...create() });
+    return this.series.get(key);
+  }
+
+  header() {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+  }
+}
+
+class Counter extends Family {
+  constructor(name, help) {
+    super(name, 'counter', help);
+  }
+
+  inc(labels, by = 1) {
+    this.get(labels, () => ({ value: 0 })).value += by;
+  }
+
+  lines() {
+    const lines = this.header();
+    for (const { labels, value } of this.series.values()) {
+      lines.push(`${this.name}${formatLabels(labels)} ${value}`);
+    }
+    return lines;
+  }
+}
+
+class Histogram extends Family {
+  constructor(name, help, buckets) {
+    super(name, 'histogram', help);
+    this.buckets = buckets;
+  }
+
+  observe(labels, value) {
+    const series = this.get(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+    this.buckets.forEach((le, i) => {
+      if (value <= le) series.counts[i]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  lines() {
+    const lines = this.header();
+    for (const { labels, counts, sum, count } of this.series.values()) {
+      this.buckets.forEach((le, i) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le })} ${counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    }
+    return lines;
+  }
+}
+
+// Latency histograms and error counters, rendered in the Prometheus text format
+class ArcadeMetrics {
+  constructor({ buckets = DEFAULT_BUCKETS } = {}) {
+    this.queryDuration = new Histogram('arcadedb_query_duration_seconds',
+      'ArcadeDB query and command latency', buckets);
+    this.queryErrors = new Counter('arcadedb_query_errors_total',
+      'ArcadeDB queries and commands that failed');
+    this.transactionDuration = new Histogram('arcadedb_transaction_duration_seconds',
+      'ArcadeDB transaction latency, begin to commit or rollback', buckets);
+  }
+
+  // event: a query:end or query:error payload
+  recordQuery({ language, sql, database, duration, error }) {
+    const labels = { database, operation: operationName(language, sql) };
+    this.queryDuration.observe(labels, duration / 1000);
+    if (error) this.queryErrors.inc({ ...labels, error: errorName(error) });
+  }
+
+  // event: a transaction:end or transaction:error payload
+  recordTransaction({ database, duration, error }) {
+    this.transactionDuration.observe({ database, outcome: error ? 'rollback' : 'commit' }, duration / 1000);
+  }
+
+  render() {
+    return [this.queryDuration, this.queryErrors, this.transactionDuration]
+      .flatMap(family => family.lines())
+      .join('\n') + '\n';
+  }
+}
+
+// ============================================================================
+// Client Instrumentation
+// ============================================================================
+
+// Trace and measure every query and transaction of client and the clients
+// derived from it. Options:
+//   tracer  - OTel tracer (default: trace.getTracer('arcadex')); null disables spans
+//   metrics - ArcadeMetrics to record into (default: a new one); null disables metrics
+// Returns { metrics, stop }; stop() detaches the listeners.
+function instrumentClient(client, { tracer = trace.getTracer('arcadex'), metrics = new ArcadeMetrics() } = {}) {
+  const spans = new Map();             // event id -> span
+  const transactionSpans = new Map();  // session id -> span
+
+  function startQuery({ id, language, sql, database, sessionId }) {
+    const parent = transactionSpans.get(sessionId);
+    const ctx = parent ? trace.setSpan(context.active(), parent) : context.active();
+    const operation = operationName(language, sql);
+    const attributes = {
+      'db.system': 'arcadedb',
+      'db.name': database,
+      'db.statement': sql,
+      'db.operation': operation,
+      'arcadedb.language': language
+    };
+    if (sessionId) attributes['arcadedb.session_id'] = sessionId;
+    spans.set(id, tracer.startSpan(`${operation} ${database}`, { kind: SpanKind.CLIENT, attributes }, ctx));
+  }
+
+  function startTransaction({ id, database, attempt }) {
+    const span = tracer.startSpan('arcadedb.transaction', {
+      kind: SpanKind.CLIENT,
+      attributes: { 'db.system': 'arcadedb', 'db.name': database, 'arcadedb.transaction.attempt': attempt }
+    });
+    spans.set(id, span);
+    return span;
+  }
+
+  function endSpan({ id, error }, attributes = {}) {
+    const span = spans.get(id);
+    if (!span) return;
+    spans.delete(id);
+    span.setAttributes(attributes);
+    if (error) {
+      span.recordException(error);
+      span.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+    }
+    span.end();
+  }
+
+  const listeners = {
+    'query:start': event => tracer && startQuery(event),
+    'query:end': event => {
+      if (tracer) endSpan(event, { 'db.response.returned_rows': event.rowCount });
+      metrics?.recordQuery(event);
+    },
+    'query:error': event => {
+      if (tracer) endSpan(event);
+      metrics?.recordQuery(event);
+    },
+    // The session id is known once begin() returns, before the start event
+    'transaction:start': event => {
+      if (tracer) transactionSpans.set(event.sessionId, startTransaction(event));
+    },
+    'transaction:end': event => {
+      transactionSpans.delete(event.sessionId);
+      if (tracer) endSpan(event);
+      metrics?.recordTransaction(event);
+    },
+    'transaction:error': event => {
+      transactionSpans.delete(event.sessionId);
+      if (tracer) endSpan(event);
+      metrics?.recordTransaction(event);
+    }
+  };
+
+  for (const [event, listener] of Object.entries(listeners)) client.on(event, listener);
+
+  return {
+    metrics,
+    stop() {
+      for (const [event, listener] of Object.entries(listeners)) client.off(event, listener);
+    }
+  };
+}
+
+export { instrumentClient, ArcadeMetrics, PROMETHEUS_CONTENT_TYPE };
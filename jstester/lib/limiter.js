@@ -0,0 +1,101 @@
+// Request limiter
+// Caps how many requests a client has active at once; a request over the cap
+// waits in a FIFO queue for a free slot. Sockets are fetch's business (it keeps
+// connections alive per origin) - this neither opens nor counts them, but
+// fewer concurrent requests means fewer sockets in practice.
+//
+// One limiter is shared by a client and every client derived from it
+// (withDatabase / withSession).
+
+import { ArcadeError } from './errors.js';
+
+const DEFAULT_LIMITS = {
+  maxActive: 16,
+  maxQueue: Infinity
+};
+
+class RequestLimiter {
+  constructor({ maxActive = DEFAULT_LIMITS.maxActive, maxQueue = DEFAULT_LIMITS.maxQueue } = {}) {
+    if (!Number.isInteger(maxActive) || maxActive < 1) {
+      throw new Error(`maxActive must be a positive integer, got ${maxActive}`);
+    }
+    this.maxActive = maxActive;
+    this.maxQueue = maxQueue;
+    this.active = 0;
+    this.waiting = [];
+    this.counters = { completed: 0, failed: 0, rejected: 0, peakActive: 0, peakQueued: 0 };
+  }
+
+  // RequestLimiter instance, limiter options or nothing (defaults)
+  static from(limiter) {
+    return limiter instanceof RequestLimiter ? limiter : new RequestLimiter(limiter || {});
+  }
+
+  // signal: give up waiting for a slot (rejects with signal.reason)
+  async acquire(signal = null) {
+    signal?.throwIfAborted();
+    if (this.active < this.maxActive) {
+      this.active++;
+    } else {
+      if (this.waiting.length >= this.maxQueue) {
+        this.counters.rejected++;
+        throw new ArcadeError('Request queue full', {
+          detail: `${this.active} requests active, ${this.waiting.length} queued`
+        });
+      }
+      // release() hands its slot straight to the next waiter
+      await new Promise((resolve, reject) => {
+        const onAbort = () => {
+          this.waiting.splice(this.waiting.indexOf(waiter), 1);
+          reject(signal.reason);
+        };
+        const waiter = () => {
+          signal?.removeEventListener('abort', onAbort);
+          resolve();
+        };
+        signal?.addEventListener('abort', onAbort, { once: true });
+        this.waiting.push(waiter);
+        this.counters.peakQueued = Math.max(this.counters.peakQueued, this.waiting.length);
+      });
+    }
+    this.counters.peakActive = Math.max(this.counters.peakActive, this.active);
+  }
+
+  release() {
+    const next = this.waiting.shift();
+    if (next) {
+      next();
+    } else {
+      this.active--;
+    }
+  }
+
+  // fetch within a slot; the body is read before the slot is released, so the
+  // connection is idle (and reusable) by the time the next request starts.
+  // Returns { res, text }. init.signal also cancels the wait for a slot.
+  async fetch(url, init) {
+    await this.acquire(init.signal);
+    try {
+      const res = await fetch(url, { ...init, keepalive: true });
+      const text = await res.text();
+      this.counters.completed++;
+      return { res, text };
+    } catch (e) {
+      this.counters.failed++;
+      throw e;
+    } finally {
+      this.release();
+    }
+  }
+
+  stats() {
+    return {
+      maxActive: this.maxActive,
+      active: this.active,
+      queued: this.waiting.length,
+      ...this.counters
+    };
+  }
+}
+
+export { RequestLimiter };
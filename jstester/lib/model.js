@@ -0,0 +1,361 @@
+// Models
+// Active-record classes over document and vertex types. Every statement is
+// built with sql.js (values travel as params) and runs through the client.
+//
+//   class BaseCard extends Model {
+//     static validations = {
+//       text: [required(), length({ max: 500 })],
+//       deck: required()
+//     };
+//
+//     beforeSave() {
+//       this.text = this.text?.trim();
+//     }
+//   }
+//   BaseCard.db = db;                         // or BaseCard.with(tx) per call site
+//
+//   const card = await BaseCard.create({ text: 'Hola', deck: deckRid });
+//   card.text = 'Hola!';
+//   await card.save();                        // UPDATE `BaseCard` SET `text` = :text, `updatedAt` = sysdate() ...
+//   await BaseCard.find(card.rid);
+//   await BaseCard.where({ deck: deckRid }, { orderBy: 'order' });
+//   await BaseCard.where({ deck: deckRid }).include('deck', 'deck.track');
+//
+// Fields are plain own properties, like the rows query() returns. save() sends
+// only the fields that changed since the record was loaded or last saved.
+// createdAt / updatedAt are set by the server (sysdate()), see `timestamps`.
+// Links loaded with include() are saved as their RIDs.
+
+import { ValidationError } from './errors.js';
+import { Rid } from './rid.js';
+import { select, insert, update, deleteFrom, createVertex, raw } from './sql.js';
+import { bigintReplacer } from './decode.js';
+import { includeLinks, isRecord } from './include.js';
+
+// Per-record state, kept off the enumerable fields: persisted field -> JSON
+const PERSISTED = Symbol('persisted');
+
+// A link loaded by include() is stored (and compared) as its RID
+function storedValue(value) {
+  if (Array.isArray(value)) return value.map(storedValue);
+  return isRecord(value) ? value['@rid'] : value;
+}
+
+function snapshot(value) {
+  return JSON.stringify(storedValue(value) ?? null, bigintReplacer);
+}
+
+// ============================================================================
+// Validators
+// ============================================================================
+// A validator gets (value, record) and returns true/undefined when valid, or a
+// message (false -> 'is invalid').
+
+function blank(value) {
+  return value === null || value === undefined || (typeof value === 'string' && value.trim() === '');
+}
+
+function required(message = 'is required') {
+  return value => !blank(value) || message;
+}
+
+// Strings and arrays; blank values pass (combine with required())
+function length({ min = null, max = null } = {}) {
+  return value => {
+    if (blank(value)) return true;
+    if (min !== null && value.length < min) return `is too short (min ${min})`;
+    if (max !== null && value.length > max) return `is too long (max ${max})`;
+    return true;
+  };
+}
+
+function range({ min = null, max = null } = {}) {
+  return value => {
+    if (blank(value)) return true;
+    if (min !== null && value < min) return `must be at least ${min}`;
+    if (max !== null && value > max) return `must be at most ${max}`;
+    return true;
+  };
+}
+
+function oneOf(values) {
+  return value => blank(value) || values.includes(value) || `must be one of ${values.join(', ')}`;
+}
+
+function matches(pattern, message = 'has an invalid format') {
+  return value => blank(value) || pattern.test(String(value)) || message;
+}
+
+const validators = { required, length, range, oneOf, matches };
+
+// ============================================================================
+// Queries
+// ============================================================================
+
+// select() over a model type that loads records. Thenable, so
+// `await Card.where(...)` runs it; chain first:
+//   await HostCard.where({ hostLang }).include('baseCard', 'baseCard.deck').limit(50);
+class ModelQuery {
+  constructor(model, statement) {
+    this.model = model;
+    this.statement = statement;
+    this.paths = [];
+  }
+
+  orderBy(field, direction = 'ASC') {
+    this.statement.orderBy(field, direction);
+    return this;
+  }
+
+  skip(n) {
+    this.statement.skip(n);
+    return this;
+  }
+
+  limit(n) {
+    this.statement.limit(n);
+    return this;
+  }
+
+  // Load LINK fields (dotted paths for links of links) with one query per
+  // level, see include.js
+  include(...paths) {
+    this.paths.push(...paths.flat());
+    return this;
+  }
+
+  async all() {
+    return this.run(this.statement);
+  }
+
+  // First record, or null
+  async first() {
+    const [record] = await this.run(this.statement.clone().limit(1));
+    return record ?? null;
+  }
+
+  async run(statement) {
+    const records = await this.model.fromQuery(statement);
+    if (this.paths.length > 0) await includeLinks(this.model.client, records, this.paths);
+    return records;
+  }
+
+  then(resolve, reject) {
+    return this.all().then(resolve, reject);
+  }
+}
+
+// ============================================================================
+// Model
+// ============================================================================
+
+class Model {
+  // ArcadeDB type; defaults to the class name
+  static type = null;
+  // Client the statements run on
+  static db = null;
+  // 'vertex' creates records with CREATE VERTEX
+  static kind = 'document';
+  // Fields set to sysdate() on insert / on every save; false (or null per
+  // field) turns them off
+  static timestamps = { created: 'createdAt', updated: 'updatedAt' };
+  // { field: validator | [validator, ...] }
+  static validations = {};
+
+  constructor(fields = {}) {
+    Object.defineProperty(this, PERSISTED, { value: null, writable: true });
+    Object.assign(this, fields);
+  }
+
+  static get typeName() {
+    return this.type || this.name;
+  }
+
+  static get client() {
+    if (!this.db) {
+      throw new Error(`${this.name} has no client, set ${this.name}.db or use ${this.name}.with(db)`);
+    }
+    return this.db;
+  }
+
+  // Subclass bound to another client (a transaction, another database) with
+  // the same type, validations and hooks
+  static with(db) {
+    const Bound = class extends this {};
+    Object.defineProperty(Bound, 'name', { value: this.name });
+    Bound.type = this.typeName;
+    Bound.db = db;
+    return Bound;
+  }
+
+  // Record for a row read from the database
+  static load(row) {
+    const record = new this(row);
+    record.markPersisted();
+    return record;
+  }
+
+  // --- FINDERS ---
+
+  static async create(fields = {}) {
+    const record = new this(fields);
+    await record.save();
+    return record;
+  }
+
+  // Record by RID, or null; a null RID (an unset link) finds nothing.
+  // Options: include (see ModelQuery#include)
+  static async find(rid, { include = [] } = {}) {
+    if (rid === null || rid === undefined) return null;
+    return this.where({ '@rid': Rid.parse(rid) }, { include }).first();
+  }
+
+  // where({ deck, lang }) - equality as in sql.js (null -> IS NULL, array -> IN),
+  // or where('`order` > :min', { min }) for anything else.
+  // Options: orderBy ('name' or { name: 'DESC' }), skip, limit, include.
+  // Returns a ModelQuery: await it, or chain .include(...) first
+  static where(conditions = {}, params = {}, opts = {}) {
+    if (typeof conditions !== 'string') [params, opts] = [{}, params];
+    const { orderBy = null, skip = null, limit = null, include = [] } = opts;
+
+    const query = new ModelQuery(this, select().from(this.typeName));
+    if (typeof conditions === 'string') {
+      query.statement.where(conditions, params);
+    } else {
+      query.statement.where(conditions);
+    }
+    if (orderBy) query.orderBy(orderBy);
+    if (skip !== null) query.skip(skip);
+    if (limit !== null) query.limit(limit);
+    return query.include(...include);
+  }
+
+  // First match, or null
+  static async findBy(conditions, params = {}) {
+    return this.where(conditions, params).first();
+  }
+
+  static all(opts = {}) {
+    return this.where({}, opts);
+  }
+
+  // Records for any query that returns rows of this type
+  static async fromQuery(sql, params = null) {
+    const rows = await this.client.query(sql, params);
+    return rows.map(row => this.load(row));
+  }
+
+  // --- STATE ---
+
+  get rid() {
+    return this['@rid'] ? Rid.parse(this['@rid']) : null;
+  }
+
+  get isNew() {
+    return this[PERSISTED] === null;
+  }
+
+  // Own fields without record attributes (@rid, @type, ...)
+  fields() {
+    return Object.fromEntries(Object.entries(this).filter(([key]) => !key.startsWith('@')));
+  }
+
+  // Fields changed since the record was loaded or saved; all of them when new
+  changedFields() {
+    const persisted = this[PERSISTED];
+    return Object.keys(this.fields()).filter(key => !persisted || persisted.get(key) !== snapshot(this[key]));
+  }
+
+  get isDirty() {
+    return this.isNew || this.changedFields().length > 0;
+  }
+
+  markPersisted() {
+    this[PERSISTED] = new Map(Object.entries(this.fields()).map(([key, value]) => [key, snapshot(value)]));
+  }
+
+  // { field: [message, ...] }, empty when valid
+  validate() {
+    const errors = {};
+    for (const [field, rules] of Object.entries(this.constructor.validations)) {
+      for (const rule of [].concat(rules)) {
+        const result = rule(this[field], this);
+        if (result === true || result === undefined) continue;
+        (errors[field] ||= []).push(typeof result === 'string' ? result : 'is invalid');
+      }
+    }
+    return errors;
+  }
+
+  // --- HOOKS ---
+  // Override in subclasses; isNew tells insert from update. beforeSave runs
+  // before validation, so it can normalize fields.
+
+  async beforeSave({ isNew }) {}
+
+  async afterSave({ isNew }) {}
+
+  // --- PERSISTENCE ---
+
+  // INSERT (or CREATE VERTEX) for a new record, UPDATE of the changed fields
+  // otherwise; a clean record is left alone. Throws ValidationError.
+  async save() {
+    const ModelClass = this.constructor;
+    const isNew = this.isNew;
+
+    await this.beforeSave({ isNew });
+
+    const errors = this.validate();
+    if (Object.keys(errors).length > 0) {
+      throw new ValidationError(ModelClass.typeName, errors);
+    }
+
+    const changed = this.changedFields();
+    if (!isNew && changed.length === 0) return this;
+
+    const fields = Object.fromEntries(changed.map(key => [key, storedValue(this[key]) ?? null]));
+    const { created = null, updated = null } = ModelClass.timestamps || {};
+    const stamp = name => name && !(name in fields) ? { [name]: raw('sysdate()') } : {};
+
+    let statement;
+    if (isNew) {
+      const create = ModelClass.kind === 'vertex' ? createVertex : insert;
+      statement = create(ModelClass.typeName, fields).set({ ...stamp(created), ...stamp(updated) });
+    } else {
+      statement = update(ModelClass.typeName, fields)
+        .set(stamp(updated))
+        .returning('AFTER')
+        .where({ '@rid': this.rid });
+    }
+
+    const [row] = await ModelClass.client.command(statement);
+    if (row) Object.assign(this, row);
+    this.markPersisted();
+
+    await this.afterSave({ isNew });
+    return this;
+  }
+
+  async delete() {
+    const ModelClass = this.constructor;
+    if (this.isNew) throw new Error(`Cannot delete a ${ModelClass.typeName} that was never saved`);
+
+    await ModelClass.client.command(deleteFrom(ModelClass.typeName).where({ '@rid': this.rid }));
+    delete this['@rid'];
+    this[PERSISTED] = null;
+  }
+
+  // Replace the fields with the stored ones
+  async reload() {
+    const ModelClass = this.constructor;
+    const fresh = this.rid && await ModelClass.find(this.rid);
+    if (!fresh) throw new Error(`${ModelClass.typeName} ${this['@rid'] ?? '(new)'} not found`);
+
+    for (const key of Object.keys(this)) delete this[key];
+    Object.assign(this, fresh);
+    this.markPersisted();
+    return this;
+  }
+}
+
+export { Model, ModelQuery, validators };
@@ -0,0 +1,137 @@
+// Named queries
+// SQL kept in .sql files instead of template literals, so code and tools run
+// and print the same source. Each file starts with a header of `-- key: value`
+// lines:
+//
+//   -- name: deckWithCards              (default: file name)
+//   -- language: sql                    (default: sql)
+//   -- params: deckUid                  (comma-separated; all required)
+//   -- result: one                      ('one' -> first row or null, 'many' -> rows; default many)
+//   -- description: Host deck with its cards
+//   SELECT ... WHERE uid = :deckUid
+//
+// Attach a registry to a client with withQueries(), then call
+// client.named('deckWithCards', { deckUid }).
+
+import { readdirSync, readFileSync } from 'node:fs';
+import { basename, join } from 'node:path';
+import { replaceParams } from './sql.js';
+
+const HEADER_KEYS = ['name', 'language', 'params', 'result', 'description'];
+const RESULT_SHAPES = ['one', 'many'];
+
+// Statements the read-only /query endpoint accepts
+const READ_ONLY = /^\s*(SELECT|MATCH|TRAVERSE)\b/i;
+
+// :name placeholders used by a SQL statement
+function placeholders(sql) {
+  const names = new Set();
+  replaceParams(sql, name => {
+    names.add(name);
+    return `:${name}`;
+  });
+  return names;
+}
+
+// .sql file contents -> named query. file: path, for error messages
+function parseQuery(text, file = null) {
+  const lines = text.split('\n');
+  const header = {};
+  let i = 0;
+
+  for (; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (!line) continue;
+    const match = /^--\s*(\w+):\s*(.*)$/.exec(line);
+    if (!match) break;
+    if (!HEADER_KEYS.includes(match[1])) {
+      throw new Error(`${file}: unknown header '${match[1]}', expected one of ${HEADER_KEYS.join(', ')}`);
+    }
+    header[match[1]] = match[2].trim();
+  }
+
+  const query = {
+    name: header.name || (file && basename(file, '.sql')),
+    language: header.language || 'sql',
+    params: header.params ? header.params.split(',').map(p => p.trim()).filter(Boolean) : [],
+    result: header.result || 'many',
+    description: header.description || null,
+    sql: lines.slice(i).join('\n').trim(),
+    file
+  };
+
+  if (!query.name) throw new Error(`${file}: query has no name`);
+  if (!query.sql) throw new Error(`${file}: query ${query.name} has no statement`);
+  if (!RESULT_SHAPES.includes(query.result)) {
+    throw new Error(`${file}: unknown result '${query.result}', expected one of ${RESULT_SHAPES.join(', ')}`);
+  }
+
+  // Declared params must match the placeholders (other languages use their own syntax)
+  if (query.language === 'sql' || query.language === 'sqlscript') {
+    const used = placeholders(query.sql);
+    const undeclared = [...used].filter(name => !query.params.includes(name));
+    const unused = query.params.filter(name => !used.has(name));
+    if (undeclared.length > 0) throw new Error(`${file}: undeclared params ${undeclared.map(n => `:${n}`).join(', ')}`);
+    if (unused.length > 0) throw new Error(`${file}: declared params not used: ${unused.join(', ')}`);
+  }
+
+  query.readOnly = query.language === 'sql' && READ_ONLY.test(query.sql);
+  return Object.freeze(query);
+}
+
+class QueryRegistry {
+  constructor(queries = []) {
+    this.queries = new Map();
+    for (const query of queries) this.add(query);
+  }
+
+  // Every *.sql file in dir, read once
+  static fromDirectory(dir) {
+    const files = readdirSync(dir).filter(f => f.endsWith('.sql')).sort();
+    return new QueryRegistry(files.map(f => {
+      const file = join(dir, f);
+      return parseQuery(readFileSync(file, 'utf-8'), file);
+    }));
+  }
+
+  add(query) {
+    if (this.queries.has(query.name)) {
+      throw new Error(`Duplicate query '${query.name}' in ${query.file} and ${this.queries.get(query.name).file}`);
+    }
+    this.queries.set(query.name, query);
+    return this;
+  }
+
+  has(name) {
+    return this.queries.has(name);
+  }
+
+  get(name) {
+    const query = this.queries.get(name);
+    if (!query) {
+      throw new Error(`Unknown query '${name}'`);
+    }
+    return query;
+  }
+
+  list() {
+    return [...this.queries.values()];
+  }
+
+  // Query and its params, checked against the declared ones
+  bind(name, params = null) {
+    const query = this.get(name);
+    const given = params || {};
+    const missing = query.params.filter(p => given[p] === undefined);
+    const unknown = Object.keys(given).filter(p => !query.params.includes(p));
+    if (missing.length > 0) {
+      throw new Error(`Query '${name}': missing param ${missing.map(p => `:${p}`).join(', ')}`);
+    }
+    if (unknown.length > 0) {
+      throw new Error(`Query '${name}': unknown param ${unknown.map(p => `:${p}`).join(', ')}`);
+    }
+    return { query, params: query.params.length > 0 ? given : null };
+  }
+}
+
+export { QueryRegistry, parseQuery };
@@ -0,0 +1,90 @@
+// Record IDs
+// `#bucket:position`, e.g. #12:3. Negative positions are temporary RIDs
+// (records created but not yet committed).
+//
+// ArcadeDB stores a string param as a plain string, so a LINK field set from
+// `:rid` with '#12:3' would not link. Rid params are instead spliced into the
+// SQL as literals by the client - safe because a Rid only ever holds two
+// validated integers.
+
+import { replaceParams } from './sql.js';
+
+const RID_PATTERN = /^#(-?\d+):(-?\d+)$/;
+
+// T: the record type it points to, for TypeScript only (Rid<BaseDeck>, see typegen.js)
+/** @template [T=unknown] */
+class Rid {
+  constructor(bucket, position) {
+    if (!Number.isSafeInteger(bucket) || !Number.isSafeInteger(position)) {
+      throw new Error(`Invalid RID: #${bucket}:${position}`);
+    }
+    this.bucket = bucket;
+    this.position = position;
+    Object.freeze(this);
+  }
+
+  // Rid or '#12:3' -> Rid; anything else throws
+  static parse(value) {
+    if (value instanceof Rid) return value;
+    const match = RID_PATTERN.exec(String(value));
+    if (!match) {
+      throw new Error(`Invalid RID: ${value}`);
+    }
+    return new Rid(Number(match[1]), Number(match[2]));
+  }
+
+  static isValid(value) {
+    return value instanceof Rid || (typeof value === 'string' && RID_PATTERN.test(value));
+  }
+
+  // Compares with another Rid or a '#12:3' string
+  equals(other) {
+    if (!Rid.isValid(other)) return false;
+    const rid = Rid.parse(other);
+    return rid.bucket === this.bucket && rid.position === this.position;
+  }
+
+  toString() {
+    return `#${this.bucket}:${this.position}`;
+  }
+
+  toJSON() {
+    return this.toString();
+  }
+}
+
+// ============================================================================
+// Parameter Binding
+// ============================================================================
+
+// Literal for a Rid param (or a non-empty list of them), or null if the value
+// should go through as a regular param
+function ridLiteral(value) {
+  if (value instanceof Rid) return value.toString();
+  if (Array.isArray(value) && value.length > 0 && value.every(v => v instanceof Rid)) {
+    return `[${value.join(', ')}]`;
+  }
+  return null;
+}
+
+// Move Rid params into the SQL text; other params are left untouched
+function bindRids(sql, params) {
+  if (!params) return { sql, params };
+
+  const literals = {};
+  const rest = {};
+  for (const [name, value] of Object.entries(params)) {
+    const literal = ridLiteral(value);
+    if (literal === null) {
+      rest[name] = value;
+    } else {
+      literals[name] = literal;
+    }
+  }
+  if (Object.keys(literals).length === 0) return { sql, params };
+
+  const bound = replaceParams(sql, name => (name in literals ? literals[name] : `:${name}`));
+  return { sql: bound, params: rest };
+}
+
+export { Rid, bindRids };
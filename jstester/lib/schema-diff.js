@@ -0,0 +1,279 @@
+// Schema diff
+// Compares two schema snapshots ({ types, indexes } in the schema.js descriptor
+// shape) - a live database (Schema#snapshot()) or defineType() declarations
+// (declaredSchema()) - and turns the differences into migration DDL.
+//
+// A change is one of:
+//   { action: 'add' | 'remove', kind: 'type', type }
+//   { action: 'change', kind: 'type', name, field: 'kind' | 'supertypes', from, to }
+//   { action: 'add' | 'remove', kind: 'property', typeName, property }
+//   { action: 'change', kind: 'property', typeName, name, field, from, to }
+//   { action: 'add' | 'remove', kind: 'index', index }
+//
+// Changing a type's kind or a property's type has no DDL; those become notes
+// for a hand-written migration. An ofType change (LINK -> LINK OF BaseDeck)
+// drops and re-creates the property, and the indexes that cover it.
+
+const PROPERTY_FIELDS = ['type', 'ofType', 'mandatory', 'notNull', 'readOnly', 'min', 'max', 'default', 'regexp'];
+
+// Fields ALTER PROPERTY can change, with their attribute names
+const ALTERABLE = {
+  mandatory: 'MANDATORY',
+  notNull: 'NOTNULL',
+  readOnly: 'READONLY',
+  min: 'MIN',
+  max: 'MAX',
+  default: 'DEFAULT',
+  regexp: 'REGEXP'
+};
+
+// Internal types such as _migrations are left out
+const IGNORE = /^_/;
+
+// defineType() list -> snapshot
+function declaredSchema(types) {
+  const described = types.map(type => type.describe());
+  return {
+    types: described.map(d => d.type),
+    indexes: described.flatMap(d => d.indexes)
+  };
+}
+
+// ============================================================================
+// Comparison
+// ============================================================================
+
+// Server values come back as text ("0", "\"draft\"" or "draft"), declared
+// ones as JS values or SQL literals - compare them unquoted
+function comparable(value) {
+  if (value === null || value === undefined) return null;
+  return String(value).replace(/^"(.*)"$/, '$1').replace(/^'(.*)'$/, '$1');
+}
+
+function indexKind(index) {
+  if (index.type === 'FULL_TEXT') return 'FULL_TEXT';
+  return index.unique ? 'UNIQUE' : 'NOTUNIQUE';
+}
+
+function indexKey(index) {
+  return `${index.typeName}(${index.fields.join(',')}) ${indexKind(index)}`;
+}
+
+function byName(list) {
+  return new Map(list.map(item => [item.name, item]));
+}
+
+// Changes that turn current into target
+function diffSchema(current, target, { ignore = IGNORE } = {}) {
+  const keep = name => !ignore.test(name);
+  const from = byName(current.types.filter(t => keep(t.name)));
+  const to = byName(target.types.filter(t => keep(t.name)));
+  const currentIndexes = new Map(current.indexes.filter(i => keep(i.typeName)).map(i => [indexKey(i), i]));
+  const targetIndexes = new Map(target.indexes.filter(i => keep(i.typeName)).map(i => [indexKey(i), i]));
+  const changes = [];
+
+  // Indexes both sides have on typeName.field (the live ones, with their names)
+  const covering = (typeName, field) => [...currentIndexes]
+    .filter(([key, index]) => targetIndexes.has(key) && index.typeName === typeName && index.fields.includes(field))
+    .map(([, index]) => index);
+
+  for (const [name, type] of from) {
+    if (to.has(name)) continue;
+    changes.push({ action: 'remove', kind: 'type', type });
+    for (const property of type.properties) {
+      changes.push({ action: 'remove', kind: 'property', typeName: name, property });
+    }
+  }
+
+  for (const [name, type] of to) {
+    const existing = from.get(name);
+    if (!existing) {
+      changes.push({ action: 'add', kind: 'type', type });
+      for (const property of type.properties) {
+        changes.push({ action: 'add', kind: 'property', typeName: name, property });
+      }
+      continue;
+    }
+
+    if (existing.kind !== type.kind) {
+      changes.push({ action: 'change', kind: 'type', name, field: 'kind', from: existing.kind, to: type.kind });
+    }
+    if ([...existing.supertypes].sort().join() !== [...type.supertypes].sort().join()) {
+      changes.push({ action: 'change', kind: 'type', name, field: 'supertypes', from: existing.supertypes, to: type.supertypes });
+    }
+
+    const properties = byName(existing.properties);
+    for (const property of type.properties) {
+      const old = properties.get(property.name);
+      if (!old) {
+        changes.push({ action: 'add', kind: 'property', typeName: name, property });
+        continue;
+      }
+      for (const field of PROPERTY_FIELDS) {
+        if (comparable(old[field]) !== comparable(property[field])) {
+          const change = {
+            action: 'change', kind: 'property', typeName: name, name: property.name,
+            field, from: old[field] ?? null, to: property[field] ?? null
+          };
+          // Re-created whole, see changeDDL
+          if (field === 'ofType') Object.assign(change, { previous: old, property, indexes: covering(name, property.name) });
+          changes.push(change);
+        }
+      }
+    }
+    const declared = new Set(type.properties.map(p => p.name));
+    for (const property of existing.properties) {
+      if (!declared.has(property.name)) {
+        changes.push({ action: 'remove', kind: 'property', typeName: name, property });
+      }
+    }
+  }
+
+  for (const [key, index] of currentIndexes) {
+    if (!targetIndexes.has(key)) changes.push({ action: 'remove', kind: 'index', index });
+  }
+  for (const [key, index] of targetIndexes) {
+    if (!currentIndexes.has(key)) changes.push({ action: 'add', kind: 'index', index });
+  }
+
+  return changes;
+}
+
+// ============================================================================
+// DDL
+// ============================================================================
+
+// Descriptor value -> ALTER/CREATE PROPERTY literal
+function constraintValue(field, value) {
+  if (value === null || value === undefined) return 'null';
+  if (field === 'regexp') return JSON.stringify(String(value));
+  if (field === 'default' && typeof value === 'string' && !/^(["'].*["']|-?[\d.]+|true|false|.*\))$/.test(value)) {
+    return JSON.stringify(value);
+  }
+  return String(value);
+}
+
+function createType(type) {
+  const parent = type.supertypes.length ? ` EXTENDS ${type.supertypes.join(', ')}` : '';
+  return `CREATE ${type.kind.toUpperCase()} TYPE ${type.name} IF NOT EXISTS${parent}`;
+}
+
+function createProperty(typeName, p) {
+  const constraints = Object.entries(ALTERABLE)
+    .filter(([field]) => (typeof p[field] === 'boolean' ? p[field] : p[field] !== null && p[field] !== undefined))
+    .map(([field, attribute]) => `${attribute.toLowerCase()} ${constraintValue(field, p[field])}`);
+  const of = p.ofType ? ` OF ${p.ofType}` : '';
+  return `CREATE PROPERTY ${typeName}.${p.name} IF NOT EXISTS ${p.type}${of}${constraints.length ? ` (${constraints.join(', ')})` : ''}`;
+}
+
+function createIndex(index) {
+  return `CREATE INDEX IF NOT EXISTS ON ${index.typeName} (${index.fields.join(', ')}) ${indexKind(index)}`;
+}
+
+function dropIndex(index) {
+  return `DROP INDEX \`${index.name || `${index.typeName}[${index.fields.join(',')}]`}\``;
+}
+
+// { up, down } statements for one change; a string note instead when there is no DDL for it
+function changeDDL(change) {
+  const { action, kind } = change;
+
+  if (kind === 'type' && action !== 'change') {
+    const create = createType(change.type);
+    const drop = `DROP TYPE ${change.type.name} IF EXISTS`;
+    return action === 'add' ? { up: [create], down: [drop] } : { up: [drop], down: [create] };
+  }
+
+  if (kind === 'type') {
+    if (change.field === 'kind') {
+      return `${change.name}: kind ${change.from} -> ${change.to} has no DDL, migrate by hand (new type + data copy)`;
+    }
+    const added = change.to.filter(s => !change.from.includes(s));
+    const removed = change.from.filter(s => !change.to.includes(s));
+    const alter = (sign, names) => names.map(s => `ALTER TYPE ${change.name} SUPERTYPE ${sign}${s}`);
+    return {
+      up: [...alter('+', added), ...alter('-', removed)],
+      down: [...alter('-', added), ...alter('+', removed)]
+    };
+  }
+
+  if (kind === 'property' && action !== 'change') {
+    const create = createProperty(change.typeName, change.property);
+    const drop = `DROP PROPERTY ${change.typeName}.${change.property.name}`;
+    return action === 'add' ? { up: [create], down: [drop] } : { up: [drop], down: [create] };
+  }
+
+  // The OF type can't be altered: drop the property (indexes first) and create
+  // it again. Records keep their values.
+  if (kind === 'property' && change.field === 'ofType' && change.previous.type === change.property.type) {
+    const { typeName, indexes } = change;
+    const recreate = property => [
+      ...indexes.map(dropIndex),
+      `DROP PROPERTY ${typeName}.${property.name}`,
+      createProperty(typeName, property),
+      ...indexes.map(createIndex)
+    ];
+    return { up: recreate(change.property), down: recreate(change.previous) };
+  }
+
+  if (kind === 'property') {
+    const attribute = ALTERABLE[change.field];
+    if (!attribute) {
+      return `${change.typeName}.${change.name}: ${change.field} ${change.from} -> ${change.to} has no DDL, migrate by hand`;
+    }
+    const alter = value => `ALTER PROPERTY ${change.typeName}.${change.name} ${attribute} ${constraintValue(change.field, value)}`;
+    return { up: [alter(change.to)], down: [alter(change.from)] };
+  }
+
+  const create = createIndex(change.index);
+  const drop = dropIndex(change.index);
+  return action === 'add' ? { up: [create], down: [drop] } : { up: [drop], down: [create] };
+}
+
+// Dependencies first: indexes before the properties they cover, properties
+// before their types, and the reverse when creating
+const ORDER = [
+  'remove index', 'remove property', 'remove type',
+  'add type', 'change type', 'add property', 'change property', 'add index'
+];
+
+// Changes -> { up, down, notes }; down undoes up in reverse order
+function migrationDDL(changes) {
+  const sorted = [...changes].sort((a, b) =>
+    ORDER.indexOf(`${a.action} ${a.kind}`) - ORDER.indexOf(`${b.action} ${b.kind}`)
+  );
+  const up = [];
+  const down = [];
+  const notes = [];
+  for (const change of sorted) {
+    const ddl = changeDDL(change);
+    if (typeof ddl === 'string') {
+      notes.push(ddl);
+      continue;
+    }
+    up.push(...ddl.up);
+    down.unshift(...ddl.down);
+  }
+  return { up, down, notes };
+}
+
+// One line per change: "+ property BaseCard.hint STRING"
+function formatChange(change) {
+  const sign = { add: '+', remove: '-', change: '~' }[change.action];
+  switch (change.kind) {
+    case 'type':
+      if (change.action === 'change') return `${sign} type ${change.name}: ${change.field} ${change.from} -> ${change.to}`;
+      return `${sign} type ${change.type.name} (${change.type.kind})`;
+    case 'property': {
+      if (change.action === 'change') {
+        return `${sign} property ${change.typeName}.${change.name}: ${change.field} ${change.from} -> ${change.to}`;
+      }
+      const p = change.property;
+      return `${sign} property ${change.typeName}.${p.name} ${p.type}${p.ofType ? ` OF ${p.ofType}` : ''}`;
+    }
+    default:
+      return `${sign} index ${change.index.typeName} (${change.index.fields.join(', ')}) ${indexKind(change.index)}`;
+  }
+}
+
+export { declaredSchema, diffSchema, migrationDDL, formatChange };
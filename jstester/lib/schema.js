@@ -0,0 +1,135 @@
+// Schema introspection
+// Normalized descriptors over schema:types and schema:indexes, so callers
+// don't dig through the raw rows:
+//
+//   type     { name, kind: 'document'|'vertex'|'edge', supertypes, properties, buckets, custom }
+//   property { name, type, ofType, mandatory, notNull, readOnly, hidden, min, max, default, regexp, custom }
+//   index    { name, typeName, type ('LSM_TREE', 'FULL_TEXT', ...), unique, fields, automatic, nullStrategy }
+//
+// Always reads the live schema. Reach it through client.schema.
+
+import { declaredSchema, diffSchema } from './schema-diff.js';
+
+function normalizeProperty(row) {
+  return {
+    name: row.name,
+    type: row.type,
+    ofType: row.ofType ?? null,
+    mandatory: row.mandatory ?? false,
+    notNull: row.notNull ?? false,
+    readOnly: row.readOnly ?? false,
+    hidden: row.hidden ?? false,
+    min: row.min ?? null,
+    max: row.max ?? null,
+    default: row.default ?? null,
+    regexp: row.regexp ?? null,
+    custom: row.custom ?? {}
+  };
+}
+
+function normalizeType(row) {
+  return {
+    name: row.name,
+    kind: String(row.type).toLowerCase(),
+    supertypes: row.parentTypes || [],
+    properties: (row.properties || []).map(normalizeProperty),
+    buckets: row.buckets || [],
+    custom: row.custom ?? {}
+  };
+}
+
+function normalizeIndex(row) {
+  return {
+    name: row.name,
+    typeName: row.typeName,
+    type: row.type,
+    unique: row.unique ?? false,
+    fields: row.properties || [],
+    automatic: row.automatic ?? true,
+    nullStrategy: row.nullStrategy ?? null
+  };
+}
+
+// Properties of typeName from a getTypes() list, null for an unknown type
+function propertiesOf(types, typeName, inherited) {
+  const byName = new Map(types.map(type => [type.name, type]));
+  if (!byName.has(typeName)) return null;
+  if (!inherited) return byName.get(typeName).properties;
+
+  const properties = new Map();
+  const visit = name => {
+    const type = byName.get(name);
+    if (!type) return;
+    type.supertypes.forEach(visit);
+    for (const property of type.properties) properties.set(property.name, property);
+  };
+  visit(typeName);
+  return [...properties.values()];
+}
+
+class Schema {
+  constructor(client) {
+    this.client = client;
+  }
+
+  // All types, internal ones included (e.g. _migrations)
+  async getTypes() {
+    const rows = await this.client.query('SELECT FROM schema:types', null, { decode: false });
+    return rows.map(normalizeType);
+  }
+
+  // Type descriptor, or null if there is no such type
+  async getType(name) {
+    const types = await this.getTypes();
+    return types.find(type => type.name === name) ?? null;
+  }
+
+  async hasType(name) {
+    return (await this.getType(name)) !== null;
+  }
+
+  // Properties of type, supertypes' first. inherited: false -> only its own
+  async getProperties(typeName, { inherited = true } = {}) {
+    const properties = propertiesOf(await this.getTypes(), typeName, inherited);
+    if (!properties) {
+      throw new Error(`Unknown type '${typeName}'`);
+    }
+    return properties;
+  }
+
+  // Property descriptor (own or inherited), or null
+  async getProperty(typeName, name) {
+    const properties = await this.getProperties(typeName);
+    return properties.find(property => property.name === name) ?? null;
+  }
+
+  // False for unknown types too
+  async hasProperty(typeName, name) {
+    const properties = propertiesOf(await this.getTypes(), typeName, true);
+    return Boolean(properties?.some(property => property.name === name));
+  }
+
+  // Indexes of one type, or of all types without typeName
+  async getIndexes(typeName = null) {
+    const rows = await this.client.query('SELECT FROM schema:indexes', null, { decode: false });
+    const indexes = rows.map(normalizeIndex);
+    return typeName ? indexes.filter(index => index.typeName === typeName) : indexes;
+  }
+
+  // Every type and index, for diffing (see schema-diff.js)
+  async snapshot() {
+    return { types: await this.getTypes(), indexes: await this.getIndexes() };
+  }
+
+  // Changes that bring this database to target: defineType() types, another
+  // snapshot() or another client's schema. ignore: type names to skip
+  // (default: _-prefixed internal types)
+  async diff(target, opts = {}) {
+    let wanted = target;
+    if (Array.isArray(target)) wanted = declaredSchema(target);
+    else if (target instanceof Schema) wanted = await target.snapshot();
+    return diffSchema(await this.snapshot(), wanted, opts);
+  }
+}
+
+export { Schema, normalizeType, normalizeProperty, normalizeIndex };
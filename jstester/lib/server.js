@@ -0,0 +1,121 @@
+// Server administration
+// JS counterpart of Arcadex.Server, covering the rest of the /api/v1/server
+// commands: databases, users, server info. Most of these need a root (or
+// server admin) user.
+//
+//   const admin = new ServerAdmin(ArcadexClient.fromConfig());
+//   await admin.createDatabase('crm');
+//   await admin.createUser({ name: 'app', password: 'secret', databases: { crm: 'admin' } });
+
+import { ArcadeError } from './errors.js';
+
+// Database and user names end up inside server commands
+const NAME_PATTERN = /^[A-Za-z0-9_][A-Za-z0-9_.-]*$/;
+
+function assertName(kind, name) {
+  if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+    throw new Error(`Invalid ${kind} name: ${name}`);
+  }
+}
+
+// { db: 'admin' | ['admin', ...] } -> { db: ['admin', ...] }; '*' is every database
+function normalizePermissions(databases) {
+  return Object.fromEntries(Object.entries(databases).map(([database, groups]) => {
+    if (database !== '*') assertName('database', database);
+    return [database, Array.isArray(groups) ? groups : [groups]];
+  }));
+}
+
+class ServerAdmin {
+  // client: ArcadexClient with server admin credentials (its database is ignored)
+  constructor(client) {
+    this.client = client;
+  }
+
+  command(command) {
+    return this.client.serverCommand(command);
+  }
+
+  // --- DATABASES ---
+
+  // Names of all databases on the server
+  async listDatabases() {
+    return this.command('list databases');
+  }
+
+  async databaseExists(name) {
+    assertName('database', name);
+    return this.client.databaseExists(name);
+  }
+
+  // Throws DatabaseExistsError when the name is taken
+  async createDatabase(name) {
+    assertName('database', name);
+    await this.command(`create database ${name}`);
+    return true;
+  }
+
+  async dropDatabase(name) {
+    assertName('database', name);
+    await this.command(`drop database ${name}`);
+    return true;
+  }
+
+  async openDatabase(name) {
+    assertName('database', name);
+    await this.command(`open database ${name}`);
+    return true;
+  }
+
+  // Closes the database files; queries fail with DatabaseNotFoundError until reopened
+  async closeDatabase(name) {
+    assertName('database', name);
+    await this.command(`close database ${name}`);
+    return true;
+  }
+
+  // Align the replicas of a database with the leader (HA clusters)
+  async alignDatabase(name) {
+    assertName('database', name);
+    return this.command(`align database ${name}`);
+  }
+
+  // --- USERS ---
+
+  // databases: { name: group or [groups] } - e.g. { crm: 'admin', '*': 'reader' }
+  async createUser({ name, password, databases = {} }) {
+    assertName('user', name);
+    if (!password) {
+      throw new Error(`Password required for user ${name}`);
+    }
+    const user = { name, password, databases: normalizePermissions(databases) };
+    await this.command(`create user ${JSON.stringify(user)}`);
+    return true;
+  }
+
+  async dropUser(name) {
+    assertName('user', name);
+    await this.command(`drop user ${name}`);
+    return true;
+  }
+
+  // --- SERVER ---
+
+  // GET /api/v1/server. mode: 'basic' (user, version, serverName), 'default'
+  // (adds metrics and settings) or 'cluster' (HA configuration)
+  async serverInfo({ mode = 'default' } = {}) {
+    const { json } = await this.client.request('GET', `/api/v1/server?mode=${encodeURIComponent(mode)}`);
+    return json;
+  }
+
+  // Server metrics (timers, meters, profiler counters)
+  async metrics() {
+    const info = await this.serverInfo({ mode: 'default' });
+    if (!info.metrics) {
+      throw new ArcadeError('No metrics in server info', { detail: 'is the server running with metrics enabled?' });
+    }
+    return info.metrics;
+  }
+}
+
+export { ServerAdmin };
@@ -0,0 +1,396 @@
+// SQL builder
+// Fluent builders for ArcadeDB SQL. Every builder ends in toSQL() -> { sql, params },
+// and the client accepts a builder wherever it takes SQL:
+//
+//   const tracks = await db.query(
+//     select().from('BaseTrack').where({ course: courseRid }).orderBy('order')
+//   );
+//   // SELECT FROM `BaseTrack` WHERE `course` = :course ORDER BY `order` ASC
+//
+// Identifiers are always backtick-quoted (so reserved words like `order` work)
+// and values always travel as named params, never inside the SQL text.
+
+// @rid, @type, @in, @out... are record attributes, not properties
+const ATTRIBUTE = /^@[a-z]+$/;
+const DIRECTIONS = ['ASC', 'DESC'];
+const RETURN_MODES = ['BEFORE', 'AFTER', 'COUNT'];
+
+// ============================================================================
+// Fragments
+// ============================================================================
+
+// SQL that is spliced in verbatim: functions (sysdate()), subqueries, projections
+class Raw {
+  constructor(sql) {
+    this.sql = sql;
+  }
+}
+
+function raw(sql) {
+  return new Raw(sql);
+}
+
+// `name`, `baseCard`.`deck`, @rid
+function quoteIdentifier(name) {
+  return String(name).split('.').map(part => {
+    if (ATTRIBUTE.test(part)) return part;
+    if (part === '' || part.includes('`')) {
+      throw new Error(`Invalid identifier: ${name}`);
+    }
+    return `\`${part}\``;
+  }).join('.');
+}
+
+// Accept SQL + params, a { sql, params } object or a builder
+function resolveStatement(sql, params = null) {
+  if (typeof sql === 'string') return { sql, params };
+  const built = typeof sql.toSQL === 'function' ? sql.toSQL() : sql;
+  return { sql: built.sql, params: built.params || null };
+}
+
+// Replace every :name placeholder outside string literals, quoted identifiers
+// and comments (-- to end of line, /* ... */) with fn(name). `schema:types`
+// and the like are left alone (a placeholder cannot directly follow a word
+// character).
+function replaceParams(sql, fn) {
+  let out = '';
+  let quote = null;
+
+  for (let i = 0; i < sql.length; i++) {
+    const ch = sql[i];
+
+    if (quote) {
+      out += ch;
+      if (ch === '\\') {
+        out += sql[++i] ?? '';
+      } else if (ch === quote) {
+        quote = null;
+      }
+      continue;
+    }
+
+    if (ch === "'" || ch === '"' || ch === '`') {
+      quote = ch;
+      out += ch;
+      continue;
+    }
+
+    // Comments are copied as-is: `-- don't` must not open a string
+    if ((ch === '-' && sql[i + 1] === '-') || (ch === '/' && sql[i + 1] === '*')) {
+      const close = ch === '-' ? '\n' : '*/';
+      const end = sql.indexOf(close, i + 2);
+      const stop = end === -1 ? sql.length : end + close.length;
+      out += sql.slice(i, stop);
+      i = stop - 1;
+      continue;
+    }
+
+    if (ch === ':' && /[A-Za-z_]/.test(sql[i + 1] ?? '') && !/[\w:]/.test(sql[i - 1] ?? '')) {
+      const match = /^[A-Za-z_]\w*/.exec(sql.slice(i + 1));
+      out += fn(match[0]);
+      i += match[0].length;
+      continue;
+    }
+
+    out += ch;
+  }
+  return out;
+}
+
+function assertCount(name, n) {
+  if (!Number.isInteger(n) || n < 0) {
+    throw new Error(`${name} must be a non-negative integer, got ${n}`);
+  }
+}
+
+// ============================================================================
+// Statement Base
+// ============================================================================
+
+class Statement {
+  constructor(type = null) {
+    this.type = type;
+    this.params = {};
+    this.assignments = [];
+    this.conditions = [];
+  }
+
+  // Bind a value under a readable name derived from the field (:name, :name_2)
+  bind(field, value) {
+    const base = String(field).replace(/^@/, '').replace(/\W+/g, '_') || 'p';
+    let name = base;
+    for (let n = 2; name in this.params; n++) name = `${base}_${n}`;
+    this.params[name] = value;
+    return `:${name}`;
+  }
+
+  // Params of a hand-written condition keep their names
+  bindNamed(params) {
+    for (const [name, value] of Object.entries(params)) {
+      if (name in this.params && this.params[name] !== value) {
+        throw new Error(`Param :${name} is already bound to a different value`);
+      }
+      this.params[name] = value;
+    }
+  }
+
+  value(field, value) {
+    return value instanceof Raw ? value.sql : this.bind(field, value);
+  }
+
+  // set({ field: value, ... }) - repeatable; raw() values are inlined
+  set(fields) {
+    for (const [field, value] of Object.entries(fields)) {
+      this.assignments.push(`${quoteIdentifier(field)} = ${this.value(field, value)}`);
+    }
+    return this;
+  }
+
+  // where({ field: value }) for equality (null -> IS NULL, array -> IN),
+  // or where('age > :age', { age: 21 }) for anything else. Repeated calls AND together.
+  where(condition, params = {}) {
+    if (typeof condition === 'string') {
+      this.bindNamed(params);
+      this.conditions.push({ sql: condition, raw: true });
+      return this;
+    }
+    for (const [field, value] of Object.entries(condition)) {
+      const column = quoteIdentifier(field);
+      let sql;
+      if (value === null || value === undefined) {
+        sql = `${column} IS NULL`;
+      } else if (Array.isArray(value)) {
+        sql = `${column} IN ${this.bind(field, value)}`;
+      } else {
+        sql = `${column} = ${this.value(field, value)}`;
+      }
+      this.conditions.push({ sql, raw: false });
+    }
+    return this;
+  }
+
+  setSQL() {
+    return this.assignments.length ? ` SET ${this.assignments.join(', ')}` : '';
+  }
+
+  whereSQL() {
+    if (this.conditions.length === 0) return '';
+    const wrap = this.conditions.length > 1;
+    const parts = this.conditions.map(c => (c.raw && wrap ? `(${c.sql})` : c.sql));
+    return ` WHERE ${parts.join(' AND ')}`;
+  }
+
+  // Independent copy, e.g. to add paging to a base query
+  clone() {
+    const copy = Object.create(Object.getPrototypeOf(this));
+    for (const [key, value] of Object.entries(this)) {
+      if (Array.isArray(value)) {
+        copy[key] = [...value];
+      } else if (value && value.constructor === Object) {
+        copy[key] = { ...value };
+      } else {
+        copy[key] = value;
+      }
+    }
+    return copy;
+  }
+
+  build() {
+    throw new Error('build() not implemented');
+  }
+
+  // Some params (paging, edge endpoints) are bound at build time, so build on
+  // a copy to keep toSQL() repeatable
+  toSQL() {
+    const bound = this.params;
+    this.params = { ...bound };
+    try {
+      return { sql: this.build(), params: this.params };
+    } finally {
+      this.params = bound;
+    }
+  }
+}
+
+// ============================================================================
+// Statements
+// ============================================================================
+
+class SelectQuery extends Statement {
+  constructor(fields) {
+    super();
+    this.fields = fields;
+    this.order = [];
+    this.skipCount = null;
+    this.limitCount = null;
+  }
+
+  from(type) {
+    this.type = type;
+    return this;
+  }
+
+  // orderBy('name'), orderBy('order', 'DESC') or orderBy({ lang: 'ASC', name: 'DESC' })
+  orderBy(field, direction = 'ASC') {
+    if (typeof field === 'object') {
+      for (const [name, dir] of Object.entries(field)) this.orderBy(name, dir);
+      return this;
+    }
+    const dir = String(direction).toUpperCase();
+    if (!DIRECTIONS.includes(dir)) {
+      throw new Error(`Invalid sort direction: ${direction}`);
+    }
+    this.order.push(`${quoteIdentifier(field)} ${dir}`);
+    return this;
+  }
+
+  skip(n) {
+    assertCount('skip', n);
+    this.skipCount = n;
+    return this;
+  }
+
+  limit(n) {
+    assertCount('limit', n);
+    this.limitCount = n;
+    return this;
+  }
+
+  build() {
+    if (!this.type) throw new Error('select() needs from(type)');
+
+    const projection = this.fields
+      .map(f => (f instanceof Raw ? f.sql : f === '*' ? '*' : quoteIdentifier(f)))
+      .join(', ');
+    let sql = projection ? `SELECT ${projection} FROM ` : 'SELECT FROM ';
+    sql += this.type instanceof Raw ? `(${this.type.sql})` : quoteIdentifier(this.type);
+    sql += this.whereSQL();
+    if (this.order.length) sql += ` ORDER BY ${this.order.join(', ')}`;
+    if (this.skipCount !== null) sql += ` SKIP ${this.bind('skip', this.skipCount)}`;
+    if (this.limitCount !== null) sql += ` LIMIT ${this.bind('limit', this.limitCount)}`;
+    return sql;
+  }
+}
+
+class InsertQuery extends Statement {
+  build() {
+    return `INSERT INTO ${quoteIdentifier(this.type)}${this.setSQL()}`;
+  }
+}
+
+// UPDATE ... [UPSERT] [RETURN mode] [WHERE ...]
+class UpdateQuery extends Statement {
+  constructor(type, { upsert = false } = {}) {
+    super(type);
+    this.upsert = upsert;
+    this.returnMode = null;
+  }
+
+  // returning('AFTER') returns the updated records instead of { count }
+  returning(mode) {
+    const upper = String(mode).toUpperCase();
+    if (!RETURN_MODES.includes(upper)) {
+      throw new Error(`Invalid return mode: ${mode}`);
+    }
+    this.returnMode = upper;
+    return this;
+  }
+
+  build() {
+    if (this.assignments.length === 0) throw new Error('update() needs set({...})');
+    if (this.upsert && this.conditions.length === 0) throw new Error('upsert() needs where({...})');
+
+    let sql = `UPDATE ${quoteIdentifier(this.type)}${this.setSQL()}`;
+    if (this.upsert) sql += ' UPSERT';
+    if (this.returnMode) sql += ` RETURN ${this.returnMode}`;
+    return sql + this.whereSQL();
+  }
+}
+
+class DeleteQuery extends Statement {
+  build() {
+    return `DELETE FROM ${quoteIdentifier(this.type)}${this.whereSQL()}`;
+  }
+}
+
+class CreateVertexQuery extends Statement {
+  build() {
+    return `CREATE VERTEX ${quoteIdentifier(this.type)}${this.setSQL()}`;
+  }
+}
+
+class CreateEdgeQuery extends Statement {
+  constructor(type) {
+    super(type);
+    this.endpoints = {};
+  }
+
+  // RID (bound as a param) or raw('(SELECT FROM ...)')
+  from(rid) {
+    this.endpoints.from = rid;
+    return this;
+  }
+
+  to(rid) {
+    this.endpoints.to = rid;
+    return this;
+  }
+
+  build() {
+    const { from, to } = this.endpoints;
+    if (from === undefined || to === undefined) throw new Error('createEdge() needs from() and to()');
+
+    const endpoints = `FROM ${this.value('from', from)} TO ${this.value('to', to)}`;
+    return `CREATE EDGE ${quoteIdentifier(this.type)} ${endpoints}${this.setSQL()}`;
+  }
+}
+
+// ============================================================================
+// Entry Points
+// ============================================================================
+
+function select(...fields) {
+  return new SelectQuery(fields);
+}
+
+function insert(type, fields = {}) {
+  return new InsertQuery(type).set(fields);
+}
+
+function update(type, fields = {}) {
+  return new UpdateQuery(type).set(fields);
+}
+
+// UPDATE ... UPSERT WHERE: updates the match or inserts a new record
+function upsert(type, fields = {}) {
+  return new UpdateQuery(type, { upsert: true }).set(fields);
+}
+
+// `delete` is reserved in JS
+function deleteFrom(type) {
+  return new DeleteQuery(type);
+}
+
+function createVertex(type, fields = {}) {
+  return new CreateVertexQuery(type).set(fields);
+}
+
+function createEdge(type, fields = {}) {
+  return new CreateEdgeQuery(type).set(fields);
+}
+
+export {
+  select,
+  insert,
+  update,
+  upsert,
+  deleteFrom,
+  createVertex,
+  createEdge,
+  raw,
+  Raw,
+  quoteIdentifier,
+  replaceParams,
+  resolveStatement,
+  SelectQuery
+};
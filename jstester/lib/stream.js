@@ -0,0 +1,88 @@
+// Streaming
+// Async iteration over large result sets with one page of rows in memory at a
+// time. A select() builder is paged by RID (keyset pagination):
+//
+//   SELECT FROM `HostCard` WHERE ... AND @rid > #12:999 ORDER BY @rid ASC LIMIT :limit
+//
+// which costs the same however deep the page. Plain SQL, and builders with
+// their own ORDER BY or a projection without @rid, fall back to SKIP/LIMIT -
+// give those an ORDER BY so pages don't shift.
+
+import { Rid } from './rid.js';
+import { SelectQuery, resolveStatement } from './sql.js';
+import { includeLinks } from './include.js';
+
+const DEFAULT_PAGE_SIZE = 1000;
+
+// Strip quoted text so keywords inside literals don't count
+const QUOTED = /'(?:\\.|[^'\\])*'|"(?:\\.|[^"\\])*"|`[^`]*`/g;
+
+function assertUnpaged(hasPaging) {
+  if (hasPaging) {
+    throw new Error('stream() adds its own SKIP/LIMIT; remove them from the query');
+  }
+}
+
+function canUseKeyset(query) {
+  return query.order.length === 0 && (query.fields.length === 0 || query.fields.includes('@rid'));
+}
+
+// ============================================================================
+// Pagers
+// ============================================================================
+
+async function* keysetPages(client, query, pageSize, opts) {
+  let last = null;
+  while (true) {
+    const page = query.clone().orderBy('@rid').limit(pageSize);
+    if (last) page.where('@rid > :lastRid', { lastRid: last });
+
+    const rows = await client.query(page, null, opts);
+    if (rows.length > 0) yield rows;
+    if (rows.length < pageSize) return;
+    last = Rid.parse(rows[rows.length - 1]['@rid']);
+  }
+}
+
+// pageAt(skip) -> statement for the page starting at skip
+async function* offsetPages(client, pageAt, pageSize, opts) {
+  for (let skip = 0; ; skip += pageSize) {
+    const rows = await client.query(pageAt(skip), null, opts);
+    if (rows.length > 0) yield rows;
+    if (rows.length < pageSize) return;
+  }
+}
+
+function pages(client, statement, params, pageSize, opts) {
+  if (statement instanceof SelectQuery) {
+    assertUnpaged(statement.skipCount !== null || statement.limitCount !== null);
+    if (canUseKeyset(statement)) return keysetPages(client, statement, pageSize, opts);
+    return offsetPages(client, skip => statement.clone().skip(skip).limit(pageSize), pageSize, opts);
+  }
+
+  const { sql, params: bound } = resolveStatement(statement, params);
+  const base = sql.trim().replace(/;+$/, '');
+  assertUnpaged(/\b(SKIP|LIMIT)\b/i.test(base.replace(QUOTED, '')));
+  return offsetPages(client, skip => ({
+    sql: `${base} SKIP :streamSkip LIMIT :streamLimit`,
+    params: { ...bound, streamSkip: skip, streamLimit: pageSize }
+  }), pageSize, opts);
+}
+
+// ============================================================================
+// Entry Point
+// ============================================================================
+
+// opts besides pageSize (timeout, signal, ...) apply to every page query.
+// include: LINK paths loaded per page (see include.js)
+async function* stream(client, statement, params = null, { pageSize = DEFAULT_PAGE_SIZE, include = [], ...opts } = {}) {
+  if (!Number.isInteger(pageSize) || pageSize < 1) {
+    throw new Error(`pageSize must be a positive integer, got ${pageSize}`);
+  }
+  for await (const rows of pages(client, statement, params, pageSize, opts)) {
+    if (include.length > 0) await includeLinks(client, rows, include, opts);
+    yield* rows;
+  }
+}
+
+export { stream };
@@ -0,0 +1,127 @@
+// Query telemetry
+// Every query/command a client runs emits, on an emitter shared with all
+// clients derived from it:
+//
+//   query:start        { id, language, sql, params, database, sessionId }
+//   query:end          { ...start, duration (ms), rowCount }
+//   query:error        { ...start, duration (ms), error }
+//
+// and every transaction attempt made by client.transaction() (from begin to
+// commit or rollback; a retried transaction emits one start per attempt):
+//
+//   transaction:start  { id, database, sessionId, attempt }
+//   transaction:end    { ...start, duration (ms) }
+//   transaction:error  { ...start, duration (ms), error }
+//
+// Listeners run synchronously inside the query, so keep them cheap. A listener
+// that throws doesn't fail the query: its error goes to the `error` event
+// (console.error when nothing listens there).
+
+import { EventEmitter } from 'node:events';
+import { bigintReplacer } from './decode.js';
+
+const EVENTS = [
+  'query:start', 'query:end', 'query:error',
+  'transaction:start', 'transaction:end', 'transaction:error',
+  'error'
+];
+
+let nextId = 1;
+
+function createEmitter() {
+  return new EventEmitter();
+}
+
+// Errors from listeners and callbacks the client calls on the caller's behalf
+function reportError(events, error) {
+  if (events.listenerCount('error') === 0) {
+    console.error(error);
+    return;
+  }
+  try {
+    events.emit('error', error);
+  } catch (e) {
+    console.error(e);
+  }
+}
+
+// Call each listener on its own, so one failing listener neither skips the
+// others nor reaches the query
+function emitSafely(events, name, payload) {
+  for (const listener of events.listeners(name)) {
+    try {
+      listener(payload);
+    } catch (error) {
+      reportError(events, error);
+    }
+  }
+}
+
+// Emit <kind>:start / :end / :error around run(). summarize(result) adds
+// fields to the end event.
+async function emitAround(events, kind, event, run, summarize = () => ({})) {
+  const start = { id: nextId++, ...event };
+  emitSafely(events, `${kind}:start`, start);
+
+  const startedAt = performance.now();
+  let result;
+  try {
+    result = await run();
+  } catch (error) {
+    emitSafely(events, `${kind}:error`, { ...start, duration: performance.now() - startedAt, error });
+    throw error;
+  }
+
+  emitSafely(events, `${kind}:end`, { ...start, duration: performance.now() - startedAt, ...summarize(result) });
+  return result;
+}
+
+// run resolves to the result rows
+function emitQuery(events, event, run) {
+  return emitAround(events, 'query', event, run, rows => ({
+    rowCount: Array.isArray(rows) ? rows.length : 0
+  }));
+}
+
+function emitTransaction(events, event, run) {
+  return emitAround(events, 'transaction', event, run);
+}
+
+// ============================================================================
+// Slow Query Log
+// ============================================================================
+
+function formatQuery({ duration, rowCount, database, sessionId, sql, params }) {
+  const where = sessionId ? `${database} (session ${sessionId})` : database;
+  const text = sql.replace(/\s+/g, ' ').trim();
+  const args = params && Object.keys(params).length > 0 ? ` ${JSON.stringify(params, bigintReplacer)}` : '';
+  return `[slow query] ${duration.toFixed(1)}ms, ${rowCount} rows, ${where}: ${text}${args}`;
+}
+
+// query:end listener that logs queries taking at least threshold ms
+function slowQueryLogger({ threshold = 100, log = console.warn } = {}) {
+  return event => {
+    if (event.duration >= threshold) log(formatQuery(event));
+  };
+}
+
+// Run fn() and count the queries issued meanwhile - a quick way to spot N+1
+// access paths. Failed queries count too (their event has `error`). Counts
+// every query on the shared emitter, so run it alone.
+async function measureQueries(client, fn) {
+  const queries = [];
+  const record = event => queries.push(event);
+  client.on('query:end', record);
+  client.on('query:error', record);
+
+  const startedAt = performance.now();
+  try {
+    const result = await fn();
+    return { result, queries, duration: performance.now() - startedAt };
+  } finally {
+    client.off('query:end', record);
+    client.off('query:error', record);
+  }
+}
+
+export { EVENTS, createEmitter, reportError, emitQuery, emitTransaction, slowQueryLogger, measureQueries };
@@ -0,0 +1,135 @@
+// Transaction support
+// JS counterpart of Arcadex.Transaction.transaction/2: begin a session, hand a
+// session-bound client to the callback, commit when it resolves and roll back
+// when it throws. With `retry`, the whole callback is re-run in a fresh
+// session when ArcadeDB reports an MVCC conflict.
+
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { ArcadeError, AbortError, ConcurrentModificationError, TransactionTimeoutError } from './errors.js';
+import { emitTransaction } from './telemetry.js';
+
+const DEFAULT_RETRY = {
+  maxAttempts: 3,
+  baseDelay: 10,  // ms, doubled per attempt
+  maxDelay: 500,  // ms, cap before jitter
+  retryable: e => e instanceof ConcurrentModificationError
+};
+
+// Session id of the transaction whose callback is currently running
+const activeTransaction = new AsyncLocalStorage();
+
+// Reject if called from inside another transaction: ArcadeDB has no nested
+// transactions, and a second session on the same records would just block
+// on (or conflict with) the outer one.
+function assertNotNested(client) {
+  const outer = client.sessionId || activeTransaction.getStore();
+  if (outer) {
+    throw new ArcadeError('Nested transaction', {
+      detail: `already inside transaction ${outer}; use the tx client passed to the callback`
+    });
+  }
+}
+
+function abortError(signal) {
+  return new AbortError('Transaction aborted', { detail: signal.reason?.message ?? String(signal.reason) });
+}
+
+// Race the callback against the optional timeout (ms) and signal. Whichever
+// fires first also aborts controller, cancelling the tx client's in-flight
+// queries so the rollback isn't stuck behind them.
+function cancellable(promise, { timeout, signal, sessionId, controller }) {
+  if (!timeout && !signal) return promise;
+
+  let timer, onAbort;
+  const cancelled = new Promise((_, reject) => {
+    const cancel = error => {
+      controller.abort(error);
+      reject(error);
+    };
+    if (timeout) {
+      timer = setTimeout(() => {
+        cancel(new TransactionTimeoutError('Transaction timed out', {
+          detail: `session ${sessionId} exceeded ${timeout}ms`
+        }));
+      }, timeout);
+    }
+    if (signal) {
+      onAbort = () => cancel(abortError(signal));
+      if (signal.aborted) onAbort();
+      else signal.addEventListener('abort', onAbort, { once: true });
+    }
+  });
+  return Promise.race([promise, cancelled]).finally(() => {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', onAbort);
+  });
+}
+
+// retry: true for defaults, or { maxAttempts, baseDelay, maxDelay, retryable }
+function retryPolicy(retry) {
+  if (!retry) return null;
+  if (retry === true) return DEFAULT_RETRY;
+  return { ...DEFAULT_RETRY, ...retry };
+}
+
+// Exponential backoff with full jitter, so parallel losers don't collide again
+function backoff(policy, attempt) {
+  const cap = Math.min(policy.maxDelay, policy.baseDelay * 2 ** (attempt - 1));
+  return Math.random() * cap;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// signal defaults to the client's own
+async function transaction(client, fn, { timeout = null, retry = null, signal = client.signal } = {}) {
+  assertNotNested(client);
+
+  const policy = retryPolicy(retry);
+  for (let attempt = 1; ; attempt++) {
+    if (signal?.aborted) throw abortError(signal);
+    try {
+      return await runOnce(client, fn, { timeout, signal }, attempt);
+    } catch (e) {
+      if (!policy || attempt >= policy.maxAttempts || !policy.retryable(e)) {
+        throw e;
+      }
+      await sleep(backoff(policy, attempt));
+    }
+  }
+}
+
+async function runOnce(client, fn, { timeout, signal }, attempt) {
+  const sessionId = await client.begin();
+  const event = { database: client.database, sessionId, attempt };
+  return emitTransaction(client.events, event, () => settle(client, sessionId, fn, { timeout, signal }));
+}
+
+// Run fn(tx), then commit - or roll back and rethrow
+async function settle(client, sessionId, fn, { timeout, signal }) {
+  const controller = new AbortController();
+  const tx = client.withSession(sessionId, { signal: controller.signal });
+
+  let result;
+  try {
+    result = await cancellable(
+      activeTransaction.run(sessionId, () => fn(tx)),
+      { timeout, signal, sessionId, controller }
+    );
+  } catch (e) {
+    await tx.rollback();
+    throw e;
+  }
+
+  try {
+    await tx.commit();
+  } catch (e) {
+    // A failed commit (e.g. MVCC conflict) leaves nothing to keep
+    await tx.rollback();
+    throw e;
+  }
+  return result;
+}
+
+export { transaction };
@@ -0,0 +1,129 @@
+// TypeScript declarations from the schema
+// One interface per type, shaped like a decoded result row (decode: true, see
+// decode.js): DATETIME -> Date, LONG -> bigint, DECIMAL -> Decimal and LINK ->
+// Rid<Target>. Mandatory properties are required, notnull ones never null.
+//
+//   export interface BaseCard {
+//     '@rid': Rid<BaseCard>;
+//     '@type': string;
+//     deck?: Rid<BaseDeck> | null;
+//     words?: string[] | null;
+//   }
+//
+//   const cards = await db.query<BaseCard>('SELECT FROM BaseCard', null, { decode: true });
+
+import { writeFile } from 'node:fs/promises';
+import { dirname, relative } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { declaredSchema } from './schema-diff.js';
+
+const SCALARS = {
+  STRING: 'string',
+  BOOLEAN: 'boolean',
+  BYTE: 'number',
+  SHORT: 'number',
+  INTEGER: 'number',
+  FLOAT: 'number',
+  DOUBLE: 'number',
+  LONG: 'bigint',
+  DECIMAL: 'Decimal',
+  DATE: 'Date',
+  DATETIME: 'Date',
+  DATETIME_SECOND: 'Date',
+  DATETIME_MICROS: 'Date',
+  DATETIME_NANOS: 'Date',
+  BINARY: 'string' // base64
+};
+
+const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+
+function key(name) {
+  return IDENTIFIER.test(name) ? name : `'${name.replace(/'/g, "\\'")}'`;
+}
+
+// ofType of a LIST/MAP/EMBEDDED: a scalar type or a type name
+function elementType(ofType, known) {
+  if (!ofType) return 'unknown';
+  if (SCALARS[ofType]) return SCALARS[ofType];
+  if (ofType === 'LINK') return 'Rid';
+  return known.has(ofType) ? ofType : 'unknown';
+}
+
+function propertyType({ type, ofType }, known) {
+  if (SCALARS[type]) return SCALARS[type];
+  switch (type) {
+    case 'LINK':
+      return ofType && known.has(ofType) ? `Rid<${ofType}>` : 'Rid';
+    case 'LIST':
+      return `${elementType(ofType, known)}[]`;
+    case 'MAP':
+      return `Record<string, ${elementType(ofType, known)}>`;
+    case 'EMBEDDED':
+      return ofType && known.has(ofType) ? ofType : 'Record<string, unknown>';
+    default:
+      return 'unknown';
+  }
+}
+
+function typeInterface(type, known) {
+  const [parent] = type.supertypes.filter(name => known.has(name));
+  const lines = [];
+  lines.push(parent
+    ? `export interface ${type.name} extends Omit<${parent}, '@rid'> {`
+    : `export interface ${type.name} {`);
+  lines.push(`  '@rid': Rid<${type.name}>;`);
+  if (!parent) {
+    lines.push(`  '@type': string;`);
+    if (type.kind === 'edge') {
+      lines.push(`  '@in': Rid;`);
+      lines.push(`  '@out': Rid;`);
+    }
+  }
+  for (const property of type.properties) {
+    const optional = property.mandatory ? '' : '?';
+    const nullable = property.notNull ? '' : ' | null';
+    lines.push(`  ${key(property.name)}${optional}: ${propertyType(property, known)}${nullable};`);
+  }
+  lines.push('}');
+  return lines.join('\n');
+}
+
+// .d.ts source for type descriptors (Schema#getTypes(), or the types of
+// declaredSchema()). importFrom: module specifier of lib/index.js
+function generateTypes(types, { importFrom = 'arcadex', source = null } = {}) {
+  const sorted = [...types].sort((a, b) => a.name.localeCompare(b.name));
+  const known = new Set(sorted.map(type => type.name));
+
+  return [
+    '// Generated from the ArcadeDB schema by lib/typegen.js - do not edit.',
+    ...(source ? [`// Source: ${source}`] : []),
+    '// Row shapes of decoded results (decode: true).',
+    '',
+    `import type { Rid, Decimal } from '${importFrom}';`,
+    '',
+    ...sorted.map(type => typeInterface(type, known) + '\n'),
+    '// Type name -> interface, e.g. for generic helpers',
+    'export interface DatabaseTypes {',
+    ...sorted.map(type => `  ${key(type.name)}: ${type.name};`),
+    '}',
+    ''
+  ].join('\n');
+}
+
+// Generate from a live database (client) or defineType() types and write file.
+// Returns the source.
+async function writeTypes(from, file, { source = null } = {}) {
+  const types = Array.isArray(from)
+    ? declaredSchema(from).types
+    : (await from.schema.getTypes()).filter(type => !type.name.startsWith('_'));
+
+  const index = fileURLToPath(new URL('./index.js', import.meta.url));
+  let importFrom = relative(dirname(file), index);
+  if (!importFrom.startsWith('.')) importFrom = `./${importFrom}`;
+
+  const text = generateTypes(types, { importFrom, source: source ?? (Array.isArray(from) ? null : from.database) });
+  await writeFile(file, text);
+  return text;
+}
+
+export { generateTypes, writeTypes };
@@ -1,12 +1,5 @@
 import { describe, test, expect, beforeAll, afterAll } from 'bun:test';
-import {
-  createDatabase,
-  dropDatabase,
-  databaseExists,
-  serverCommand,
-  uniqueDbName,
-  cleanupDatabase
-} from './helpers.js';
+import { client, uniqueDbName, cleanupDatabase } from './helpers.js';
 
 describe('Database Management', () => {
   const dbName = uniqueDbName('test_db_mgmt');
@@ -16,30 +9,30 @@ describe('Database Management', () => {
   });
 
   test('create database', async () => {
-    const result = await createDatabase(dbName);
-    expect(result.result).toBe('ok');
+    const result = await client.createDatabase(dbName);
+    expect(result).toBe('ok');
   });
 
   test('database exists returns true for existing db', async () => {
-    const exists = await databaseExists(dbName);
+    const exists = await client.databaseExists(dbName);
     expect(exists).toBe(true);
   });
 
   test('database exists returns false for non-existing db', async () => {
-    const exists = await databaseExists('nonexistent_db_12345');
+    const exists = await client.databaseExists('nonexistent_db_12345');
     expect(exists).toBe(false);
   });
 
   test('list databases includes created db', async () => {
-    const result = await serverCommand('list databases');
-    expect(result.result).toContain(dbName);
+    const result = await client.serverCommand('list databases');
+    expect(result).toContain(dbName);
   });
 
   test('drop database', async () => {
-    const result = await dropDatabase(dbName);
-    expect(result.result).toBe('ok');
+    const result = await client.dropDatabase(dbName);
+    expect(result).toBe('ok');
 
-    const exists = await databaseExists(dbName);
+    const exists = await client.databaseExists(dbName);
     expect(exists).toBe(false);
   });
 });
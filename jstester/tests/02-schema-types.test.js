@@ -1,19 +1,13 @@
 import { describe, test, expect, beforeAll, afterAll } from 'bun:test';
-import {
-  createDatabase,
-  dropDatabase,
-  command,
-  query,
-  uniqueDbName,
-  cleanupDatabase
-} from './helpers.js';
+import { client, uniqueDbName, cleanupDatabase } from './helpers.js';
 
 describe('Schema Types', () => {
   const dbName = uniqueDbName('test_schema_types');
+  const db = client.withDatabase(dbName);
 
   beforeAll(async () => {
     await cleanupDatabase(dbName);
-    await createDatabase(dbName);
+    await client.createDatabase(dbName);
   });
 
   afterAll(async () => {
@@ -21,34 +15,34 @@ describe('Schema Types', () => {
   });
 
   test('create document type', async () => {
-    const result = await command(dbName, 'CREATE DOCUMENT TYPE Contact');
-    expect(result.result).toBeDefined();
+    const result = await db.command('CREATE DOCUMENT TYPE Contact');
+    expect(result).toBeDefined();
   });
 
   test('create vertex type', async () => {
-    const result = await command(dbName, 'CREATE VERTEX TYPE Person');
-    expect(result.result).toBeDefined();
+    const result = await db.command('CREATE VERTEX TYPE Person');
+    expect(result).toBeDefined();
   });
 
   test('create edge type', async () => {
-    const result = await command(dbName, 'CREATE EDGE TYPE Knows');
-    expect(result.result).toBeDefined();
+    const result = await db.command('CREATE EDGE TYPE Knows');
+    expect(result).toBeDefined();
   });
 
   test('create type with IF NOT EXISTS', async () => {
     // Should not error even if type exists
-    const result = await command(dbName, 'CREATE VERTEX TYPE Person IF NOT EXISTS');
-    expect(result.result).toBeDefined();
+    const result = await db.command('CREATE VERTEX TYPE Person IF NOT EXISTS');
+    expect(result).toBeDefined();
   });
 
   test('create type with inheritance', async () => {
-    const result = await command(dbName, 'CREATE VERTEX TYPE Customer EXTENDS Person');
-    expect(result.result).toBeDefined();
+    const result = await db.command('CREATE VERTEX TYPE Customer EXTENDS Person');
+    expect(result).toBeDefined();
   });
 
   test('query schema:types shows created types', async () => {
-    const result = await query(dbName, 'SELECT FROM schema:types');
-    const typeNames = result.result.map(t => t.name);
+    const result = await db.query('SELECT FROM schema:types');
+    const typeNames = result.map(t => t.name);
     expect(typeNames).toContain('Contact');
     expect(typeNames).toContain('Person');
     expect(typeNames).toContain('Customer');
@@ -56,26 +50,26 @@ describe('Schema Types', () => {
   });
 
   test('alter type - rename', async () => {
-    await command(dbName, 'CREATE DOCUMENT TYPE OldName');
-    const result = await command(dbName, 'ALTER TYPE OldName NAME NewName');
-    expect(result.result).toBeDefined();
+    await db.command('CREATE DOCUMENT TYPE OldName');
+    const result = await db.command('ALTER TYPE OldName NAME NewName');
+    expect(result).toBeDefined();
 
-    const types = await query(dbName, 'SELECT FROM schema:types WHERE name = "NewName"');
-    expect(types.result.length).toBe(1);
+    const types = await db.query('SELECT FROM schema:types WHERE name = "NewName"');
+    expect(types.length).toBe(1);
   });
 
   test('drop type', async () => {
-    await command(dbName, 'CREATE DOCUMENT TYPE ToBeDropped');
-    const result = await command(dbName, 'DROP TYPE ToBeDropped');
-    expect(result.result).toBeDefined();
+    await db.command('CREATE DOCUMENT TYPE ToBeDropped');
+    const result = await db.command('DROP TYPE ToBeDropped');
+    expect(result).toBeDefined();
 
-    const types = await query(dbName, 'SELECT FROM schema:types WHERE name = "ToBeDropped"');
-    expect(types.result.length).toBe(0);
+    const types = await db.query('SELECT FROM schema:types WHERE name = "ToBeDropped"');
+    expect(types.length).toBe(0);
   });
 
   test('drop type IF EXISTS', async () => {
     // Should not error even if type doesn't exist
-    const result = await command(dbName, 'DROP TYPE NonExistent IF EXISTS');
-    expect(result.result).toBeDefined();
+    const result = await db.command('DROP TYPE NonExistent IF EXISTS');
+    expect(result).toBeDefined();
   });
 });
@@ -1,23 +1,18 @@
 import { describe, test, expect, beforeAll, afterAll } from 'bun:test';
-import {
-  createDatabase,
-  command,
-  query,
-  uniqueDbName,
-  cleanupDatabase
-} from './helpers.js';
+import { client, uniqueDbName, cleanupDatabase } from './helpers.js';
 
 describe('Indexes', () => {
   const dbName = uniqueDbName('test_indexes');
+  const db = client.withDatabase(dbName);
 
   beforeAll(async () => {
     await cleanupDatabase(dbName);
-    await createDatabase(dbName);
-    await command(dbName, 'CREATE DOCUMENT TYPE Contact');
-    await command(dbName, 'CREATE PROPERTY Contact.email STRING');
-    await command(dbName, 'CREATE PROPERTY Contact.firstName STRING');
-    await command(dbName, 'CREATE PROPERTY Contact.lastName STRING');
-    await command(dbName, 'CREATE PROPERTY Contact.content STRING');
+    await client.createDatabase(dbName);
+    await db.command('CREATE DOCUMENT TYPE Contact');
+    await db.command('CREATE PROPERTY Contact.email STRING');
+    await db.command('CREATE PROPERTY Contact.firstName STRING');
+    await db.command('CREATE PROPERTY Contact.lastName STRING');
+    await db.command('CREATE PROPERTY Contact.content STRING');
   });
 
   afterAll(async () => {
@@ -25,44 +20,43 @@ describe('Indexes', () => {
   });
 
   test('create unique index', async () => {
-    const result = await command(dbName, 'CREATE INDEX ON Contact (email) UNIQUE');
-    expect(result.result).toBeDefined();
+    const result = await db.command('CREATE INDEX ON Contact (email) UNIQUE');
+    expect(result).toBeDefined();
   });
 
   test('create non-unique index', async () => {
-    const result = await command(dbName, 'CREATE INDEX ON Contact (firstName) NOTUNIQUE');
-    expect(result.result).toBeDefined();
+    const result = await db.command('CREATE INDEX ON Contact (firstName) NOTUNIQUE');
+    expect(result).toBeDefined();
   });
 
   test('create composite index', async () => {
-    const result = await command(dbName, 'CREATE INDEX ON Contact (lastName, firstName) NOTUNIQUE');
-    expect(result.result).toBeDefined();
+    const result = await db.command('CREATE INDEX ON Contact (lastName, firstName) NOTUNIQUE');
+    expect(result).toBeDefined();
   });
 
   test('create full-text index', async () => {
-    const result = await command(dbName, 'CREATE INDEX ON Contact (content) FULL_TEXT');
-    expect(result.result).toBeDefined();
+    const result = await db.command('CREATE INDEX ON Contact (content) FULL_TEXT');
+    expect(result).toBeDefined();
   });
 
   test('verify indexes in schema', async () => {
-    const result = await query(dbName, 'SELECT FROM schema:indexes');
-    expect(result.result.length).toBeGreaterThanOrEqual(4);
+    const result = await db.query('SELECT FROM schema:indexes');
+    expect(result.length).toBeGreaterThanOrEqual(4);
   });
 
   test('unique index enforces uniqueness', async () => {
-    await command(dbName, 'INSERT INTO Contact SET email = "test@example.com", firstName = "Test"');
+    await db.command('INSERT INTO Contact SET email = "test@example.com", firstName = "Test"');
 
     // Should fail due to duplicate
-    const result = await command(dbName, 'INSERT INTO Contact SET email = "test@example.com", firstName = "Test2"');
-    expect(result.error).toBeDefined();
+    await expect(db.command('INSERT INTO Contact SET email = "test@example.com", firstName = "Test2"')).rejects.toThrow();
   });
 
   test('drop index', async () => {
-    await command(dbName, 'CREATE DOCUMENT TYPE TempType');
-    await command(dbName, 'CREATE PROPERTY TempType.field1 STRING');
-    await command(dbName, 'CREATE INDEX ON TempType (field1) UNIQUE');
+    await db.command('CREATE DOCUMENT TYPE TempType');
+    await db.command('CREATE PROPERTY TempType.field1 STRING');
+    await db.command('CREATE INDEX ON TempType (field1) UNIQUE');
 
-    const result = await command(dbName, 'DROP INDEX `TempType[field1]`');
-    expect(result.result).toBeDefined();
+    const result = await db.command('DROP INDEX `TempType[field1]`');
+    expect(result).toBeDefined();
   });
 });
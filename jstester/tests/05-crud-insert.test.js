@@ -1,24 +1,19 @@
 import { describe, test, expect, beforeAll, afterAll } from 'bun:test';
-import {
-  createDatabase,
-  command,
-  query,
-  uniqueDbName,
-  cleanupDatabase
-} from './helpers.js';
+import { client, uniqueDbName, cleanupDatabase } from './helpers.js';
 
 describe('CRUD - INSERT', () => {
   const dbName = uniqueDbName('test_crud_insert');
+  const db = client.withDatabase(dbName);
 
   beforeAll(async () => {
     await cleanupDatabase(dbName);
-    await createDatabase(dbName);
-    await command(dbName, 'CREATE DOCUMENT TYPE Contact');
-    await command(dbName, 'CREATE PROPERTY Contact.name STRING');
-    await command(dbName, 'CREATE PROPERTY Contact.email STRING');
-    await command(dbName, 'CREATE PROPERTY Contact.age INTEGER');
-    await command(dbName, 'CREATE PROPERTY Contact.tags LIST OF STRING');
-    await command(dbName, 'CREATE PROPERTY Contact.metadata MAP');
+    await client.createDatabase(dbName);
+    await db.command('CREATE DOCUMENT TYPE Contact');
+    await db.command('CREATE PROPERTY Contact.name STRING');
+    await db.command('CREATE PROPERTY Contact.email STRING');
+    await db.command('CREATE PROPERTY Contact.age INTEGER');
+    await db.command('CREATE PROPERTY Contact.tags LIST OF STRING');
+    await db.command('CREATE PROPERTY Contact.metadata MAP');
   });
 
   afterAll(async () => {
@@ -26,77 +21,77 @@ describe('CRUD - INSERT', () => {
   });
 
   test('insert with SET syntax', async () => {
-    const result = await command(dbName, "INSERT INTO Contact SET name = 'John', email = 'john@example.com'");
-    expect(result.result).toBeDefined();
-    expect(result.result.length).toBe(1);
+    const result = await db.command("INSERT INTO Contact SET name = 'John', email = 'john@example.com'");
+    expect(result).toBeDefined();
+    expect(result.length).toBe(1);
   });
 
   test('insert with VALUES syntax', async () => {
-    const result = await command(dbName, "INSERT INTO Contact (name, email) VALUES ('Jane', 'jane@example.com')");
-    expect(result.result).toBeDefined();
-    expect(result.result.length).toBe(1);
+    const result = await db.command("INSERT INTO Contact (name, email) VALUES ('Jane', 'jane@example.com')");
+    expect(result).toBeDefined();
+    expect(result.length).toBe(1);
   });
 
   test('insert multiple records with VALUES', async () => {
-    const result = await command(dbName, "INSERT INTO Contact (name, email) VALUES ('Alice', 'alice@example.com'), ('Bob', 'bob@example.com')");
-    expect(result.result).toBeDefined();
-    expect(result.result.length).toBe(2);
+    const result = await db.command("INSERT INTO Contact (name, email) VALUES ('Alice', 'alice@example.com'), ('Bob', 'bob@example.com')");
+    expect(result).toBeDefined();
+    expect(result.length).toBe(2);
   });
 
   test('insert with JSON CONTENT', async () => {
-    const result = await command(dbName, 'INSERT INTO Contact CONTENT {"name": "Charlie", "email": "charlie@example.com"}');
-    expect(result.result).toBeDefined();
-    expect(result.result.length).toBe(1);
+    const result = await db.command('INSERT INTO Contact CONTENT {"name": "Charlie", "email": "charlie@example.com"}');
+    expect(result).toBeDefined();
+    expect(result.length).toBe(1);
   });
 
   test('insert with parameters', async () => {
-    const result = await command(dbName, 'INSERT INTO Contact SET name = :name, email = :email', {
+    const result = await db.command('INSERT INTO Contact SET name = :name, email = :email', {
       name: 'Dave',
       email: 'dave@example.com'
     });
-    expect(result.result).toBeDefined();
-    expect(result.result.length).toBe(1);
+    expect(result).toBeDefined();
+    expect(result.length).toBe(1);
   });
 
   test('insert with RETURN @this', async () => {
-    const result = await command(dbName, "INSERT INTO Contact SET name = 'Eve', email = 'eve@example.com' RETURN @this");
-    expect(result.result).toBeDefined();
-    expect(result.result[0].name).toBe('Eve');
-    expect(result.result[0].email).toBe('eve@example.com');
+    const result = await db.command("INSERT INTO Contact SET name = 'Eve', email = 'eve@example.com' RETURN @this");
+    expect(result).toBeDefined();
+    expect(result[0].name).toBe('Eve');
+    expect(result[0].email).toBe('eve@example.com');
   });
 
   test('insert with RETURN @rid', async () => {
-    const result = await command(dbName, "INSERT INTO Contact SET name = 'Frank', email = 'frank@example.com' RETURN @rid");
-    expect(result.result).toBeDefined();
-    expect(result.result[0]['@rid']).toBeDefined();
+    const result = await db.command("INSERT INTO Contact SET name = 'Frank', email = 'frank@example.com' RETURN @rid");
+    expect(result).toBeDefined();
+    expect(result[0]['@rid']).toBeDefined();
   });
 
   test('insert with list property', async () => {
-    const result = await command(dbName, 'INSERT INTO Contact SET name = "Grace", tags = ["vip", "premium"]');
-    expect(result.result).toBeDefined();
+    const result = await db.command('INSERT INTO Contact SET name = "Grace", tags = ["vip", "premium"]');
+    expect(result).toBeDefined();
 
-    const check = await query(dbName, 'SELECT FROM Contact WHERE name = "Grace"');
-    expect(check.result[0].tags).toContain('vip');
-    expect(check.result[0].tags).toContain('premium');
+    const check = await db.query('SELECT FROM Contact WHERE name = "Grace"');
+    expect(check[0].tags).toContain('vip');
+    expect(check[0].tags).toContain('premium');
   });
 
   test('insert with map property', async () => {
-    const result = await command(dbName, 'INSERT INTO Contact SET name = "Henry", metadata = {"source": "web", "campaign": "summer"}');
-    expect(result.result).toBeDefined();
+    const result = await db.command('INSERT INTO Contact SET name = "Henry", metadata = {"source": "web", "campaign": "summer"}');
+    expect(result).toBeDefined();
 
-    const check = await query(dbName, 'SELECT FROM Contact WHERE name = "Henry"');
-    expect(check.result[0].metadata.source).toBe('web');
+    const check = await db.query('SELECT FROM Contact WHERE name = "Henry"');
+    expect(check[0].metadata.source).toBe('web');
   });
 
   test('insert from subquery', async () => {
-    await command(dbName, 'CREATE DOCUMENT TYPE ArchivedContact');
-    await command(dbName, "INSERT INTO Contact SET name = 'ToArchive', email = 'archive@test.com'");
+    await db.command('CREATE DOCUMENT TYPE ArchivedContact');
+    await db.command("INSERT INTO Contact SET name = 'ToArchive', email = 'archive@test.com'");
 
-    const result = await command(dbName, 'INSERT INTO ArchivedContact FROM SELECT * FROM Contact WHERE name = "ToArchive"');
-    expect(result.result).toBeDefined();
+    const result = await db.command('INSERT INTO ArchivedContact FROM SELECT * FROM Contact WHERE name = "ToArchive"');
+    expect(result).toBeDefined();
 
-    const check = await query(dbName, 'SELECT FROM ArchivedContact');
-    expect(check.result.length).toBe(1);
-    expect(check.result[0].name).toBe('ToArchive');
+    const check = await db.query('SELECT FROM ArchivedContact');
+    expect(check.length).toBe(1);
+    expect(check[0].name).toBe('ToArchive');
   });
 });
@@ -1,26 +1,17 @@
 import { describe, test, expect, beforeAll, afterAll } from 'bun:test';
-import {
-  createDatabase,
-  command,
-  query,
-  beginTransaction,
-  commitTransaction,
-  rollbackTransaction,
-  commandWithSession,
-  queryWithSession,
-  uniqueDbName,
-  cleanupDatabase
-} from './helpers.js';
+import { client, uniqueDbName, cleanupDatabase } from './helpers.js';
+import { ArcadeError, TransactionTimeoutError } from '../lib/index.js';
 
 describe('Transactions', () => {
   const dbName = uniqueDbName('test_transactions');
+  const db = client.withDatabase(dbName);
 
   beforeAll(async () => {
     await cleanupDatabase(dbName);
-    await createDatabase(dbName);
-    await command(dbName, 'CREATE DOCUMENT TYPE Account');
-    await command(dbName, 'CREATE PROPERTY Account.name STRING');
-    await command(dbName, 'CREATE PROPERTY Account.balance INTEGER');
+    await client.createDatabase(dbName);
+    await db.command('CREATE DOCUMENT TYPE Account');
+    await db.command('CREATE PROPERTY Account.name STRING');
+    await db.command('CREATE PROPERTY Account.balance INTEGER');
   });
 
   afterAll(async () => {
@@ -28,137 +19,180 @@ describe('Transactions', () => {
   });
 
   test('begin and commit transaction', async () => {
-    const sessionId = await beginTransaction(dbName);
+    const sessionId = await db.begin();
+    const tx = db.withSession(sessionId);
     expect(sessionId).toBeDefined();
     expect(sessionId).toContain('AS-');
 
-    await commandWithSession(dbName, sessionId, "INSERT INTO Account SET name = 'TxCommit', balance = 100");
+    await tx.command("INSERT INTO Account SET name = 'TxCommit', balance = 100");
 
-    const committed = await commitTransaction(dbName, sessionId);
+    const committed = await tx.commit();
     expect(committed).toBe(true);
 
     // Verify data persisted
-    const check = await query(dbName, "SELECT FROM Account WHERE name = 'TxCommit'");
-    expect(check.result.length).toBe(1);
-    expect(check.result[0].balance).toBe(100);
+    const check = await db.query("SELECT FROM Account WHERE name = 'TxCommit'");
+    expect(check.length).toBe(1);
+    expect(check[0].balance).toBe(100);
   });
 
   test('begin and rollback transaction', async () => {
-    const sessionId = await beginTransaction(dbName);
+    const sessionId = await db.begin();
+    const tx = db.withSession(sessionId);
     expect(sessionId).toBeDefined();
 
-    await commandWithSession(dbName, sessionId, "INSERT INTO Account SET name = 'TxRollback', balance = 200");
+    await tx.command("INSERT INTO Account SET name = 'TxRollback', balance = 200");
 
-    const rolledback = await rollbackTransaction(dbName, sessionId);
+    const rolledback = await tx.rollback();
     expect(rolledback).toBe(true);
 
     // Verify data was NOT persisted
-    const check = await query(dbName, "SELECT FROM Account WHERE name = 'TxRollback'");
-    expect(check.result.length).toBe(0);
+    const check = await db.query("SELECT FROM Account WHERE name = 'TxRollback'");
+    expect(check.length).toBe(0);
   });
 
   test('multiple operations in single transaction', async () => {
-    const sessionId = await beginTransaction(dbName);
+    await db.transaction(async tx => {
+      await tx.command("INSERT INTO Account SET name = 'Multi1', balance = 100");
+      await tx.command("INSERT INTO Account SET name = 'Multi2', balance = 200");
+      await tx.command("UPDATE Account SET balance = 150 WHERE name = 'Multi1'");
+    });
 
-    await commandWithSession(dbName, sessionId, "INSERT INTO Account SET name = 'Multi1', balance = 100");
-    await commandWithSession(dbName, sessionId, "INSERT INTO Account SET name = 'Multi2', balance = 200");
-    await commandWithSession(dbName, sessionId, "UPDATE Account SET balance = 150 WHERE name = 'Multi1'");
+    const check1 = await db.query("SELECT FROM Account WHERE name = 'Multi1'");
+    expect(check1[0].balance).toBe(150);
 
-    await commitTransaction(dbName, sessionId);
+    const check2 = await db.query("SELECT FROM Account WHERE name = 'Multi2'");
+    expect(check2[0].balance).toBe(200);
+  });
 
-    const check1 = await query(dbName, "SELECT FROM Account WHERE name = 'Multi1'");
-    expect(check1.result[0].balance).toBe(150);
+  test('transaction returns the callback result', async () => {
+    const inserted = await db.transaction(async tx => {
+      return tx.command("INSERT INTO Account SET name = 'Returned', balance = 10");
+    });
 
-    const check2 = await query(dbName, "SELECT FROM Account WHERE name = 'Multi2'");
-    expect(check2.result[0].balance).toBe(200);
+    expect(inserted.length).toBe(1);
+    expect(inserted[0]['@rid']).toBeDefined();
   });
 
   test('transaction isolation - changes not visible until commit', async () => {
-    const sessionId = await beginTransaction(dbName);
-
-    await commandWithSession(dbName, sessionId, "INSERT INTO Account SET name = 'Isolated', balance = 500");
-
-    // Query without session should NOT see uncommitted data
-    const beforeCommit = await query(dbName, "SELECT FROM Account WHERE name = 'Isolated'");
-    expect(beforeCommit.result.length).toBe(0);
+    await db.transaction(async tx => {
+      await tx.command("INSERT INTO Account SET name = 'Isolated', balance = 500");
 
-    await commitTransaction(dbName, sessionId);
+      // Query without session should NOT see uncommitted data
+      const beforeCommit = await db.query("SELECT FROM Account WHERE name = 'Isolated'");
+      expect(beforeCommit.length).toBe(0);
+    });
 
     // After commit, data should be visible
-    const afterCommit = await query(dbName, "SELECT FROM Account WHERE name = 'Isolated'");
-    expect(afterCommit.result.length).toBe(1);
+    const afterCommit = await db.query("SELECT FROM Account WHERE name = 'Isolated'");
+    expect(afterCommit.length).toBe(1);
   });
 
   test('query within transaction - read then update', async () => {
     // Setup: create account with initial balance
-    await command(dbName, "INSERT INTO Account SET name = 'ReadThenUpdate', balance = 1000");
-
-    const sessionId = await beginTransaction(dbName);
-
-    // Query current balance within transaction
-    const current = await queryWithSession(dbName, sessionId, "SELECT balance FROM Account WHERE name = 'ReadThenUpdate'");
-    const currentBalance = current.result[0].balance;
-    expect(currentBalance).toBe(1000);
+    await db.command("INSERT INTO Account SET name = 'ReadThenUpdate', balance = 1000");
 
-    // Update based on queried value
-    const newBalance = currentBalance - 200;
-    await commandWithSession(dbName, sessionId, `UPDATE Account SET balance = ${newBalance} WHERE name = 'ReadThenUpdate'`);
+    await db.transaction(async tx => {
+      // Query current balance within transaction
+      const current = await tx.query("SELECT balance FROM Account WHERE name = 'ReadThenUpdate'");
+      const currentBalance = current[0].balance;
+      expect(currentBalance).toBe(1000);
 
-    // Query again within same transaction - should see updated value
-    const updated = await queryWithSession(dbName, sessionId, "SELECT balance FROM Account WHERE name = 'ReadThenUpdate'");
-    expect(updated.result[0].balance).toBe(800);
+      // Update based on queried value
+      await tx.command("UPDATE Account SET balance = :balance WHERE name = 'ReadThenUpdate'", {
+        balance: currentBalance - 200
+      });
 
-    await commitTransaction(dbName, sessionId);
+      // Query again within same transaction - should see updated value
+      const updated = await tx.query("SELECT balance FROM Account WHERE name = 'ReadThenUpdate'");
+      expect(updated[0].balance).toBe(800);
+    });
 
     // Verify after commit
-    const final = await query(dbName, "SELECT balance FROM Account WHERE name = 'ReadThenUpdate'");
-    expect(final.result[0].balance).toBe(800);
+    const final = await db.query("SELECT balance FROM Account WHERE name = 'ReadThenUpdate'");
+    expect(final[0].balance).toBe(800);
   });
 
   test('query within transaction - transfer between accounts', async () => {
     // Setup: create two accounts
-    await command(dbName, "INSERT INTO Account SET name = 'Sender', balance = 500");
-    await command(dbName, "INSERT INTO Account SET name = 'Receiver', balance = 100");
-
-    const sessionId = await beginTransaction(dbName);
-
-    // Read both balances
-    const sender = await queryWithSession(dbName, sessionId, "SELECT balance FROM Account WHERE name = 'Sender'");
-    const receiver = await queryWithSession(dbName, sessionId, "SELECT balance FROM Account WHERE name = 'Receiver'");
+    await db.command("INSERT INTO Account SET name = 'Sender', balance = 500");
+    await db.command("INSERT INTO Account SET name = 'Receiver', balance = 100");
 
     const transferAmount = 150;
-    const newSenderBalance = sender.result[0].balance - transferAmount;
-    const newReceiverBalance = receiver.result[0].balance + transferAmount;
 
-    // Perform transfer
-    await commandWithSession(dbName, sessionId, `UPDATE Account SET balance = ${newSenderBalance} WHERE name = 'Sender'`);
-    await commandWithSession(dbName, sessionId, `UPDATE Account SET balance = ${newReceiverBalance} WHERE name = 'Receiver'`);
+    await db.transaction(async tx => {
+      // Read both balances
+      const sender = await tx.query("SELECT balance FROM Account WHERE name = 'Sender'");
+      const receiver = await tx.query("SELECT balance FROM Account WHERE name = 'Receiver'");
 
-    await commitTransaction(dbName, sessionId);
+      // Perform transfer
+      await tx.command("UPDATE Account SET balance = :balance WHERE name = 'Sender'", {
+        balance: sender[0].balance - transferAmount
+      });
+      await tx.command("UPDATE Account SET balance = :balance WHERE name = 'Receiver'", {
+        balance: receiver[0].balance + transferAmount
+      });
+    });
 
     // Verify final balances
-    const finalSender = await query(dbName, "SELECT balance FROM Account WHERE name = 'Sender'");
-    const finalReceiver = await query(dbName, "SELECT balance FROM Account WHERE name = 'Receiver'");
+    const finalSender = await db.query("SELECT balance FROM Account WHERE name = 'Sender'");
+    const finalReceiver = await db.query("SELECT balance FROM Account WHERE name = 'Receiver'");
 
-    expect(finalSender.result[0].balance).toBe(350);
-    expect(finalReceiver.result[0].balance).toBe(250);
+    expect(finalSender[0].balance).toBe(350);
+    expect(finalReceiver[0].balance).toBe(250);
   });
 
   test('query within transaction sees own uncommitted changes', async () => {
-    const sessionId = await beginTransaction(dbName);
+    const aborted = db.transaction(async tx => {
+      // Insert within transaction
+      await tx.command("INSERT INTO Account SET name = 'TxVisible', balance = 999");
 
-    // Insert within transaction
-    await commandWithSession(dbName, sessionId, "INSERT INTO Account SET name = 'TxVisible', balance = 999");
+      // Query within same session should see the insert
+      const withinTx = await tx.query("SELECT FROM Account WHERE name = 'TxVisible'");
+      expect(withinTx.length).toBe(1);
+      expect(withinTx[0].balance).toBe(999);
 
-    // Query within same session should see the insert
-    const withinTx = await queryWithSession(dbName, sessionId, "SELECT FROM Account WHERE name = 'TxVisible'");
-    expect(withinTx.result.length).toBe(1);
-    expect(withinTx.result[0].balance).toBe(999);
-
-    await rollbackTransaction(dbName, sessionId);
+      throw new Error('abort');
+    });
+    await expect(aborted).rejects.toThrow('abort');
 
     // After rollback, should not exist
-    const afterRollback = await query(dbName, "SELECT FROM Account WHERE name = 'TxVisible'");
-    expect(afterRollback.result.length).toBe(0);
+    const afterRollback = await db.query("SELECT FROM Account WHERE name = 'TxVisible'");
+    expect(afterRollback.length).toBe(0);
+  });
+
+  test('failed statement rolls back earlier statements', async () => {
+    const failed = db.transaction(async tx => {
+      await tx.command("INSERT INTO Account SET name = 'BeforeFailure', balance = 1");
+      await tx.command('INSERT INTO NoSuchType SET name = 1');
+    });
+    await expect(failed).rejects.toBeInstanceOf(ArcadeError);
+
+    const check = await db.query("SELECT FROM Account WHERE name = 'BeforeFailure'");
+    expect(check.length).toBe(0);
+  });
+
+  test('nested transaction on the tx client is rejected', async () => {
+    const nested = db.transaction(async tx => {
+      await tx.transaction(async () => {});
+    });
+    await expect(nested).rejects.toThrow('Nested transaction');
+  });
+
+  test('nested transaction on the outer client is rejected', async () => {
+    const nested = db.transaction(async () => {
+      await db.transaction(async () => {});
+    });
+    await expect(nested).rejects.toThrow('Nested transaction');
+  });
+
+  test('transaction timeout rolls back and raises TransactionTimeoutError', async () => {
+    const slow = db.transaction(async tx => {
+      await tx.command("INSERT INTO Account SET name = 'TooSlow', balance = 1");
+      await Bun.sleep(200);
+    }, { timeout: 50 });
+    await expect(slow).rejects.toBeInstanceOf(TransactionTimeoutError);
+
+    const check = await db.query("SELECT FROM Account WHERE name = 'TooSlow'");
+    expect(check.length).toBe(0);
   });
 });
@@ -1,18 +1,13 @@
 import { describe, test, expect, beforeAll, afterAll } from 'bun:test';
-import {
-  createDatabase,
-  command,
-  query,
-  uniqueDbName,
-  cleanupDatabase
-} from './helpers.js';
+import { client, uniqueDbName, cleanupDatabase } from './helpers.js';
 
 describe('CMS/CRM Examples', () => {
   const dbName = uniqueDbName('test_cms_crm');
+  const db = client.withDatabase(dbName);
 
   beforeAll(async () => {
     await cleanupDatabase(dbName);
-    await createDatabase(dbName);
+    await client.createDatabase(dbName);
   });
 
   afterAll(async () => {
@@ -22,133 +17,132 @@ describe('CMS/CRM Examples', () => {
   describe('Contact Management', () => {
     beforeAll(async () => {
       // Create Contact schema
-      await command(dbName, 'CREATE DOCUMENT TYPE Contact');
-      await command(dbName, 'CREATE PROPERTY Contact.email STRING (mandatory true, notnull true)');
-      await command(dbName, 'CREATE PROPERTY Contact.firstName STRING');
-      await command(dbName, 'CREATE PROPERTY Contact.lastName STRING');
-      await command(dbName, 'CREATE PROPERTY Contact.phone STRING');
-      await command(dbName, 'CREATE PROPERTY Contact.status STRING (default "lead")');
-      await command(dbName, 'CREATE PROPERTY Contact.createdAt DATETIME (default sysdate())');
-      await command(dbName, 'CREATE INDEX ON Contact (email) UNIQUE');
+      await db.command('CREATE DOCUMENT TYPE Contact');
+      await db.command('CREATE PROPERTY Contact.email STRING (mandatory true, notnull true)');
+      await db.command('CREATE PROPERTY Contact.firstName STRING');
+      await db.command('CREATE PROPERTY Contact.lastName STRING');
+      await db.command('CREATE PROPERTY Contact.phone STRING');
+      await db.command('CREATE PROPERTY Contact.status STRING (default "lead")');
+      await db.command('CREATE PROPERTY Contact.createdAt DATETIME (default sysdate())');
+      await db.command('CREATE INDEX ON Contact (email) UNIQUE');
     });
 
     test('insert contact', async () => {
-      const result = await command(dbName, `
+      const result = await db.command(`
         INSERT INTO Contact SET
           firstName = 'John',
           lastName = 'Doe',
           email = 'john@example.com',
           status = 'customer'
       `);
-      expect(result.result.length).toBe(1);
+      expect(result.length).toBe(1);
     });
 
     test('find contacts by status', async () => {
-      await command(dbName, "INSERT INTO Contact SET firstName = 'Lead1', email = 'lead1@test.com', status = 'lead'");
-      await command(dbName, "INSERT INTO Contact SET firstName = 'Lead2', email = 'lead2@test.com', status = 'lead'");
+      await db.command("INSERT INTO Contact SET firstName = 'Lead1', email = 'lead1@test.com', status = 'lead'");
+      await db.command("INSERT INTO Contact SET firstName = 'Lead2', email = 'lead2@test.com', status = 'lead'");
 
-      const result = await query(dbName, "SELECT FROM Contact WHERE status = 'lead' ORDER BY firstName");
-      expect(result.result.length).toBe(2);
+      const result = await db.query("SELECT FROM Contact WHERE status = 'lead' ORDER BY firstName");
+      expect(result.length).toBe(2);
     });
 
     test('update contact status', async () => {
-      await command(dbName, "UPDATE Contact SET status = 'customer' WHERE email = 'lead1@test.com'");
+      await db.command("UPDATE Contact SET status = 'customer' WHERE email = 'lead1@test.com'");
 
-      const check = await query(dbName, "SELECT FROM Contact WHERE email = 'lead1@test.com'");
-      expect(check.result[0].status).toBe('customer');
+      const check = await db.query("SELECT FROM Contact WHERE email = 'lead1@test.com'");
+      expect(check[0].status).toBe('customer');
     });
 
     test('search contacts with LIKE', async () => {
-      const result = await query(dbName, "SELECT FROM Contact WHERE firstName LIKE 'Jo%' OR lastName LIKE 'Jo%'");
-      expect(result.result.length).toBeGreaterThanOrEqual(1);
+      const result = await db.query("SELECT FROM Contact WHERE firstName LIKE 'Jo%' OR lastName LIKE 'Jo%'");
+      expect(result.length).toBeGreaterThanOrEqual(1);
     });
 
     test('unique email constraint', async () => {
-      const result = await command(dbName, "INSERT INTO Contact SET firstName = 'Dup', email = 'john@example.com'");
-      expect(result.error).toBeDefined();
+      await expect(db.command("INSERT INTO Contact SET firstName = 'Dup', email = 'john@example.com'")).rejects.toThrow();
     });
   });
 
   describe('Organization Hierarchy', () => {
     beforeAll(async () => {
       // Create graph schema
-      await command(dbName, 'CREATE VERTEX TYPE Organization');
-      await command(dbName, 'CREATE PROPERTY Organization.name STRING');
+      await db.command('CREATE VERTEX TYPE Organization');
+      await db.command('CREATE PROPERTY Organization.name STRING');
 
-      await command(dbName, 'CREATE VERTEX TYPE Department');
-      await command(dbName, 'CREATE PROPERTY Department.name STRING');
+      await db.command('CREATE VERTEX TYPE Department');
+      await db.command('CREATE PROPERTY Department.name STRING');
 
-      await command(dbName, 'CREATE VERTEX TYPE Employee');
-      await command(dbName, 'CREATE PROPERTY Employee.name STRING');
-      await command(dbName, 'CREATE PROPERTY Employee.title STRING');
+      await db.command('CREATE VERTEX TYPE Employee');
+      await db.command('CREATE PROPERTY Employee.name STRING');
+      await db.command('CREATE PROPERTY Employee.title STRING');
 
-      await command(dbName, 'CREATE EDGE TYPE BelongsTo');
-      await command(dbName, 'CREATE EDGE TYPE Manages');
-      await command(dbName, 'CREATE EDGE TYPE WorksIn');
+      await db.command('CREATE EDGE TYPE BelongsTo');
+      await db.command('CREATE EDGE TYPE Manages');
+      await db.command('CREATE EDGE TYPE WorksIn');
     });
 
     test('create org structure', async () => {
-      const org = await command(dbName, "CREATE VERTEX Organization SET name = 'Acme Corp'");
-      const sales = await command(dbName, "CREATE VERTEX Department SET name = 'Sales'");
-      const john = await command(dbName, "CREATE VERTEX Employee SET name = 'John', title = 'Manager'");
-      const jane = await command(dbName, "CREATE VERTEX Employee SET name = 'Jane', title = 'Rep'");
+      const org = await db.command("CREATE VERTEX Organization SET name = 'Acme Corp'");
+      const sales = await db.command("CREATE VERTEX Department SET name = 'Sales'");
+      const john = await db.command("CREATE VERTEX Employee SET name = 'John', title = 'Manager'");
+      const jane = await db.command("CREATE VERTEX Employee SET name = 'Jane', title = 'Rep'");
 
       // Link department to org
-      await command(dbName, `CREATE EDGE BelongsTo FROM ${sales.result[0]['@rid']} TO ${org.result[0]['@rid']}`);
+      await db.command(`CREATE EDGE BelongsTo FROM ${sales[0]['@rid']} TO ${org[0]['@rid']}`);
 
       // Link employees to department
-      await command(dbName, `CREATE EDGE WorksIn FROM ${john.result[0]['@rid']} TO ${sales.result[0]['@rid']}`);
-      await command(dbName, `CREATE EDGE WorksIn FROM ${jane.result[0]['@rid']} TO ${sales.result[0]['@rid']}`);
+      await db.command(`CREATE EDGE WorksIn FROM ${john[0]['@rid']} TO ${sales[0]['@rid']}`);
+      await db.command(`CREATE EDGE WorksIn FROM ${jane[0]['@rid']} TO ${sales[0]['@rid']}`);
 
       // Manager relationship
-      await command(dbName, `CREATE EDGE Manages FROM ${john.result[0]['@rid']} TO ${jane.result[0]['@rid']}`);
+      await db.command(`CREATE EDGE Manages FROM ${john[0]['@rid']} TO ${jane[0]['@rid']}`);
 
       // Verify structure
-      const employees = await query(dbName, 'SELECT FROM Employee');
-      expect(employees.result.length).toBe(2);
+      const employees = await db.query('SELECT FROM Employee');
+      expect(employees.length).toBe(2);
     });
 
     test('find employees in department via MATCH', async () => {
-      const result = await query(dbName, `
+      const result = await db.query(`
         MATCH {type: Employee, as: emp}.out('WorksIn'){type: Department, where: (name = 'Sales')}
         RETURN emp.name as name, emp.title as title
       `);
-      expect(result.result.length).toBe(2);
+      expect(result.length).toBe(2);
     });
 
     test('find manager chain', async () => {
-      const result = await query(dbName, `
+      const result = await db.query(`
         MATCH {type: Employee, where: (name = 'Jane')}.in('Manages'){as: mgr}
         RETURN mgr.name as manager
       `);
-      expect(result.result.length).toBe(1);
-      expect(result.result[0].manager).toBe('John');
+      expect(result.length).toBe(1);
+      expect(result[0].manager).toBe('John');
     });
 
     test('find department for employee', async () => {
-      const result = await query(dbName, `
+      const result = await db.query(`
         MATCH {type: Employee, where: (name = 'John')}.out('WorksIn'){as: dept}
         RETURN dept.name as department
       `);
-      expect(result.result[0].department).toBe('Sales');
+      expect(result[0].department).toBe('Sales');
     });
   });
 
   describe('Content Management', () => {
     beforeAll(async () => {
-      await command(dbName, 'CREATE DOCUMENT TYPE Article');
-      await command(dbName, 'CREATE PROPERTY Article.title STRING (mandatory true)');
-      await command(dbName, 'CREATE PROPERTY Article.slug STRING (mandatory true)');
-      await command(dbName, 'CREATE PROPERTY Article.content STRING');
-      await command(dbName, 'CREATE PROPERTY Article.status STRING (default "draft")');
-      await command(dbName, 'CREATE PROPERTY Article.publishedAt DATETIME');
-      await command(dbName, 'CREATE PROPERTY Article.tags LIST OF STRING');
-      await command(dbName, 'CREATE INDEX ON Article (slug) UNIQUE');
-      await command(dbName, 'CREATE INDEX ON Article (tags BY ITEM) NOTUNIQUE');
+      await db.command('CREATE DOCUMENT TYPE Article');
+      await db.command('CREATE PROPERTY Article.title STRING (mandatory true)');
+      await db.command('CREATE PROPERTY Article.slug STRING (mandatory true)');
+      await db.command('CREATE PROPERTY Article.content STRING');
+      await db.command('CREATE PROPERTY Article.status STRING (default "draft")');
+      await db.command('CREATE PROPERTY Article.publishedAt DATETIME');
+      await db.command('CREATE PROPERTY Article.tags LIST OF STRING');
+      await db.command('CREATE INDEX ON Article (slug) UNIQUE');
+      await db.command('CREATE INDEX ON Article (tags BY ITEM) NOTUNIQUE');
     });
 
     test('insert article', async () => {
-      const result = await command(dbName, `
+      const result = await db.command(`
         INSERT INTO Article SET
           title = 'Getting Started',
           slug = 'getting-started',
@@ -157,11 +151,11 @@ describe('CMS/CRM Examples', () => {
           publishedAt = sysdate(),
           tags = ['tutorial', 'beginner']
       `);
-      expect(result.result.length).toBe(1);
+      expect(result.length).toBe(1);
     });
 
     test('find by tag', async () => {
-      await command(dbName, `
+      await db.command(`
         INSERT INTO Article SET
           title = 'Advanced Topics',
           slug = 'advanced-topics',
@@ -170,18 +164,18 @@ describe('CMS/CRM Examples', () => {
           tags = ['tutorial', 'advanced']
       `);
 
-      const result = await query(dbName, "SELECT FROM Article WHERE tags CONTAINS 'tutorial' AND status = 'published'");
-      expect(result.result.length).toBe(2);
+      const result = await db.query("SELECT FROM Article WHERE tags CONTAINS 'tutorial' AND status = 'published'");
+      expect(result.length).toBe(2);
     });
 
     test('find by multiple tags', async () => {
-      const result = await query(dbName, "SELECT FROM Article WHERE tags CONTAINS 'beginner'");
-      expect(result.result.length).toBe(1);
-      expect(result.result[0].title).toBe('Getting Started');
+      const result = await db.query("SELECT FROM Article WHERE tags CONTAINS 'beginner'");
+      expect(result.length).toBe(1);
+      expect(result[0].title).toBe('Getting Started');
     });
 
     test('update article status', async () => {
-      await command(dbName, `
+      await db.command(`
         INSERT INTO Article SET
           title = 'Draft Article',
           slug = 'draft-article',
@@ -189,15 +183,14 @@ describe('CMS/CRM Examples', () => {
           tags = ['wip']
       `);
 
-      await command(dbName, "UPDATE Article SET status = 'published', publishedAt = sysdate() WHERE slug = 'draft-article'");
+      await db.command("UPDATE Article SET status = 'published', publishedAt = sysdate() WHERE slug = 'draft-article'");
 
-      const check = await query(dbName, "SELECT FROM Article WHERE slug = 'draft-article'");
-      expect(check.result[0].status).toBe('published');
+      const check = await db.query("SELECT FROM Article WHERE slug = 'draft-article'");
+      expect(check[0].status).toBe('published');
     });
 
     test('unique slug constraint', async () => {
-      const result = await command(dbName, "INSERT INTO Article SET title = 'Dup', slug = 'getting-started'");
-      expect(result.error).toBeDefined();
+      await expect(db.command("INSERT INTO Article SET title = 'Dup', slug = 'getting-started'")).rejects.toThrow();
     });
   });
 });
@@ -1,33 +1,24 @@
 import { describe, test, expect, beforeAll, afterAll } from 'bun:test';
-import {
-  createDatabase,
-  command,
-  query,
-  beginTransaction,
-  commitTransaction,
-  rollbackTransaction,
-  commandWithSession,
-  queryWithSession,
-  uniqueDbName,
-  cleanupDatabase
-} from './helpers.js';
+import { client, uniqueDbName, cleanupDatabase } from './helpers.js';
+import { ArcadexClient, ArcadeError, ConcurrentModificationError } from '../lib/index.js';
 
 describe('Concurrency and Race Conditions', () => {
   const dbName = uniqueDbName('test_concurrency');
+  const db = client.withDatabase(dbName);
 
   beforeAll(async () => {
     await cleanupDatabase(dbName);
-    await createDatabase(dbName);
-    await command(dbName, 'CREATE DOCUMENT TYPE Counter');
-    await command(dbName, 'CREATE PROPERTY Counter.name STRING');
-    await command(dbName, 'CREATE PROPERTY Counter.value INTEGER');
-    await command(dbName, 'CREATE PROPERTY Counter.version INTEGER');
-    await command(dbName, 'CREATE INDEX ON Counter (name) UNIQUE');
-
-    await command(dbName, 'CREATE DOCUMENT TYPE Account');
-    await command(dbName, 'CREATE PROPERTY Account.name STRING');
-    await command(dbName, 'CREATE PROPERTY Account.balance INTEGER');
-    await command(dbName, 'CREATE INDEX ON Account (name) UNIQUE');
+    await client.createDatabase(dbName);
+    await db.command('CREATE DOCUMENT TYPE Counter');
+    await db.command('CREATE PROPERTY Counter.name STRING');
+    await db.command('CREATE PROPERTY Counter.value INTEGER');
+    await db.command('CREATE PROPERTY Counter.version INTEGER');
+    await db.command('CREATE INDEX ON Counter (name) UNIQUE');
+
+    await db.command('CREATE DOCUMENT TYPE Account');
+    await db.command('CREATE PROPERTY Account.name STRING');
+    await db.command('CREATE PROPERTY Account.balance INTEGER');
+    await db.command('CREATE INDEX ON Account (name) UNIQUE');
   });
 
   afterAll(async () => {
@@ -37,171 +28,160 @@ describe('Concurrency and Race Conditions', () => {
   describe('Optimistic Locking with Version', () => {
     test('update with version check succeeds when version matches', async () => {
       // Insert with version
-      await command(dbName, "INSERT INTO Counter SET name = 'visits', value = 0, version = 1");
+      await db.command("INSERT INTO Counter SET name = 'visits', value = 0, version = 1");
 
       // Read current state
-      const current = await query(dbName, "SELECT FROM Counter WHERE name = 'visits'");
-      const currentVersion = current.result[0].version;
-      const currentValue = current.result[0].value;
+      const current = await db.query("SELECT FROM Counter WHERE name = 'visits'");
+      const currentVersion = current[0].version;
+      const currentValue = current[0].value;
 
       // Update only if version matches (optimistic lock)
-      const result = await command(dbName, `
+      const result = await db.command(`
         UPDATE Counter SET value = ${currentValue + 1}, version = ${currentVersion + 1}
         WHERE name = 'visits' AND version = ${currentVersion}
       `);
 
       // Check update succeeded
-      const updated = await query(dbName, "SELECT FROM Counter WHERE name = 'visits'");
-      expect(updated.result[0].value).toBe(1);
-      expect(updated.result[0].version).toBe(2);
+      const updated = await db.query("SELECT FROM Counter WHERE name = 'visits'");
+      expect(updated[0].value).toBe(1);
+      expect(updated[0].version).toBe(2);
     });
 
     test('update with version check fails when version mismatches', async () => {
-      await command(dbName, "INSERT INTO Counter SET name = 'pageviews', value = 100, version = 5");
+      await db.command("INSERT INTO Counter SET name = 'pageviews', value = 100, version = 5");
 
       // Try to update with wrong version (simulating stale read)
-      const result = await command(dbName, `
+      const result = await db.command(`
         UPDATE Counter SET value = 200, version = 6
         WHERE name = 'pageviews' AND version = 3
       `);
 
       // Update should not have happened
-      const check = await query(dbName, "SELECT FROM Counter WHERE name = 'pageviews'");
-      expect(check.result[0].value).toBe(100); // Unchanged
-      expect(check.result[0].version).toBe(5); // Unchanged
+      const check = await db.query("SELECT FROM Counter WHERE name = 'pageviews'");
+      expect(check[0].value).toBe(100); // Unchanged
+      expect(check[0].version).toBe(5); // Unchanged
     });
 
     test('retry pattern with version check', async () => {
-      await command(dbName, "INSERT INTO Counter SET name = 'retrytest', value = 0, version = 1");
-
-      // Simulate retry pattern
-      let success = false;
-      let attempts = 0;
-      const maxAttempts = 3;
-
-      while (!success && attempts < maxAttempts) {
-        attempts++;
-
-        // Read current state
-        const current = await query(dbName, "SELECT FROM Counter WHERE name = 'retrytest'");
-        const currentVersion = current.result[0].version;
-        const currentValue = current.result[0].value;
-
-        // Try conditional update
-        const result = await command(dbName, `
-          UPDATE Counter SET value = ${currentValue + 10}, version = ${currentVersion + 1}
-          WHERE name = 'retrytest' AND version = ${currentVersion}
-        `);
-
-        // Check if update succeeded (count > 0)
-        if (result.result && result.result[0] && result.result[0].count > 0) {
-          success = true;
-        }
-      }
-
-      expect(success).toBe(true);
-      const final = await query(dbName, "SELECT FROM Counter WHERE name = 'retrytest'");
-      expect(final.result[0].value).toBe(10);
+      await db.command("INSERT INTO Counter SET name = 'retrytest', value = 0, version = 1");
+
+      // Read-modify-write in a transaction; an MVCC conflict re-runs the whole callback
+      const result = await db.transaction(async tx => {
+        const current = await tx.query("SELECT FROM Counter WHERE name = 'retrytest'");
+        return tx.command(`
+          UPDATE Counter SET value = :value, version = :version
+          WHERE name = 'retrytest' AND version = :expected
+        `, {
+          value: current[0].value + 10,
+          version: current[0].version + 1,
+          expected: current[0].version
+        });
+      }, { retry: true });
+
+      // The version guard matched: exactly one row updated
+      expect(result[0].count).toBe(1);
+
+      const final = await db.query("SELECT FROM Counter WHERE name = 'retrytest'");
+      expect(final[0].value).toBe(10);
     });
   });
 
   describe('Atomic Increment Operations', () => {
     test('increment using arithmetic in UPDATE', async () => {
-      await command(dbName, "INSERT INTO Counter SET name = 'atomic', value = 0, version = 1");
+      await db.command("INSERT INTO Counter SET name = 'atomic', value = 0, version = 1");
 
       // Atomic increment - no read needed
-      await command(dbName, "UPDATE Counter SET value = value + 1 WHERE name = 'atomic'");
-      await command(dbName, "UPDATE Counter SET value = value + 1 WHERE name = 'atomic'");
-      await command(dbName, "UPDATE Counter SET value = value + 1 WHERE name = 'atomic'");
+      await db.command("UPDATE Counter SET value = value + 1 WHERE name = 'atomic'");
+      await db.command("UPDATE Counter SET value = value + 1 WHERE name = 'atomic'");
+      await db.command("UPDATE Counter SET value = value + 1 WHERE name = 'atomic'");
 
-      const result = await query(dbName, "SELECT value FROM Counter WHERE name = 'atomic'");
-      expect(result.result[0].value).toBe(3);
+      const result = await db.query("SELECT value FROM Counter WHERE name = 'atomic'");
+      expect(result[0].value).toBe(3);
     });
 
     test('decrement using arithmetic in UPDATE', async () => {
-      await command(dbName, "INSERT INTO Counter SET name = 'decrement', value = 100, version = 1");
+      await db.command("INSERT INTO Counter SET name = 'decrement', value = 100, version = 1");
 
-      await command(dbName, "UPDATE Counter SET value = value - 25 WHERE name = 'decrement'");
+      await db.command("UPDATE Counter SET value = value - 25 WHERE name = 'decrement'");
 
-      const result = await query(dbName, "SELECT value FROM Counter WHERE name = 'decrement'");
-      expect(result.result[0].value).toBe(75);
+      const result = await db.query("SELECT value FROM Counter WHERE name = 'decrement'");
+      expect(result[0].value).toBe(75);
     });
 
     test('conditional decrement - prevent negative', async () => {
-      await command(dbName, "INSERT INTO Counter SET name = 'stock', value = 5, version = 1");
+      await db.command("INSERT INTO Counter SET name = 'stock', value = 5, version = 1");
 
       // Only decrement if value would stay >= 0
-      await command(dbName, "UPDATE Counter SET value = value - 3 WHERE name = 'stock' AND value >= 3");
+      await db.command("UPDATE Counter SET value = value - 3 WHERE name = 'stock' AND value >= 3");
 
-      let result = await query(dbName, "SELECT value FROM Counter WHERE name = 'stock'");
-      expect(result.result[0].value).toBe(2);
+      let result = await db.query("SELECT value FROM Counter WHERE name = 'stock'");
+      expect(result[0].value).toBe(2);
 
       // Try to decrement more than available - should not update
-      await command(dbName, "UPDATE Counter SET value = value - 5 WHERE name = 'stock' AND value >= 5");
+      await db.command("UPDATE Counter SET value = value - 5 WHERE name = 'stock' AND value >= 5");
 
-      result = await query(dbName, "SELECT value FROM Counter WHERE name = 'stock'");
-      expect(result.result[0].value).toBe(2); // Unchanged
+      result = await db.query("SELECT value FROM Counter WHERE name = 'stock'");
+      expect(result[0].value).toBe(2); // Unchanged
     });
   });
 
   describe('Transaction-based Locking', () => {
     test('transaction provides isolation for read-modify-write', async () => {
-      await command(dbName, "INSERT INTO Account SET name = 'TxLock', balance = 1000");
-
-      const sessionId = await beginTransaction(dbName);
+      await db.command("INSERT INTO Account SET name = 'TxLock', balance = 1000");
 
-      // Read within transaction
-      const current = await queryWithSession(dbName, sessionId, "SELECT balance FROM Account WHERE name = 'TxLock'");
-      const newBalance = current.result[0].balance - 100;
+      await db.transaction(async tx => {
+        // Read within transaction
+        const current = await tx.query("SELECT balance FROM Account WHERE name = 'TxLock'");
 
-      // Modify within same transaction
-      await commandWithSession(dbName, sessionId, `UPDATE Account SET balance = ${newBalance} WHERE name = 'TxLock'`);
+        // Modify within same transaction
+        await tx.command("UPDATE Account SET balance = :balance WHERE name = 'TxLock'", {
+          balance: current[0].balance - 100
+        });
+      });
 
-      await commitTransaction(dbName, sessionId);
-
-      const final = await query(dbName, "SELECT balance FROM Account WHERE name = 'TxLock'");
-      expect(final.result[0].balance).toBe(900);
+      const final = await db.query("SELECT balance FROM Account WHERE name = 'TxLock'");
+      expect(final[0].balance).toBe(900);
     });
 
     test('concurrent transactions - second one should fail or see stale data', async () => {
-      await command(dbName, "INSERT INTO Account SET name = 'Concurrent', balance = 500");
+      await db.command("INSERT INTO Account SET name = 'Concurrent', balance = 500");
 
       // Start two transactions
-      const session1 = await beginTransaction(dbName);
-      const session2 = await beginTransaction(dbName);
+      const session1 = await db.begin();
+      const session2 = await db.begin();
+      const tx1 = db.withSession(session1);
+      const tx2 = db.withSession(session2);
 
       // Both read the same initial value
-      const read1 = await queryWithSession(dbName, session1, "SELECT balance FROM Account WHERE name = 'Concurrent'");
-      const read2 = await queryWithSession(dbName, session2, "SELECT balance FROM Account WHERE name = 'Concurrent'");
+      const read1 = await tx1.query("SELECT balance FROM Account WHERE name = 'Concurrent'");
+      const read2 = await tx2.query("SELECT balance FROM Account WHERE name = 'Concurrent'");
 
-      expect(read1.result[0].balance).toBe(500);
-      expect(read2.result[0].balance).toBe(500);
+      expect(read1[0].balance).toBe(500);
+      expect(read2[0].balance).toBe(500);
 
       // Session 1 updates and commits
-      await commandWithSession(dbName, session1, "UPDATE Account SET balance = 400 WHERE name = 'Concurrent'");
-      await commitTransaction(dbName, session1);
+      await tx1.command("UPDATE Account SET balance = 400 WHERE name = 'Concurrent'");
+      await tx1.commit();
 
-      // Session 2 tries to update based on stale read
+      // Session 2 tries to update based on stale read and commit
       // This may fail or succeed depending on isolation level
-      await commandWithSession(dbName, session2, "UPDATE Account SET balance = 450 WHERE name = 'Concurrent'");
-
-      // Try to commit session 2 - may fail with conflict
       try {
-        await commitTransaction(dbName, session2);
+        await tx2.command("UPDATE Account SET balance = 450 WHERE name = 'Concurrent'");
+        await tx2.commit();
       } catch (e) {
         // Expected - conflict detected
       }
 
       // Check final state - should reflect one of the updates
-      const final = await query(dbName, "SELECT balance FROM Account WHERE name = 'Concurrent'");
+      const final = await db.query("SELECT balance FROM Account WHERE name = 'Concurrent'");
       // Balance should be either 400 (session1) or 450 (session2), not 500
-      expect(final.result[0].balance).toBeLessThan(500);
+      expect(final[0].balance).toBeLessThan(500);
     });
   });
 
   describe('Actual Parallel Race Conditions', () => {
     test('parallel increments without protection lose updates', async () => {
-      await command(dbName, "INSERT INTO Counter SET name = 'race', value = 0, version = 1");
+      await db.command("INSERT INTO Counter SET name = 'race', value = 0, version = 1");
 
       // Simulate 10 parallel read-modify-write operations WITHOUT atomic increment
       // This demonstrates the lost update problem
@@ -211,24 +191,24 @@ describe('Concurrency and Race Conditions', () => {
       for (let i = 0; i < iterations; i++) {
         promises.push((async () => {
           // Non-atomic: read, then write (race condition!)
-          const current = await query(dbName, "SELECT value FROM Counter WHERE name = 'race'");
-          const newValue = current.result[0].value + 1;
-          await command(dbName, `UPDATE Counter SET value = ${newValue} WHERE name = 'race'`);
+          const current = await db.query("SELECT value FROM Counter WHERE name = 'race'");
+          const newValue = current[0].value + 1;
+          await db.command(`UPDATE Counter SET value = ${newValue} WHERE name = 'race'`);
         })());
       }
 
       await Promise.all(promises);
 
-      const final = await query(dbName, "SELECT value FROM Counter WHERE name = 'race'");
+      const final = await db.query("SELECT value FROM Counter WHERE name = 'race'");
       // Due to race conditions, final value will likely be LESS than 10
       // This test demonstrates the problem - it may occasionally pass if no races occur
-      console.log(`Race condition result: expected 10, got ${final.result[0].value}`);
+      console.log(`Race condition result: expected 10, got ${final[0].value}`);
       // We don't assert exact value because race conditions are non-deterministic
-      expect(final.result[0].value).toBeLessThanOrEqual(10);
+      expect(final[0].value).toBeLessThanOrEqual(10);
     });
 
     test('parallel "atomic" increments also lose updates (ArcadeDB behavior)', async () => {
-      await command(dbName, "INSERT INTO Counter SET name = 'atomic-race', value = 0, version = 1");
+      await db.command("INSERT INTO Counter SET name = 'atomic-race', value = 0, version = 1");
 
       // Even value = value + 1 loses updates under parallel load
       // This is because ArcadeDB reads-then-writes internally
@@ -237,143 +217,258 @@ describe('Concurrency and Race Conditions', () => {
 
       for (let i = 0; i < iterations; i++) {
         promises.push(
-          command(dbName, "UPDATE Counter SET value = value + 1 WHERE name = 'atomic-race'")
+          db.command("UPDATE Counter SET value = value + 1 WHERE name = 'atomic-race'")
         );
       }
 
       await Promise.all(promises);
 
-      const final = await query(dbName, "SELECT value FROM Counter WHERE name = 'atomic-race'");
+      const final = await db.query("SELECT value FROM Counter WHERE name = 'atomic-race'");
       // Due to race conditions, value will likely be less than 10
-      console.log(`Atomic increment race result: expected 10, got ${final.result[0].value}`);
+      console.log(`Atomic increment race result: expected 10, got ${final[0].value}`);
       // This demonstrates that even "atomic" syntax isn't truly atomic under concurrency
-      expect(final.result[0].value).toBeLessThanOrEqual(10);
+      expect(final[0].value).toBeLessThanOrEqual(10);
     });
 
     test('sequential increments work correctly', async () => {
-      await command(dbName, "INSERT INTO Counter SET name = 'sequential', value = 0, version = 1");
+      await db.command("INSERT INTO Counter SET name = 'sequential', value = 0, version = 1");
 
       // Sequential updates work fine
       for (let i = 0; i < 10; i++) {
-        await command(dbName, "UPDATE Counter SET value = value + 1 WHERE name = 'sequential'");
+        await db.command("UPDATE Counter SET value = value + 1 WHERE name = 'sequential'");
       }
 
-      const final = await query(dbName, "SELECT value FROM Counter WHERE name = 'sequential'");
-      expect(final.result[0].value).toBe(10);
+      const final = await db.query("SELECT value FROM Counter WHERE name = 'sequential'");
+      expect(final[0].value).toBe(10);
     });
 
     test('CAS with retry demonstrates optimistic locking', async () => {
-      await command(dbName, "INSERT INTO Counter SET name = 'cas-demo', value = 0, version = 1");
+      await db.command("INSERT INTO Counter SET name = 'cas-demo', value = 0, version = 1");
 
       // Single CAS operation with retry - demonstrates the pattern
-      let success = false;
-      let attempts = 0;
-      const maxAttempts = 5;
+      const result = await db.transaction(async tx => {
+        const current = await tx.query("SELECT value, version FROM Counter WHERE name = 'cas-demo'");
+        return tx.command(`
+          UPDATE Counter SET value = :value, version = :version
+          WHERE name = 'cas-demo' AND version = :expected
+        `, {
+          value: current[0].value + 1,
+          version: current[0].version + 1,
+          expected: current[0].version
+        });
+      }, { retry: { maxAttempts: 5 } });
+
+      // CAS succeeded (count 0 would mean the guard never matched)
+      expect(result[0].count).toBe(1);
+
+      const final = await db.query("SELECT value, version FROM Counter WHERE name = 'cas-demo'");
+      expect(final[0].value).toBe(1);
+      expect(final[0].version).toBe(2);
+    });
+  });
 
-      while (!success && attempts < maxAttempts) {
-        attempts++;
-        const current = await query(dbName, "SELECT value, version FROM Counter WHERE name = 'cas-demo'");
-        const result = await command(dbName, `
-          UPDATE Counter SET value = ${current.result[0].value + 1}, version = ${current.result[0].version + 1}
-          WHERE name = 'cas-demo' AND version = ${current.result[0].version}
-        `);
+  describe('Transaction Retry on MVCC Conflicts', () => {
+    test('parallel read-modify-write increments are not lost with retry', async () => {
+      await db.command("INSERT INTO Counter SET name = 'retried-race', value = 0, version = 1");
+
+      const iterations = 10;
+      const promises = [];
+
+      for (let i = 0; i < iterations; i++) {
+        promises.push(db.transaction(async tx => {
+          const current = await tx.query("SELECT value FROM Counter WHERE name = 'retried-race'");
+          await tx.command("UPDATE Counter SET value = :value WHERE name = 'retried-race'", {
+            value: current[0].value + 1
+          });
+        }, { retry: { maxAttempts: 20 } }));
+      }
+
+      await Promise.all(promises);
+
+      const final = await db.query("SELECT value FROM Counter WHERE name = 'retried-race'");
+      expect(final[0].value).toBe(iterations);
+    });
+
+    test('parallel transfers keep balances consistent with retry', async () => {
+      await db.command("INSERT INTO Account SET name = 'RetryFrom', balance = 1000");
+      await db.command("INSERT INTO Account SET name = 'RetryTo', balance = 0");
+
+      const transfers = 5;
+      const amount = 100;
+      const promises = [];
 
-        if (result.result && result.result[0] && result.result[0].count > 0) {
-          success = true;
-        }
+      for (let i = 0; i < transfers; i++) {
+        promises.push(db.transaction(async tx => {
+          const from = await tx.query("SELECT balance FROM Account WHERE name = 'RetryFrom'");
+          const to = await tx.query("SELECT balance FROM Account WHERE name = 'RetryTo'");
+          await tx.command("UPDATE Account SET balance = :balance WHERE name = 'RetryFrom'", {
+            balance: from[0].balance - amount
+          });
+          await tx.command("UPDATE Account SET balance = :balance WHERE name = 'RetryTo'", {
+            balance: to[0].balance + amount
+          });
+        }, { retry: { maxAttempts: 20 } }));
       }
 
-      expect(success).toBe(true);
-      const final = await query(dbName, "SELECT value, version FROM Counter WHERE name = 'cas-demo'");
-      expect(final.result[0].value).toBe(1);
-      expect(final.result[0].version).toBe(2);
+      await Promise.all(promises);
+
+      const from = await db.query("SELECT balance FROM Account WHERE name = 'RetryFrom'");
+      const to = await db.query("SELECT balance FROM Account WHERE name = 'RetryTo'");
+      expect(from[0].balance).toBe(1000 - transfers * amount);
+      expect(to[0].balance).toBe(transfers * amount);
+    });
+
+    test('non-retryable errors are not retried', async () => {
+      let attempts = 0;
+      const failing = db.transaction(async () => {
+        attempts++;
+        throw new Error('not a conflict');
+      }, { retry: { maxAttempts: 5 } });
+
+      await expect(failing).rejects.toThrow('not a conflict');
+      expect(attempts).toBe(1);
+    });
+
+    test('gives up after maxAttempts', async () => {
+      let attempts = 0;
+      const conflicting = db.transaction(async () => {
+        attempts++;
+        throw new ConcurrentModificationError('Concurrent modification');
+      }, { retry: { maxAttempts: 3, baseDelay: 1 } });
+
+      await expect(conflicting).rejects.toBeInstanceOf(ConcurrentModificationError);
+      expect(attempts).toBe(3);
     });
   });
 
   describe('Compare-and-Set Pattern', () => {
     test('CAS with count check for success', async () => {
-      await command(dbName, "INSERT INTO Counter SET name = 'cas', value = 10, version = 1");
+      await db.command("INSERT INTO Counter SET name = 'cas', value = 10, version = 1");
 
       // CAS: only update if current value matches expected
-      const result = await command(dbName, `
+      const result = await db.command(`
         UPDATE Counter SET value = 20, version = version + 1
         WHERE name = 'cas' AND value = 10
       `);
 
       // count > 0 means CAS succeeded
-      expect(result.result[0].count).toBe(1);
+      expect(result[0].count).toBe(1);
 
       // Verify the update
-      const check = await query(dbName, "SELECT value FROM Counter WHERE name = 'cas'");
-      expect(check.result[0].value).toBe(20);
+      const check = await db.query("SELECT value FROM Counter WHERE name = 'cas'");
+      expect(check[0].value).toBe(20);
     });
 
     test('CAS fails when expected value differs', async () => {
-      await command(dbName, "INSERT INTO Counter SET name = 'cas2', value = 50, version = 1");
+      await db.command("INSERT INTO Counter SET name = 'cas2', value = 50, version = 1");
 
       // CAS with wrong expected value
-      const result = await command(dbName, `
+      const result = await db.command(`
         UPDATE Counter SET value = 100, version = version + 1
         WHERE name = 'cas2' AND value = 999
       `);
 
       // count = 0 means CAS failed
-      expect(result.result[0].count).toBe(0);
+      expect(result[0].count).toBe(0);
 
       // Value unchanged
-      const check = await query(dbName, "SELECT value FROM Counter WHERE name = 'cas2'");
-      expect(check.result[0].value).toBe(50);
+      const check = await db.query("SELECT value FROM Counter WHERE name = 'cas2'");
+      expect(check[0].value).toBe(50);
     });
   });
 
   describe('Conditional Business Logic', () => {
     test('transfer only if sufficient balance', async () => {
-      await command(dbName, "INSERT INTO Account SET name = 'Rich', balance = 1000");
-      await command(dbName, "INSERT INTO Account SET name = 'Poor', balance = 0");
+      await db.command("INSERT INTO Account SET name = 'Rich', balance = 1000");
+      await db.command("INSERT INTO Account SET name = 'Poor', balance = 0");
 
       const transferAmount = 200;
 
       // Conditional debit - only if balance sufficient
-      const debit = await command(dbName, `
+      const debit = await db.command(`
         UPDATE Account SET balance = balance - ${transferAmount}
         WHERE name = 'Rich' AND balance >= ${transferAmount}
       `);
 
-      if (debit.result[0].count > 0) {
+      if (debit[0].count > 0) {
         // Debit succeeded, now credit
-        await command(dbName, `
+        await db.command(`
           UPDATE Account SET balance = balance + ${transferAmount}
           WHERE name = 'Poor'
         `);
       }
 
-      const rich = await query(dbName, "SELECT balance FROM Account WHERE name = 'Rich'");
-      const poor = await query(dbName, "SELECT balance FROM Account WHERE name = 'Poor'");
+      const rich = await db.query("SELECT balance FROM Account WHERE name = 'Rich'");
+      const poor = await db.query("SELECT balance FROM Account WHERE name = 'Poor'");
 
-      expect(rich.result[0].balance).toBe(800);
-      expect(poor.result[0].balance).toBe(200);
+      expect(rich[0].balance).toBe(800);
+      expect(poor[0].balance).toBe(200);
     });
 
     test('transfer fails when insufficient balance', async () => {
-      await command(dbName, "INSERT INTO Account SET name = 'Broke', balance = 50");
-      await command(dbName, "INSERT INTO Account SET name = 'Waiting', balance = 0");
+      await db.command("INSERT INTO Account SET name = 'Broke', balance = 50");
+      await db.command("INSERT INTO Account SET name = 'Waiting', balance = 0");
 
       const transferAmount = 100;
 
       // Conditional debit - will fail
-      const debit = await command(dbName, `
+      const debit = await db.command(`
         UPDATE Account SET balance = balance - ${transferAmount}
         WHERE name = 'Broke' AND balance >= ${transferAmount}
       `);
 
       // Debit failed (count = 0), don't credit
-      expect(debit.result[0].count).toBe(0);
+      expect(debit[0].count).toBe(0);
+
+      const broke = await db.query("SELECT balance FROM Account WHERE name = 'Broke'");
+      const waiting = await db.query("SELECT balance FROM Account WHERE name = 'Waiting'");
+
+      expect(broke[0].balance).toBe(50); // Unchanged
+      expect(waiting[0].balance).toBe(0); // Unchanged
+    });
+  });
+
+  describe('Request Limiter', () => {
+    test('caps active requests and queues the rest', async () => {
+      const limited = new ArcadexClient({ ...client.config, limiter: { maxActive: 2 } }).withDatabase(dbName);
+
+      const results = await Promise.all(
+        Array.from({ length: 20 }, (_, i) => limited.query('SELECT :i as i', { i }))
+      );
+
+      expect(results.map(r => r[0].i)).toEqual(Array.from({ length: 20 }, (_, i) => i));
+      const stats = limited.limiterStats();
+      expect(stats.peakActive).toBe(2);
+      expect(stats.peakQueued).toBeGreaterThan(0);
+      expect(stats.completed).toBe(20);
+      expect(stats.active).toBe(0);
+      expect(stats.queued).toBe(0);
+    });
+
+    test('derived clients share the limiter', async () => {
+      const limited = new ArcadexClient({ ...client.config, limiter: { maxActive: 4 } });
+      const a = limited.withDatabase(dbName);
+
+      await a.transaction(async tx => {
+        await tx.query('SELECT 1');
+      });
+
+      expect(a.limiter).toBe(limited.limiter);
+      expect(limited.limiterStats().completed).toBe(3); // begin, query, commit
+    });
+
+    test('rejects requests beyond the queue limit', async () => {
+      const limited = new ArcadexClient({ ...client.config, limiter: { maxActive: 1, maxQueue: 2 } }).withDatabase(dbName);
 
-      const broke = await query(dbName, "SELECT balance FROM Account WHERE name = 'Broke'");
-      const waiting = await query(dbName, "SELECT balance FROM Account WHERE name = 'Waiting'");
+      const results = await Promise.allSettled(
+        Array.from({ length: 5 }, () => limited.query('SELECT 1'))
+      );
 
-      expect(broke.result[0].balance).toBe(50); // Unchanged
-      expect(waiting.result[0].balance).toBe(0); // Unchanged
+      const rejected = results.filter(r => r.status === 'rejected');
+      expect(rejected).toHaveLength(2);
+      expect(rejected[0].reason).toBeInstanceOf(ArcadeError);
+      expect(rejected[0].reason.message).toContain('queue full');
+      expect(limited.limiterStats().rejected).toBe(2);
     });
   });
 });
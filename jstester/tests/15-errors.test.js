@@ -0,0 +1,74 @@
+import { describe, test, expect, beforeAll, afterAll } from 'bun:test';
+import { client, uniqueDbName, cleanupDatabase } from './helpers.js';
+import {
+  ArcadeError,
+  DuplicatedKeyError,
+  ParseError,
+  DatabaseNotFoundError,
+  TimeoutError,
+  TransactionTimeoutError
+} from '../lib/index.js';
+
+describe('Errors - Mapping', () => {
+  test('server timeouts: only TransactionTimeoutException is a transaction timeout', () => {
+    const lock = ArcadeError.fromResponse(500, {
+      error: 'Timeout', exception: 'com.arcadedb.exception.TimeoutException', detail: 'Timeout on locking resource'
+    });
+    expect(lock).toBeInstanceOf(TimeoutError);
+    expect(lock).not.toBeInstanceOf(TransactionTimeoutError);
+
+    const tx = ArcadeError.fromResponse(500, {
+      error: 'Timeout', exception: 'com.arcadedb.exception.TransactionTimeoutException'
+    });
+    expect(tx).toBeInstanceOf(TransactionTimeoutError);
+  });
+});
+
+describe('Errors', () => {
+  const dbName = uniqueDbName('test_errors');
+  const db = client.withDatabase(dbName);
+
+  beforeAll(async () => {
+    await cleanupDatabase(dbName);
+    await client.createDatabase(dbName);
+    await db.command('CREATE DOCUMENT TYPE Contact');
+    await db.command('CREATE PROPERTY Contact.email STRING');
+    await db.command('CREATE INDEX ON Contact (email) UNIQUE');
+  });
+
+  afterAll(async () => {
+    await cleanupDatabase(dbName);
+  });
+
+  test('duplicate key raises DuplicatedKeyError with status, sql and params', async () => {
+    const sql = 'INSERT INTO Contact SET email = :email';
+    await db.command(sql, { email: 'dup@example.com' });
+
+    const error = await db.command(sql, { email: 'dup@example.com' }).catch(e => e);
+    expect(error).toBeInstanceOf(DuplicatedKeyError);
+    expect(error).toBeInstanceOf(ArcadeError);
+    expect(error.status).toBeGreaterThanOrEqual(400);
+    expect(error.exception).toContain('DuplicatedKeyException');
+    expect(error.sql).toBe(sql);
+    expect(error.params).toEqual({ email: 'dup@example.com' });
+  });
+
+  test('invalid SQL raises ParseError', async () => {
+    const error = await db.query('SELEC FROM Contact').catch(e => e);
+    expect(error).toBeInstanceOf(ParseError);
+    expect(error.sql).toBe('SELEC FROM Contact');
+  });
+
+  test('unknown database raises DatabaseNotFoundError', async () => {
+    const missing = client.withDatabase('nonexistent_db_12345');
+    const error = await missing.query('SELECT FROM Contact').catch(e => e);
+    expect(error).toBeInstanceOf(DatabaseNotFoundError);
+  });
+
+  test('other failures raise the base ArcadeError', async () => {
+    const error = await db.query('SELECT FROM NoSuchType').catch(e => e);
+    expect(error).toBeInstanceOf(ArcadeError);
+    expect(error.name).toBe(error.constructor.name);
+    expect(error.message).toContain(error.detail);
+  });
+});
@@ -0,0 +1,102 @@
+import { describe, test, expect, beforeAll, afterAll } from 'bun:test';
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { ArcadexClient, loadConfig, parseProfileFlag } from '../lib/index.js';
+
+describe('Connection Config', () => {
+  let dir;
+
+  beforeAll(() => {
+    dir = mkdtempSync(join(tmpdir(), 'arcadedb-config-'));
+    writeFileSync(join(dir, 'arcadedb.toml'), `
+[dev]
+url = "http://dev-host:2480"
+database = "cms_dev"
+
+[staging]
+url = "https://staging.example.com"
+user = "deploy"
+password = "secret"
+database = "cms"
+`);
+  });
+
+  afterAll(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('falls back to local defaults without file or env', () => {
+    const config = loadConfig({ cwd: tmpdir(), env: {} });
+    expect(config.url).toBe('http://localhost:2480');
+    expect(config.user).toBe('root');
+    expect(config.database).toBeNull();
+  });
+
+  test('reads the default profile from arcadedb.toml', () => {
+    const config = loadConfig({ cwd: dir, env: {} });
+    expect(config.url).toBe('http://dev-host:2480');
+    expect(config.database).toBe('cms_dev');
+    expect(config.user).toBe('root'); // not set in profile -> default
+  });
+
+  test('selects a named profile', () => {
+    const config = loadConfig({ profile: 'staging', cwd: dir, env: {} });
+    expect(config).toEqual({
+      url: 'https://staging.example.com',
+      user: 'deploy',
+      password: 'secret',
+      database: 'cms'
+    });
+  });
+
+  test('ARCADEDB_PROFILE selects the profile', () => {
+    const config = loadConfig({ cwd: dir, env: { ARCADEDB_PROFILE: 'staging' } });
+    expect(config.user).toBe('deploy');
+  });
+
+  test('env vars override the profile', () => {
+    const config = loadConfig({
+      profile: 'staging',
+      cwd: dir,
+      env: { ARCADEDB_URL: 'http://override:2480', ARCADEDB_PASSWORD: 'pw', ARCADEDB_DATABASE: 'other' }
+    });
+    expect(config.url).toBe('http://override:2480');
+    expect(config.user).toBe('deploy');
+    expect(config.password).toBe('pw');
+    expect(config.database).toBe('other');
+  });
+
+  test('unknown explicit profile throws', () => {
+    expect(() => loadConfig({ profile: 'prod', cwd: dir, env: {} })).toThrow("Profile 'prod' not found");
+  });
+
+  test('missing default profile is not an error', () => {
+    const config = loadConfig({ defaultProfile: 'test', cwd: dir, env: {} });
+    expect(config.url).toBe('http://localhost:2480');
+  });
+
+  test('reads JSON config via ARCADEDB_CONFIG', () => {
+    const path = join(dir, 'custom.json');
+    writeFileSync(path, JSON.stringify({ test: { url: 'http://json-host:2480' } }));
+    const config = loadConfig({ profile: 'test', cwd: tmpdir(), env: { ARCADEDB_CONFIG: path } });
+    expect(config.url).toBe('http://json-host:2480');
+  });
+
+  test('parseProfileFlag strips --profile from args', () => {
+    expect(parseProfileFlag(['--profile', 'staging', 'mydb', 'migrate'])).toEqual({
+      profile: 'staging',
+      args: ['mydb', 'migrate']
+    });
+    expect(parseProfileFlag(['file.jsonl', '--profile=test'])).toEqual({
+      profile: 'test',
+      args: ['file.jsonl']
+    });
+    expect(parseProfileFlag(['migrate'])).toEqual({ profile: null, args: ['migrate'] });
+  });
+
+  test('ArcadexClient.fromConfig lets explicit settings win', () => {
+    const c = ArcadexClient.fromConfig({ database: 'explicit' });
+    expect(c.database).toBe('explicit');
+  });
+});
@@ -0,0 +1,101 @@
+import { describe, test, expect, beforeAll, afterAll } from 'bun:test';
+import { client, uniqueDbName, cleanupDatabase } from './helpers.js';
+import { compileBatch } from '../lib/batch.js';
+
+describe('Batch', () => {
+  const dbName = uniqueDbName('test_batch');
+  const db = client.withDatabase(dbName);
+
+  beforeAll(async () => {
+    await cleanupDatabase(dbName);
+    await client.createDatabase(dbName);
+  });
+
+  afterAll(async () => {
+    await cleanupDatabase(dbName);
+  });
+
+  test('runs schema statements in one request', async () => {
+    await db.batch([
+      'CREATE DOCUMENT TYPE Item IF NOT EXISTS',
+      'CREATE PROPERTY Item.name STRING IF NOT EXISTS',
+      'CREATE PROPERTY Item.qty INTEGER IF NOT EXISTS',
+      'CREATE INDEX IF NOT EXISTS ON Item (name) UNIQUE'
+    ]);
+
+    const props = await db.query("SELECT expand(properties) FROM schema:types WHERE name = 'Item'");
+    expect(props.map(p => p.name).sort()).toEqual(['name', 'qty']);
+  });
+
+  test('keeps params of each statement separate', async () => {
+    await db.batch([
+      { sql: 'INSERT INTO Item SET name = :name, qty = :qty', params: { name: 'apple', qty: 1 } },
+      { sql: 'INSERT INTO Item SET name = :name, qty = :qty', params: { name: 'pear', qty: 2 } }
+    ]);
+
+    const rows = await db.query('SELECT name, qty FROM Item ORDER BY name');
+    expect(rows).toEqual([
+      { name: 'apple', qty: 1 },
+      { name: 'pear', qty: 2 }
+    ]);
+  });
+
+  test('returns one result array per statement', async () => {
+    const [inserted, selected, counted] = await db.batch([
+      { sql: 'INSERT INTO Item SET name = :name, qty = 3', params: { name: 'plum' } },
+      { sql: 'SELECT FROM Item WHERE name = :name', params: { name: 'apple' } },
+      'SELECT count(*) as total FROM Item'
+    ]);
+
+    expect(inserted).toHaveLength(1);
+    expect(inserted[0].name).toBe('plum');
+    expect(selected[0].qty).toBe(1);
+    expect(counted[0].total).toBe(3);
+  });
+
+  test('transaction: a failing statement rolls back the whole batch', async () => {
+    const error = await db.batch([
+      { sql: 'INSERT INTO Item SET name = :name', params: { name: 'kiwi' } },
+      { sql: 'INSERT INTO Item SET name = :name', params: { name: 'apple' } } // duplicate
+    ], { transaction: true }).catch(e => e);
+
+    expect(error).toBeInstanceOf(Error);
+    const rows = await db.query("SELECT FROM Item WHERE name = 'kiwi'");
+    expect(rows).toHaveLength(0);
+  });
+
+  test('empty batch makes no request', async () => {
+    expect(await db.batch([])).toEqual([]);
+  });
+});
+
+describe('Batch compilation', () => {
+  test('prefixes params per statement and leaves literals alone', () => {
+    const { script, params } = compileBatch([
+      { sql: "SELECT FROM schema:types WHERE name = :name AND note = ':name';", params: { name: 'A' } },
+      { sql: 'UPDATE Item SET qty = :qty WHERE name = :name', params: { name: 'B', qty: 2 } }
+    ]);
+
+    expect(script).toBe([
+      "LET r0 = SELECT FROM schema:types WHERE name = :s0_name AND note = ':name';",
+      'LET r1 = UPDATE Item SET qty = :s1_qty WHERE name = :s1_name;',
+      'RETURN { "r0": $r0, "r1": $r1 }'
+    ].join('\n'));
+    expect(params).toEqual({ s0_name: 'A', s1_name: 'B', s1_qty: 2 });
+  });
+
+  test('wraps in BEGIN/COMMIT when asked', () => {
+    const { script } = compileBatch(['DELETE FROM Item'], { transaction: true });
+    expect(script.split('\n')).toEqual([
+      'BEGIN;',
+      'LET r0 = DELETE FROM Item;',
+      'COMMIT;',
+      'RETURN { "r0": $r0 }'
+    ]);
+  });
+
+  test('throws on a param with no value', () => {
+    expect(() => compileBatch([{ sql: 'SELECT FROM Item WHERE name = :name', params: {} }]))
+      .toThrow('missing param :name');
+  });
+});
@@ -0,0 +1,179 @@
+import { describe, test, expect, beforeAll, afterAll } from 'bun:test';
+import { client, uniqueDbName, cleanupDatabase } from './helpers.js';
+import {
+  select,
+  insert,
+  update,
+  upsert,
+  deleteFrom,
+  createVertex,
+  createEdge,
+  raw,
+  quoteIdentifier
+} from '../lib/index.js';
+import { replaceParams } from '../lib/sql.js';
+import { Rid, bindRids } from '../lib/rid.js';
+
+describe('SQL Builder - Output', () => {
+  test('quotes identifiers but not record attributes', () => {
+    expect(quoteIdentifier('order')).toBe('`order`');
+    expect(quoteIdentifier('baseCard.deck')).toBe('`baseCard`.`deck`');
+    expect(quoteIdentifier('@rid')).toBe('@rid');
+    expect(() => quoteIdentifier('name` = 1 OR `x')).toThrow('Invalid identifier');
+  });
+
+  test('select with where, orderBy, skip and limit', () => {
+    const query = select('name', 'order')
+      .from('BaseTrack')
+      .where({ course: '#1:0', lang: 'de' })
+      .orderBy('order')
+      .orderBy('name', 'desc')
+      .skip(20)
+      .limit(10);
+
+    expect(query.toSQL()).toEqual({
+      sql: 'SELECT `name`, `order` FROM `BaseTrack` WHERE `course` = :course AND `lang` = :lang ' +
+        'ORDER BY `order` ASC, `name` DESC SKIP :skip LIMIT :limit',
+      params: { course: '#1:0', lang: 'de', skip: 20, limit: 10 }
+    });
+  });
+
+  test('toSQL() can be called repeatedly', () => {
+    const query = select().from('Item').limit(5);
+    expect(query.toSQL()).toEqual(query.toSQL());
+  });
+
+  test('where handles null, arrays, raw values and hand-written conditions', () => {
+    const { sql, params } = select(raw('count(*) AS total'))
+      .from('BaseCard')
+      .where({ countryAffinity: null, lang: ['de', 'fr'], createdAt: raw('sysdate()') })
+      .where('version > :version OR draft = true', { version: 2 })
+      .toSQL();
+
+    expect(sql).toBe(
+      'SELECT count(*) AS total FROM `BaseCard` WHERE `countryAffinity` IS NULL AND `lang` IN :lang ' +
+      'AND `createdAt` = sysdate() AND (version > :version OR draft = true)'
+    );
+    expect(params).toEqual({ lang: ['de', 'fr'], version: 2 });
+  });
+
+  test('repeated field names get distinct params', () => {
+    const { sql, params } = update('Item', { name: 'new' }).where({ name: 'old' }).toSQL();
+    expect(sql).toBe('UPDATE `Item` SET `name` = :name WHERE `name` = :name_2');
+    expect(params).toEqual({ name: 'new', name_2: 'old' });
+  });
+
+  test('keys are never interpolated as SQL', () => {
+    const { sql, params } = update('Item', { 'name = 1, admin': true }).where({ '@rid': '#1:0' }).toSQL();
+    expect(sql).toBe('UPDATE `Item` SET `name = 1, admin` = :name_1_admin WHERE @rid = :rid');
+    expect(params).toEqual({ name_1_admin: true, rid: '#1:0' });
+  });
+
+  test('insert, delete, upsert', () => {
+    expect(insert('Item', { name: 'a', order: 1 }).toSQL()).toEqual({
+      sql: 'INSERT INTO `Item` SET `name` = :name, `order` = :order',
+      params: { name: 'a', order: 1 }
+    });
+    expect(deleteFrom('Item').where({ name: 'a' }).toSQL().sql).toBe('DELETE FROM `Item` WHERE `name` = :name');
+    expect(upsert('Item', { qty: 5 }).where({ name: 'a' }).returning('after').toSQL().sql)
+      .toBe('UPDATE `Item` SET `qty` = :qty UPSERT RETURN AFTER WHERE `name` = :name');
+  });
+
+  test('vertices and edges', () => {
+    expect(createVertex('Person', { name: 'Alice' }).toSQL().sql).toBe('CREATE VERTEX `Person` SET `name` = :name');
+    expect(createEdge('Knows', { since: 2020 }).from('#10:0').to('#10:1').toSQL()).toEqual({
+      sql: 'CREATE EDGE `Knows` FROM :from TO :to SET `since` = :since',
+      params: { since: 2020, from: '#10:0', to: '#10:1' }
+    });
+  });
+
+  test('rejects incomplete or invalid statements', () => {
+    expect(() => select().toSQL()).toThrow('from(type)');
+    expect(() => update('Item').toSQL()).toThrow('set(');
+    expect(() => upsert('Item', { qty: 1 }).toSQL()).toThrow('where(');
+    expect(() => createEdge('Knows').from('#1:0').toSQL()).toThrow('to()');
+    expect(() => select().from('Item').orderBy('name', 'sideways')).toThrow('sort direction');
+    expect(() => select().from('Item').limit(-1)).toThrow('non-negative');
+  });
+
+  test('placeholders after comments with apostrophes are still found', () => {
+    const sql = [
+      "-- don't match :skipped here",
+      'SELECT FROM Item /* the owner\'s :items */ WHERE owner = :owner',
+      "AND name = ':literal' AND qty > :qty"
+    ].join('\n');
+    const found = [];
+    replaceParams(sql, name => found.push(name));
+    expect(found).toEqual(['owner', 'qty']);
+
+    const bound = bindRids(sql, { owner: new Rid(3, 1), qty: 2 });
+    expect(bound.sql).toContain('WHERE owner = #3:1');
+    expect(bound.params).toEqual({ qty: 2 });
+  });
+});
+
+describe('SQL Builder - Execution', () => {
+  const dbName = uniqueDbName('test_sql_builder');
+  const db = client.withDatabase(dbName);
+
+  beforeAll(async () => {
+    await cleanupDatabase(dbName);
+    await client.createDatabase(dbName);
+    await db.command('CREATE DOCUMENT TYPE Track');
+    await db.command('CREATE VERTEX TYPE Person');
+    await db.command('CREATE EDGE TYPE Knows');
+  });
+
+  afterAll(async () => {
+    await cleanupDatabase(dbName);
+  });
+
+  test('reserved words work as field names', async () => {
+    await db.command(insert('Track', { name: 'Basics', order: 2 }));
+    await db.command(insert('Track', { name: 'Intro', order: 1 }));
+
+    const rows = await db.query(select('name', 'order').from('Track').orderBy('order'));
+    expect(rows).toEqual([
+      { name: 'Intro', order: 1 },
+      { name: 'Basics', order: 2 }
+    ]);
+  });
+
+  test('update by @rid', async () => {
+    const [track] = await db.query(select().from('Track').where({ name: 'Intro' }));
+    await db.command(update('Track', { name: 'Welcome' }).where({ '@rid': track['@rid'] }));
+
+    const [updated] = await db.query(select().from('Track').where({ '@rid': track['@rid'] }));
+    expect(updated.name).toBe('Welcome');
+  });
+
+  test('upsert inserts then updates', async () => {
+    const statement = () => upsert('Track', { order: 3 }).where({ name: 'Extra' }).returning('AFTER');
+    await db.command(statement());
+    const [second] = await db.command(statement());
+
+    expect(second.name).toBe('Extra');
+    const rows = await db.query(select().from('Track').where({ name: 'Extra' }));
+    expect(rows).toHaveLength(1);
+  });
+
+  test('skip and limit page through results', async () => {
+    const page = await db.query(select('name').from('Track').orderBy('order').skip(1).limit(1));
+    expect(page).toEqual([{ name: 'Basics' }]);
+  });
+
+  test('creates vertices and edges', async () => {
+    const [alice] = await db.command(createVertex('Person', { name: 'Alice' }));
+    const [bob] = await db.command(createVertex('Person', { name: 'Bob' }));
+    await db.command(createEdge('Knows', { since: 2020 }).from(alice['@rid']).to(bob['@rid']));
+
+    const rows = await db.query("SELECT out('Knows').name as friends FROM Person WHERE name = 'Alice'");
+    expect(rows[0].friends).toEqual(['Bob']);
+  });
+
+  test('delete', async () => {
+    await db.command(deleteFrom('Track').where({ name: 'Extra' }));
+    const rows = await db.query(select().from('Track').where({ name: 'Extra' }));
+    expect(rows).toHaveLength(0);
+  });
+});
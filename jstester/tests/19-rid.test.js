@@ -0,0 +1,81 @@
+import { describe, test, expect, beforeAll, afterAll } from 'bun:test';
+import { client, uniqueDbName, cleanupDatabase } from './helpers.js';
+import { Rid, insert, select } from '../lib/index.js';
+import { bindRids } from '../lib/rid.js';
+
+describe('Rid', () => {
+  test('parses #bucket:position', () => {
+    const rid = Rid.parse('#12:3');
+    expect(rid.bucket).toBe(12);
+    expect(rid.position).toBe(3);
+    expect(Rid.parse('#-1:-2').toString()).toBe('#-1:-2');
+    expect(Rid.parse(rid)).toBe(rid);
+  });
+
+  test('rejects anything else', () => {
+    for (const value of ['12:3', '#12', '#a:1', '#1:2 OR 1=1', '', null, undefined, 7]) {
+      expect(() => Rid.parse(value)).toThrow('Invalid RID');
+    }
+    expect(() => new Rid(1.5, 0)).toThrow('Invalid RID');
+    expect(Rid.isValid('#1:0')).toBe(true);
+    expect(Rid.isValid('#1:0; DROP')).toBe(false);
+  });
+
+  test('equality with Rids and strings', () => {
+    const rid = new Rid(5, 7);
+    expect(rid.equals(Rid.parse('#5:7'))).toBe(true);
+    expect(rid.equals('#5:7')).toBe(true);
+    expect(rid.equals('#5:8')).toBe(false);
+    expect(rid.equals('garbage')).toBe(false);
+  });
+
+  test('serializes as its string form', () => {
+    expect(`${new Rid(1, 2)}`).toBe('#1:2');
+    expect(JSON.stringify({ link: new Rid(1, 2) })).toBe('{"link":"#1:2"}');
+  });
+
+  test('binds Rid params as literals and leaves the rest alone', () => {
+    const { sql, params } = bindRids(
+      "UPDATE Card SET deck = :deck, note = ':deck' WHERE @rid IN :rids AND name = :name",
+      { deck: new Rid(3, 0), rids: [new Rid(4, 1), new Rid(4, 2)], name: 'x' }
+    );
+    expect(sql).toBe("UPDATE Card SET deck = #3:0, note = ':deck' WHERE @rid IN [#4:1, #4:2] AND name = :name");
+    expect(params).toEqual({ name: 'x' });
+  });
+});
+
+describe('Rid - LINK binding', () => {
+  const dbName = uniqueDbName('test_rid');
+  const db = client.withDatabase(dbName);
+
+  beforeAll(async () => {
+    await cleanupDatabase(dbName);
+    await client.createDatabase(dbName);
+    await db.command('CREATE DOCUMENT TYPE Deck');
+    await db.command('CREATE DOCUMENT TYPE Card');
+    await db.command('CREATE PROPERTY Card.deck LINK');
+  });
+
+  afterAll(async () => {
+    await cleanupDatabase(dbName);
+  });
+
+  test('stores a Rid param as a LINK', async () => {
+    const [deck] = await db.command("INSERT INTO Deck SET name = 'Basics'");
+    const deckRid = Rid.parse(deck['@rid']);
+
+    await db.command('INSERT INTO Card SET text = :text, deck = :deck', { text: 'Hallo', deck: deckRid });
+
+    const rows = await db.query('SELECT text, deck.name as deckName FROM Card WHERE deck = :deck', { deck: deckRid });
+    expect(rows).toEqual([{ text: 'Hallo', deckName: 'Basics' }]);
+  });
+
+  test('works through the SQL builder and with lists', async () => {
+    const [deck] = await db.command(insert('Deck', { name: 'Travel' }));
+    const deckRid = Rid.parse(deck['@rid']);
+    const [card] = await db.command(insert('Card', { text: 'Zug', deck: deckRid }));
+
+    const rows = await db.query(select('text').from('Card').where({ '@rid': [Rid.parse(card['@rid'])] }));
+    expect(rows).toEqual([{ text: 'Zug' }]);
+  });
+});
@@ -0,0 +1,80 @@
+import { describe, test, expect, beforeAll, afterAll } from 'bun:test';
+import { client, uniqueDbName, cleanupDatabase } from './helpers.js';
+import { select } from '../lib/index.js';
+
+describe('Streaming', () => {
+  const dbName = uniqueDbName('test_stream');
+  const db = client.withDatabase(dbName);
+  const TOTAL = 250;
+
+  beforeAll(async () => {
+    await cleanupDatabase(dbName);
+    await client.createDatabase(dbName);
+    await db.command('CREATE DOCUMENT TYPE Card');
+    await db.command('CREATE PROPERTY Card.n INTEGER');
+    await db.batch(
+      Array.from({ length: TOTAL }, (_, n) => ({
+        sql: 'INSERT INTO Card SET n = :n, lang = :lang',
+        params: { n, lang: n % 2 === 0 ? 'en' : 'de' }
+      }))
+    );
+  });
+
+  afterAll(async () => {
+    await cleanupDatabase(dbName);
+  });
+
+  async function collect(iterator) {
+    const rows = [];
+    for await (const row of iterator) rows.push(row);
+    return rows;
+  }
+
+  test('keyset pages a select() builder by @rid', async () => {
+    const rows = await collect(db.stream(select().from('Card'), null, { pageSize: 40 }));
+
+    expect(rows).toHaveLength(TOTAL);
+    expect(new Set(rows.map(r => r['@rid'])).size).toBe(TOTAL);
+  });
+
+  test('keyset paging keeps the where clause', async () => {
+    const rows = await collect(db.stream(select('@rid', 'n').from('Card').where({ lang: 'de' }), null, { pageSize: 7 }));
+
+    expect(rows).toHaveLength(TOTAL / 2);
+    expect(rows.every(r => r.n % 2 === 1)).toBe(true);
+  });
+
+  test('plain SQL falls back to SKIP/LIMIT', async () => {
+    const rows = await collect(db.stream('SELECT n FROM Card WHERE lang = :lang ORDER BY n', { lang: 'en' }, { pageSize: 30 }));
+
+    expect(rows.map(r => r.n)).toEqual(Array.from({ length: TOTAL / 2 }, (_, i) => i * 2));
+  });
+
+  test('ordered builder falls back to SKIP/LIMIT', async () => {
+    const rows = await collect(db.stream(select('n').from('Card').orderBy('n', 'DESC'), null, { pageSize: 100 }));
+
+    expect(rows).toHaveLength(TOTAL);
+    expect(rows[0].n).toBe(TOTAL - 1);
+    expect(rows[TOTAL - 1].n).toBe(0);
+  });
+
+  test('can stop early', async () => {
+    const seen = [];
+    for await (const row of db.stream(select().from('Card'), null, { pageSize: 10 })) {
+      seen.push(row);
+      if (seen.length === 15) break;
+    }
+    expect(seen).toHaveLength(15);
+  });
+
+  test('empty result yields nothing', async () => {
+    const rows = await collect(db.stream(select().from('Card').where({ lang: 'fr' })));
+    expect(rows).toEqual([]);
+  });
+
+  test('rejects queries with their own paging', async () => {
+    await expect(collect(db.stream('SELECT FROM Card LIMIT 5'))).rejects.toThrow('SKIP/LIMIT');
+    await expect(collect(db.stream(select().from('Card').limit(5)))).rejects.toThrow('SKIP/LIMIT');
+    await expect(collect(db.stream('SELECT FROM Card', null, { pageSize: 0 }))).rejects.toThrow('pageSize');
+  });
+});
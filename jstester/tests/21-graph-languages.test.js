@@ -0,0 +1,192 @@
+import { describe, test, expect, beforeAll, afterAll } from 'bun:test';
+import { client, uniqueDbName, cleanupDatabase } from './helpers.js';
+import { Rid, createEdge } from '../lib/index.js';
+
+// Same graph as 10-graph-match.test.js:
+// John -> Jane -> Frank
+//   \-> Bob -> Frank
+async function createFriendGraph(db) {
+  await db.command('CREATE VERTEX TYPE Person');
+  await db.command('CREATE PROPERTY Person.name STRING');
+  await db.command('CREATE EDGE TYPE Friend');
+  await db.command('CREATE PROPERTY Friend.since INTEGER');
+
+  const people = {};
+  for (const name of ['John', 'Jane', 'Bob', 'Frank']) {
+    const [person] = await db.command('CREATE VERTEX Person SET name = :name', { name });
+    people[name] = Rid.parse(person['@rid']);
+  }
+
+  await db.command(createEdge('Friend', { since: 2020 }).from(people.John).to(people.Jane));
+  await db.command(createEdge('Friend', { since: 2019 }).from(people.John).to(people.Bob));
+  await db.command(createEdge('Friend', { since: 2021 }).from(people.Jane).to(people.Frank));
+  await db.command(createEdge('Friend', { since: 2022 }).from(people.Bob).to(people.Frank));
+}
+
+describe('Graph - Cypher', () => {
+  const dbName = uniqueDbName('test_graph_cypher');
+  const db = client.withDatabase(dbName);
+
+  beforeAll(async () => {
+    await cleanupDatabase(dbName);
+    await client.createDatabase(dbName);
+    await createFriendGraph(db);
+  });
+
+  afterAll(async () => {
+    await cleanupDatabase(dbName);
+  });
+
+  test('find person by name', async () => {
+    const result = await db.cypher('MATCH (p:Person {name: $name}) RETURN p.name AS name', { name: 'John' });
+    expect(result.length).toBe(1);
+    expect(result[0].name).toBe('John');
+  });
+
+  test('outgoing relationship', async () => {
+    const result = await db.cypher(`
+      MATCH (person:Person {name: 'John'})-[:Friend]->(friend)
+      RETURN person.name AS person, friend.name AS friend
+    `);
+    expect(result.length).toBe(2);
+    const friends = result.map(r => r.friend);
+    expect(friends).toContain('Jane');
+    expect(friends).toContain('Bob');
+  });
+
+  test('both directions', async () => {
+    const result = await db.cypher(`
+      MATCH (person:Person {name: 'Jane'})-[:Friend]-(connection)
+      RETURN connection.name AS connection
+    `);
+    expect(result.length).toBe(2);
+    const connections = result.map(r => r.connection);
+    expect(connections).toContain('John');
+    expect(connections).toContain('Frank');
+  });
+
+  test('friends of friends', async () => {
+    const result = await db.cypher(`
+      MATCH (person:Person {name: 'John'})-[:Friend]->()-[:Friend]->(fof)
+      RETURN person.name AS person, fof.name AS fof
+    `);
+    expect(result.length).toBe(2); // Jane->Frank and Bob->Frank
+    expect(result.map(r => r.fof)).toEqual(['Frank', 'Frank']);
+  });
+
+  test('variable length path', async () => {
+    const result = await db.cypher(`
+      MATCH (person:Person {name: 'John'})-[:Friend*1..2]->(reachable)
+      RETURN reachable.name AS name
+    `);
+    // Jane, Bob, and Frank twice (via Jane and via Bob)
+    expect(result.length).toBe(4);
+    expect(result.map(r => r.name).sort()).toEqual(['Bob', 'Frank', 'Frank', 'Jane']);
+  });
+
+  test('common friends', async () => {
+    const result = await db.cypher(`
+      MATCH (:Person {name: 'John'})-[:Friend]->(friend)-[:Friend]->(:Person {name: 'Frank'})
+      RETURN friend.name AS commonFriend
+    `);
+    expect(result.length).toBe(2);
+    const friends = result.map(r => r.commonFriend);
+    expect(friends).toContain('Jane');
+    expect(friends).toContain('Bob');
+  });
+
+  test('DISTINCT friends of friends', async () => {
+    const result = await db.cypher(`
+      MATCH (:Person {name: 'John'})-[:Friend]->()-[:Friend]->(fof)
+      RETURN DISTINCT fof.name AS name
+    `);
+    expect(result.length).toBe(1); // Only Frank
+    expect(result[0].name).toBe('Frank');
+  });
+
+  test('filter on relationship property', async () => {
+    const result = await db.cypher(`
+      MATCH (a:Person)-[f:Friend]->(b:Person)
+      WHERE f.since >= $year
+      RETURN a.name AS fromPerson, b.name AS toPerson, f.since AS since
+      ORDER BY since
+    `, { year: 2021 });
+    expect(result).toEqual([
+      { fromPerson: 'Jane', toPerson: 'Frank', since: 2021 },
+      { fromPerson: 'Bob', toPerson: 'Frank', since: 2022 }
+    ]);
+  });
+
+  test('ORDER BY and LIMIT', async () => {
+    const result = await db.cypher(`
+      MATCH (person:Person)
+      RETURN person.name AS name
+      ORDER BY name ASC
+      LIMIT 2
+    `);
+    expect(result.length).toBe(2);
+    expect(result[0].name).toBe('Bob');
+    expect(result[1].name).toBe('Frank');
+  });
+});
+
+describe('Graph - Gremlin', () => {
+  const dbName = uniqueDbName('test_graph_gremlin');
+  const db = client.withDatabase(dbName);
+
+  beforeAll(async () => {
+    await cleanupDatabase(dbName);
+    await client.createDatabase(dbName);
+    await createFriendGraph(db);
+  });
+
+  afterAll(async () => {
+    await cleanupDatabase(dbName);
+  });
+
+  test('outgoing edges', async () => {
+    const result = await db.gremlin("g.V().has('Person', 'name', 'John').out('Friend')");
+    const names = result.map(r => r.name);
+    expect(names.length).toBe(2);
+    expect(names).toContain('Jane');
+    expect(names).toContain('Bob');
+  });
+
+  test('friends of friends with dedup and params', async () => {
+    const result = await db.gremlin(
+      "g.V().has('Person', 'name', name).out('Friend').out('Friend').dedup()",
+      { name: 'John' }
+    );
+    expect(result.map(r => r.name)).toEqual(['Frank']);
+  });
+});
+
+describe('Graph - GraphQL', () => {
+  const dbName = uniqueDbName('test_graph_graphql');
+  const db = client.withDatabase(dbName);
+
+  beforeAll(async () => {
+    await cleanupDatabase(dbName);
+    await client.createDatabase(dbName);
+    await createFriendGraph(db);
+    await db.graphql(`
+      type Person {
+        name: String
+      }
+
+      type Query {
+        personByName(name: String): [Person]
+      }
+    `);
+  });
+
+  afterAll(async () => {
+    await cleanupDatabase(dbName);
+  });
+
+  test('query by field', async () => {
+    const result = await db.graphql('{ personByName(name: "Jane") { name } }');
+    expect(result.length).toBe(1);
+    expect(result[0].name).toBe('Jane');
+  });
+});
@@ -0,0 +1,144 @@
+import { describe, test, expect, beforeAll, afterAll } from 'bun:test';
+import { client, uniqueDbName, cleanupDatabase } from './helpers.js';
+import { ParseError, measureQueries } from '../lib/index.js';
+import { createEmitter, emitQuery } from '../lib/telemetry.js';
+
+describe('Telemetry - Listeners', () => {
+  test('a throwing listener does not fail the query or skip other listeners', async () => {
+    const events = createEmitter();
+    const seen = [];
+    const errors = [];
+    events.on('query:end', () => { throw new Error('listener broke'); });
+    events.on('query:end', event => seen.push(event.rowCount));
+    events.on('error', error => errors.push(error.message));
+
+    const rows = await emitQuery(events, { sql: 'SELECT 1' }, async () => [{ x: 1 }]);
+    expect(rows).toEqual([{ x: 1 }]);
+    expect(seen).toEqual([1]);
+    expect(errors).toEqual(['listener broke']);
+  });
+});
+
+describe('Telemetry', () => {
+  const dbName = uniqueDbName('test_telemetry');
+  const db = client.withDatabase(dbName);
+  const listeners = [];
+
+  // Register on the shared emitter and remember it for cleanup
+  function listen(event, fn) {
+    db.on(event, fn);
+    listeners.push([event, fn]);
+  }
+
+  beforeAll(async () => {
+    await cleanupDatabase(dbName);
+    await client.createDatabase(dbName);
+    await db.command('CREATE DOCUMENT TYPE Item');
+    await db.command("INSERT INTO Item SET name = 'a'");
+    await db.command("INSERT INTO Item SET name = 'b'");
+  });
+
+  afterAll(async () => {
+    for (const [event, fn] of listeners) db.off(event, fn);
+    await cleanupDatabase(dbName);
+  });
+
+  test('query:start and query:end carry query details', async () => {
+    const events = [];
+    listen('query:start', e => events.push(['start', e]));
+    listen('query:end', e => events.push(['end', e]));
+
+    await db.query('SELECT FROM Item WHERE name = :name', { name: 'a' });
+
+    const [[, start], [, end]] = events.slice(-2);
+    expect(events.at(-2)[0]).toBe('start');
+    expect(start.sql).toBe('SELECT FROM Item WHERE name = :name');
+    expect(start.params).toEqual({ name: 'a' });
+    expect(start.database).toBe(dbName);
+    expect(start.sessionId).toBeNull();
+    expect(end.id).toBe(start.id);
+    expect(end.rowCount).toBe(1);
+    expect(end.duration).toBeGreaterThan(0);
+  });
+
+  test('query:error carries the error', async () => {
+    const errors = [];
+    listen('query:error', e => errors.push(e));
+
+    await expect(db.query('SELEC FROM Item')).rejects.toThrow();
+
+    expect(errors.at(-1).sql).toBe('SELEC FROM Item');
+    expect(errors.at(-1).error).toBeInstanceOf(ParseError);
+  });
+
+  test('events from the parent client see transaction queries', async () => {
+    const ends = [];
+    const listener = e => ends.push(e);
+    client.on('query:end', listener);
+
+    await db.transaction(async tx => {
+      await tx.command("INSERT INTO Item SET name = 'c'");
+    });
+    client.off('query:end', listener);
+
+    expect(ends).toHaveLength(1);
+    expect(ends[0].sessionId).toBeTruthy();
+    expect(ends[0].database).toBe(dbName);
+  });
+
+  test('transaction:start and transaction:end wrap each attempt', async () => {
+    const events = [];
+    listen('transaction:start', e => events.push(['start', e]));
+    listen('transaction:end', e => events.push(['end', e]));
+    listen('transaction:error', e => events.push(['error', e]));
+
+    await db.transaction(async tx => {
+      await tx.command("INSERT INTO Item SET name = 'd'");
+    });
+    await expect(db.transaction(async () => { throw new Error('nope'); })).rejects.toThrow('nope');
+
+    expect(events.map(([kind]) => kind)).toEqual(['start', 'end', 'start', 'error']);
+    expect(events[0][1].sessionId).toBeTruthy();
+    expect(events[0][1].attempt).toBe(1);
+    expect(events[1][1].id).toBe(events[0][1].id);
+    expect(events[3][1].error.message).toBe('nope');
+  });
+
+  test('slow query log respects the threshold', async () => {
+    const lines = [];
+    const stopAll = db.logSlowQueries({ threshold: 0, log: line => lines.push(line) });
+    const stopNone = db.logSlowQueries({ threshold: 60_000, log: line => lines.push(`never: ${line}`) });
+
+    await db.query('SELECT count(*) as total FROM Item');
+    stopAll();
+    stopNone();
+    await db.query('SELECT FROM Item');
+
+    expect(lines).toHaveLength(1);
+    expect(lines[0]).toMatch(/^\[slow query\] \d+\.\dms, 1 rows, test_telemetry_.*: SELECT count\(\*\) as total FROM Item$/);
+  });
+
+  test('measureQueries counts the queries a call makes', async () => {
+    const { result, queries } = await measureQueries(db, async () => {
+      const items = await db.query('SELECT FROM Item');
+      for (const item of items) await db.query('SELECT FROM Item WHERE @rid = :rid', { rid: item['@rid'] });
+      return items.length;
+    });
+
+    expect(queries).toHaveLength(result + 1); // N+1
+  });
+
+  test('measureQueries counts failed queries', async () => {
+    const { queries } = await measureQueries(db, async () => {
+      await db.query('SELECT FROM Item');
+      await db.query('SELEC nothing').catch(() => {});
+    });
+
+    expect(queries).toHaveLength(2);
+    expect(queries[1].error).toBeInstanceOf(ParseError);
+  });
+
+  test('unknown events are rejected', () => {
+    expect(() => db.on('query:finish', () => {})).toThrow('Unknown event');
+  });
+});
@@ -0,0 +1,110 @@
+import { describe, test, expect, beforeAll, afterAll, beforeEach } from 'bun:test';
+import { BasicTracerProvider, SimpleSpanProcessor, InMemorySpanExporter } from '@opentelemetry/sdk-trace-base';
+import { SpanKind, SpanStatusCode } from '@opentelemetry/api';
+import { client, uniqueDbName, cleanupDatabase } from './helpers.js';
+import { ParseError } from '../lib/index.js';
+import { instrumentClient, ArcadeMetrics } from '../lib/instrumentation.js';
+
+describe('Prometheus metrics', () => {
+  test('renders histograms with cumulative buckets', () => {
+    const metrics = new ArcadeMetrics({ buckets: [0.01, 0.1] });
+    metrics.recordQuery({ language: 'sql', sql: 'select from Item', database: 'db', duration: 5 });
+    metrics.recordQuery({ language: 'sql', sql: 'SELECT FROM Item', database: 'db', duration: 50 });
+    metrics.recordQuery({ language: 'sql', sql: 'SELECT FROM Item', database: 'db', duration: 500 });
+
+    const text = metrics.render();
+    expect(text).toContain('# TYPE arcadedb_query_duration_seconds histogram');
+    expect(text).toContain('arcadedb_query_duration_seconds_bucket{database="db",operation="SELECT",le="0.01"} 1');
+    expect(text).toContain('arcadedb_query_duration_seconds_bucket{database="db",operation="SELECT",le="0.1"} 2');
+    expect(text).toContain('arcadedb_query_duration_seconds_bucket{database="db",operation="SELECT",le="+Inf"} 3');
+    expect(text).toContain('arcadedb_query_duration_seconds_sum{database="db",operation="SELECT"} 0.555');
+    expect(text).toContain('arcadedb_query_duration_seconds_count{database="db",operation="SELECT"} 3');
+  });
+
+  test('counts errors by operation and exception', () => {
+    const metrics = new ArcadeMetrics();
+    const error = new ParseError('Parse error', { exception: 'com.arcadedb.query.sql.parser.ParseException' });
+    metrics.recordQuery({ language: 'sql', sql: 'SELEC FROM Item', database: 'db', duration: 1, error });
+    metrics.recordQuery({ language: 'cypher', sql: 'MATCH (n) RETURN n', database: 'db', duration: 1, error: new Error('boom') });
+    metrics.recordTransaction({ database: 'db', duration: 20 });
+    metrics.recordTransaction({ database: 'db', duration: 20, error });
+
+    const text = metrics.render();
+    expect(text).toContain('# TYPE arcadedb_query_errors_total counter');
+    expect(text).toContain('arcadedb_query_errors_total{database="db",operation="SELEC",error="ParseException"} 1');
+    expect(text).toContain('arcadedb_query_errors_total{database="db",operation="CYPHER",error="Error"} 1');
+    expect(text).toContain('arcadedb_transaction_duration_seconds_count{database="db",outcome="commit"} 1');
+    expect(text).toContain('arcadedb_transaction_duration_seconds_count{database="db",outcome="rollback"} 1');
+  });
+
+  test('escapes label values', () => {
+    const metrics = new ArcadeMetrics();
+    metrics.recordTransaction({ database: 'a"b\\c\nd', duration: 1 });
+    expect(metrics.render()).toContain('database="a\\"b\\\\c\\nd"');
+  });
+});
+
+describe('Instrumentation', () => {
+  const dbName = uniqueDbName('test_instrumentation');
+  const db = client.withDatabase(dbName);
+  const exporter = new InMemorySpanExporter();
+  const provider = new BasicTracerProvider({ spanProcessors: [new SimpleSpanProcessor(exporter)] });
+  let instrumentation;
+
+  beforeAll(async () => {
+    await cleanupDatabase(dbName);
+    await client.createDatabase(dbName);
+    await db.command('CREATE DOCUMENT TYPE Item');
+    instrumentation = instrumentClient(db, { tracer: provider.getTracer('test') });
+  });
+
+  afterAll(async () => {
+    instrumentation?.stop();
+    await cleanupDatabase(dbName);
+  });
+
+  beforeEach(() => exporter.reset());
+
+  test('creates a client span per query', async () => {
+    await db.command("INSERT INTO Item SET name = :name", { name: 'secret' });
+
+    const [span] = exporter.getFinishedSpans();
+    expect(span.name).toBe(`INSERT ${dbName}`);
+    expect(span.kind).toBe(SpanKind.CLIENT);
+    expect(span.attributes['db.system']).toBe('arcadedb');
+    expect(span.attributes['db.name']).toBe(dbName);
+    expect(span.attributes['db.statement']).toBe('INSERT INTO Item SET name = :name');
+    expect(span.attributes['db.operation']).toBe('INSERT');
+    expect(span.attributes['db.response.returned_rows']).toBe(1);
+    expect(JSON.stringify(span.attributes)).not.toContain('secret');
+  });
+
+  test('marks failed queries as errors', async () => {
+    await expect(db.query('SELEC FROM Item')).rejects.toThrow(ParseError);
+
+    const [span] = exporter.getFinishedSpans();
+    expect(span.status.code).toBe(SpanStatusCode.ERROR);
+    expect(span.events.map(e => e.name)).toContain('exception');
+  });
+
+  test('nests transaction queries under the transaction span', async () => {
+    await db.transaction(async tx => {
+      await tx.command("INSERT INTO Item SET name = 'a'");
+      await tx.query('SELECT FROM Item');
+    });
+
+    const spans = exporter.getFinishedSpans();
+    const txSpan = spans.find(s => s.name === 'arcadedb.transaction');
+    const children = spans.filter(s => s.parentSpanContext?.spanId === txSpan.spanContext().spanId);
+    expect(children.map(s => s.attributes['db.operation'])).toEqual(['INSERT', 'SELECT']);
+    expect(txSpan.attributes['arcadedb.transaction.attempt']).toBe(1);
+  });
+
+  test('records latency and errors in the metrics', async () => {
+    await db.query('SELECT FROM Item');
+    const text = instrumentation.metrics.render();
+    expect(text).toMatch(new RegExp(`arcadedb_query_duration_seconds_count\\{database="${dbName}",operation="SELECT"\\} \\d+`));
+    expect(text).toContain(`arcadedb_query_errors_total{database="${dbName}",operation="SELEC",error="ParseException"} 1`);
+    expect(text).toContain(`arcadedb_transaction_duration_seconds_count{database="${dbName}",outcome="commit"} 1`);
+  });
+});
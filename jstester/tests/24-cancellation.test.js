@@ -0,0 +1,76 @@
+import { describe, test, expect, beforeAll, afterAll } from 'bun:test';
+import { client, uniqueDbName, cleanupDatabase } from './helpers.js';
+import { ArcadexClient, TimeoutError, AbortError, TransactionTimeoutError } from '../lib/index.js';
+
+describe('Timeouts and cancellation', () => {
+  const dbName = uniqueDbName('test_cancel');
+  const db = client.withDatabase(dbName);
+
+  // Quadratic: every Item joined against every other one
+  const SLOW = 'SELECT count(*) AS total FROM Item LET $all = (SELECT FROM Item WHERE name <> $parent.$current.name)';
+
+  beforeAll(async () => {
+    await cleanupDatabase(dbName);
+    await client.createDatabase(dbName);
+    await db.command('CREATE DOCUMENT TYPE Item');
+    await db.batch(Array.from({ length: 2000 }, (_, i) => ({
+      sql: 'INSERT INTO Item SET name = :name',
+      params: { name: `item${i}` }
+    })));
+  });
+
+  afterAll(async () => {
+    await cleanupDatabase(dbName);
+  });
+
+  test('per-call timeout raises TimeoutError', async () => {
+    const error = await db.query(SLOW, null, { timeout: 5 }).catch(e => e);
+    expect(error).toBeInstanceOf(TimeoutError);
+    expect(error.sql).toBe(SLOW);
+  });
+
+  test('per-client timeout applies to every call and can be overridden', async () => {
+    const strict = new ArcadexClient({ ...db.config, timeout: 5 });
+    await expect(strict.query(SLOW)).rejects.toBeInstanceOf(TimeoutError);
+
+    const [row] = await strict.query('SELECT count(*) AS total FROM Item', null, { timeout: null });
+    expect(row.total).toBe(2000);
+  });
+
+  test('AbortSignal cancels a query with AbortError', async () => {
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 5);
+    await expect(db.query(SLOW, null, { signal: controller.signal })).rejects.toBeInstanceOf(AbortError);
+    await expect(db.query('SELECT FROM Item', null, { signal: AbortSignal.abort() })).rejects.toBeInstanceOf(AbortError);
+  });
+
+  test('aborted transaction rolls back', async () => {
+    const controller = new AbortController();
+
+    const attempt = db.transaction(async tx => {
+      await tx.command("INSERT INTO Item SET name = 'aborted'");
+      controller.abort(new Error('user cancelled'));
+      await tx.query(SLOW);
+    }, { signal: controller.signal });
+
+    const error = await attempt.catch(e => e);
+    expect(error).toBeInstanceOf(AbortError);
+    expect(error.message).toContain('user cancelled');
+
+    const [row] = await db.query("SELECT count(*) AS total FROM Item WHERE name = 'aborted'");
+    expect(row.total).toBe(0);
+  });
+
+  test('transaction timeout cancels the running query', async () => {
+    const error = await db.transaction(async tx => {
+      await tx.command("INSERT INTO Item SET name = 'late'");
+      await tx.query(SLOW);
+    }, { timeout: 20 }).catch(e => e);
+
+    expect(error).toBeInstanceOf(TransactionTimeoutError);
+    expect(error).toBeInstanceOf(TimeoutError);
+
+    const [row] = await db.query("SELECT count(*) AS total FROM Item WHERE name = 'late'");
+    expect(row.total).toBe(0);
+  });
+});
@@ -0,0 +1,146 @@
+import { describe, test, expect, beforeAll, afterAll } from 'bun:test';
+import { client, uniqueDbName, cleanupDatabase } from './helpers.js';
+import { ArcadexClient, Rid, Decimal } from '../lib/index.js';
+import { preciseNumbers, decodeResult } from '../lib/decode.js';
+
+describe('Decoding', () => {
+  const types = new Map([
+    ['Card', new Map([
+      ['createdAt', { type: 'DATETIME' }],
+      ['day', { type: 'DATE' }],
+      ['views', { type: 'LONG' }],
+      ['price', { type: 'DECIMAL' }],
+      ['deck', { type: 'LINK' }],
+      ['tags', { type: 'LIST', ofType: 'LINK' }]
+    ])]
+  ]);
+
+  function decode(json, opts) {
+    return decodeResult(JSON.parse(json, preciseNumbers).result, types, opts);
+  }
+
+  test('decodes record fields by schema type', () => {
+    const [card] = decode(`{"result":[{"@rid":"#3:0","@type":"Card","createdAt":"2024-11-19 10:22:33.123",
+      "day":"2024-11-19","views":12345678901234567890,"price":12345.678901234567891,"deck":"#5:1",
+      "tags":["#6:1"],"note":"#1:1"}]}`);
+
+    expect(card['@rid']).toEqual(new Rid(3, 0));
+    expect(card.createdAt).toEqual(new Date('2024-11-19T10:22:33.123Z'));
+    expect(card.day).toEqual(new Date('2024-11-19T00:00:00Z'));
+    expect(card.views).toBe(12345678901234567890n);
+    expect(card.price).toBeInstanceOf(Decimal);
+    expect(card.price.toString()).toBe('12345.678901234567891');
+    expect(card.deck).toEqual(new Rid(5, 1));
+    expect(card.tags).toEqual([new Rid(6, 1)]);
+    expect(card.note).toBe('#1:1'); // untyped strings stay strings
+  });
+
+  test('epoch numbers and offsets become Dates', () => {
+    const [card] = decode('{"result":[{"@type":"Card","createdAt":1700000000000,"day":"2024-11-19T10:00:00+0200"}]}');
+    expect(card.createdAt).toEqual(new Date(1700000000000));
+    expect(card.day).toEqual(new Date('2024-11-19T08:00:00Z'));
+  });
+
+  test('untyped numbers decode as JSON.parse would', () => {
+    const [row] = decode('{"result":[{"total":98765432109876543210,"avg":0.30000000000000004}]}');
+    expect(row.total).toBe(98765432109876543210);
+    expect(row.avg).toBe(0.30000000000000004);
+  });
+
+  test('projections decode through type hints', () => {
+    const [row] = decode('{"result":[{"version":"1","appliedAt":"2024-01-01 00:00:00"}]}', { hints: { appliedAt: 'DATETIME' } });
+    expect(row.appliedAt).toEqual(new Date('2024-01-01T00:00:00Z'));
+    expect(row.version).toBe('1');
+  });
+
+  test('decodes graph serializer vertices and edges', () => {
+    const result = decode(`{"result":{"vertices":[{"p":{"views":5,"createdAt":0},"r":"#3:0","t":"Card","i":0,"o":1}],
+      "edges":[{"p":{},"r":"#9:0","t":"Uses","i":"#3:0","o":"#3:1"}]}}`);
+
+    expect(result.vertices[0].r).toEqual(new Rid(3, 0));
+    expect(result.vertices[0].p.views).toBe(5n);
+    expect(result.vertices[0].p.createdAt).toEqual(new Date(0));
+    expect(result.vertices[0].o).toBe(1);
+    expect(result.edges[0].o).toEqual(new Rid(3, 1));
+  });
+
+  test('Decimal keeps its digits in JSON', () => {
+    const price = new Decimal('0.10000000000000000001');
+    expect(JSON.stringify({ price })).toBe('{"price":0.10000000000000000001}');
+    expect(price.toNumber()).toBe(0.1);
+    expect(() => new Decimal('1,5')).toThrow('Invalid decimal');
+  });
+
+  test('rejects unknown serializers', async () => {
+    await expect(client.withDatabase('x').query('SELECT 1', null, { serializer: 'json' })).rejects.toThrow('Unknown serializer');
+  });
+});
+
+describe('Decoding - Execution', () => {
+  const dbName = uniqueDbName('test_decoding');
+  const db = client.withDatabase(dbName);
+  const typed = new ArcadexClient({ ...db.config, decode: true });
+
+  beforeAll(async () => {
+    await cleanupDatabase(dbName);
+    await client.createDatabase(dbName);
+    await db.command('CREATE DOCUMENT TYPE Deck');
+    await db.command('CREATE DOCUMENT TYPE Card');
+    await db.command('CREATE PROPERTY Card.createdAt DATETIME');
+    await db.command('CREATE PROPERTY Card.day DATE');
+    await db.command('CREATE PROPERTY Card.views LONG');
+    await db.command('CREATE PROPERTY Card.price DECIMAL');
+    await db.command('CREATE PROPERTY Card.deck LINK');
+    const [deck] = await db.command("INSERT INTO Deck SET name = 'German'");
+    await db.command(
+      "INSERT INTO Card SET createdAt = sysdate(), day = date('2024-11-19', 'yyyy-MM-dd'), views = 9007199254740993, price = 19.99, deck = :deck",
+      { deck: Rid.parse(deck['@rid']) }
+    );
+  });
+
+  afterAll(async () => {
+    await cleanupDatabase(dbName);
+  });
+
+  test('decodes per client', async () => {
+    const [card] = await typed.query('SELECT FROM Card');
+    expect(card['@rid']).toBeInstanceOf(Rid);
+    expect(card.createdAt).toBeInstanceOf(Date);
+    expect(Math.abs(card.createdAt - Date.now())).toBeLessThan(60_000);
+    expect(card.day).toBeInstanceOf(Date);
+    expect(card.views).toBe(9007199254740993n);
+    expect(card.price.toNumber()).toBe(19.99);
+    expect(card.deck).toBeInstanceOf(Rid);
+  });
+
+  test('per-call decode overrides the client setting', async () => {
+    const [raw] = await typed.query('SELECT FROM Card', null, { decode: false });
+    expect(typeof raw['@rid']).toBe('string');
+
+    const [card] = await db.query('SELECT FROM Card', null, { decode: true });
+    expect(card.createdAt).toBeInstanceOf(Date);
+  });
+
+  test('decoded values round-trip as params', async () => {
+    const [card] = await typed.query('SELECT FROM Card');
+    const [found] = await typed.query('SELECT FROM Card WHERE views = :views AND deck = :deck', { views: card.views, deck: card.deck });
+    expect(found['@rid'].equals(card['@rid'])).toBe(true);
+  });
+
+  test('schema changes refresh the cached types', async () => {
+    await typed.query('SELECT FROM Card');
+    await typed.command('CREATE PROPERTY Card.seenAt DATETIME');
+    await typed.command('UPDATE Card SET seenAt = sysdate()');
+
+    const [card] = await typed.query('SELECT FROM Card');
+    expect(card.seenAt).toBeInstanceOf(Date);
+  });
+
+  test('graph serializer', async () => {
+    const { vertices, edges } = await typed.query('SELECT FROM Card', null, { serializer: 'graph' });
+    expect(vertices).toHaveLength(1);
+    expect(vertices[0].r).toBeInstanceOf(Rid);
+    expect(vertices[0].p.createdAt).toBeInstanceOf(Date);
+    expect(edges).toEqual([]);
+  });
+});
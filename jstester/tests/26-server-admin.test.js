@@ -0,0 +1,89 @@
+import { describe, test, expect, beforeAll, afterAll } from 'bun:test';
+import { client, uniqueDbName, cleanupDatabase } from './helpers.js';
+import {
+  ArcadexClient,
+  ServerAdmin,
+  ArcadeError,
+  DatabaseExistsError,
+  DatabaseNotFoundError,
+  SecurityError
+} from '../lib/index.js';
+
+describe('Server Admin', () => {
+  const admin = new ServerAdmin(client);
+  const dbName = uniqueDbName('test_admin');
+  const userName = uniqueDbName('user');
+
+  beforeAll(async () => {
+    await cleanupDatabase(dbName);
+  });
+
+  afterAll(async () => {
+    await admin.dropUser(userName).catch(() => {});
+    await cleanupDatabase(dbName);
+  });
+
+  test('rejects names that could smuggle in commands', async () => {
+    await expect(admin.dropDatabase('x; drop database y')).rejects.toThrow('Invalid database name');
+    await expect(admin.createUser({ name: 'a b', password: 'x' })).rejects.toThrow('Invalid user name');
+    await expect(admin.createUser({ name: 'ok', password: 'x', databases: { 'bad name': 'admin' } }))
+      .rejects.toThrow('Invalid database name');
+    await expect(admin.createUser({ name: 'ok' })).rejects.toThrow('Password required');
+  });
+
+  test('create and list databases', async () => {
+    expect(await admin.createDatabase(dbName)).toBe(true);
+    expect(await admin.listDatabases()).toContain(dbName);
+    expect(await admin.databaseExists(dbName)).toBe(true);
+  });
+
+  test('creating an existing database raises DatabaseExistsError', async () => {
+    const error = await admin.createDatabase(dbName).catch(e => e);
+    expect(error).toBeInstanceOf(DatabaseExistsError);
+    expect(error).toBeInstanceOf(ArcadeError);
+  });
+
+  test('close and reopen a database', async () => {
+    const db = client.withDatabase(dbName);
+    await db.command('CREATE DOCUMENT TYPE Item');
+
+    expect(await admin.closeDatabase(dbName)).toBe(true);
+    await expect(db.query('SELECT FROM Item')).rejects.toBeInstanceOf(DatabaseNotFoundError);
+
+    expect(await admin.openDatabase(dbName)).toBe(true);
+    expect(await db.query('SELECT FROM Item')).toEqual([]);
+  });
+
+  test('users get per-database permissions', async () => {
+    expect(await admin.createUser({ name: userName, password: 'secret-password', databases: { [dbName]: 'admin' } })).toBe(true);
+
+    const asUser = new ArcadexClient({ ...client.config, user: userName, password: 'secret-password', database: dbName });
+    expect(await asUser.query('SELECT FROM Item')).toEqual([]);
+
+    const wrongPassword = new ArcadexClient({ ...asUser.config, password: 'nope' });
+    await expect(wrongPassword.query('SELECT FROM Item')).rejects.toBeInstanceOf(SecurityError);
+
+    // Server commands need a server admin
+    await expect(new ServerAdmin(asUser).listDatabases()).rejects.toBeInstanceOf(SecurityError);
+  });
+
+  test('drop user revokes access', async () => {
+    expect(await admin.dropUser(userName)).toBe(true);
+    const asUser = new ArcadexClient({ ...client.config, user: userName, password: 'secret-password', database: dbName });
+    await expect(asUser.query('SELECT FROM Item')).rejects.toBeInstanceOf(SecurityError);
+  });
+
+  test('server info and metrics', async () => {
+    const basic = await admin.serverInfo({ mode: 'basic' });
+    expect(basic.version).toBeString();
+    expect(basic.serverName).toBeString();
+
+    const metrics = await admin.metrics();
+    expect(typeof metrics).toBe('object');
+  });
+
+  test('drop database', async () => {
+    expect(await admin.dropDatabase(dbName)).toBe(true);
+    expect(await admin.databaseExists(dbName)).toBe(false);
+  });
+});
@@ -0,0 +1,59 @@
+import { describe, test, expect, beforeAll, afterAll } from 'bun:test';
+import { client, uniqueDbName, cleanupDatabase } from './helpers.js';
+
+describe('Backup - Arguments', () => {
+  const db = client.withDatabase('unused');
+
+  test('rejects unknown formats and unsafe paths before calling the server', async () => {
+    await expect(db.exportDatabase({ format: 'csv' })).rejects.toThrow("Unknown export format 'csv'");
+    await expect(db.importDatabase('x; DROP TYPE Person')).rejects.toThrow('Invalid file or URL');
+    await expect(db.backup({ file: "a'b.zip" })).rejects.toThrow('Invalid file or URL');
+  });
+});
+
+describe('Backup, Export and Import', () => {
+  const dbName = uniqueDbName('test_backup');
+  const restoredName = uniqueDbName('test_restore');
+  const db = client.withDatabase(dbName);
+  const exportFile = `${dbName}.jsonl.tgz`;
+
+  beforeAll(async () => {
+    await cleanupDatabase(dbName);
+    await cleanupDatabase(restoredName);
+    await client.createDatabase(dbName);
+    await db.command('CREATE VERTEX TYPE Person');
+    await db.command('CREATE EDGE TYPE Knows');
+    await db.command("CREATE VERTEX Person SET name = 'Alice'");
+    await db.command("CREATE VERTEX Person SET name = 'Bob'");
+    await db.command("CREATE EDGE Knows FROM (SELECT FROM Person WHERE name = 'Alice') TO (SELECT FROM Person WHERE name = 'Bob')");
+  });
+
+  afterAll(async () => {
+    await cleanupDatabase(dbName);
+    await cleanupDatabase(restoredName);
+  });
+
+  test('backup', async () => {
+    const result = await db.backup();
+    expect(result).toBeDefined();
+  });
+
+  test('export as JSONL and import into a fresh database', async () => {
+    const result = await db.exportDatabase({ file: exportFile, overwrite: true });
+    expect(result).toBeDefined();
+
+    await client.createDatabase(restoredName);
+    const restored = client.withDatabase(restoredName);
+    await restored.importDatabase(`exports/${exportFile}`);
+
+    const people = await restored.query('SELECT name FROM Person ORDER BY name');
+    expect(people.map(p => p.name)).toEqual(['Alice', 'Bob']);
+    const [knows] = await restored.query('SELECT count(*) AS total FROM Knows');
+    expect(knows.total).toBe(1);
+  });
+
+  test('export as GraphML', async () => {
+    const result = await db.exportDatabase({ format: 'graphml', file: `${dbName}.graphml.tgz`, overwrite: true });
+    expect(result).toBeDefined();
+  });
+});
@@ -0,0 +1,86 @@
+import { describe, test, expect, beforeAll, afterAll } from 'bun:test';
+import { client, uniqueDbName, cleanupDatabase } from './helpers.js';
+import { TimeoutError } from '../lib/index.js';
+
+describe('Async Commands - Options', () => {
+  const db = client.withDatabase('unused');
+
+  test('onComplete requires poll, poll requires a query', async () => {
+    await expect(db.commandAsync('UPDATE Card SET x = 1', null, { onComplete: () => {} })).rejects.toThrow('onComplete needs poll');
+    await expect(db.commandAsync('UPDATE Card SET x = 1', null, { poll: {} })).rejects.toThrow('poll needs a query');
+  });
+});
+
+describe('Async Commands', () => {
+  const dbName = uniqueDbName('test_async');
+  const db = client.withDatabase(dbName);
+
+  beforeAll(async () => {
+    await cleanupDatabase(dbName);
+    await client.createDatabase(dbName);
+    await db.command('CREATE DOCUMENT TYPE Card');
+    await db.command('CREATE DOCUMENT TYPE Marker');
+    await db.batch(Array.from({ length: 200 }, (_, i) => `INSERT INTO Card SET n = ${i}`));
+  });
+
+  afterAll(async () => {
+    await cleanupDatabase(dbName);
+  });
+
+  test('returns once the command is accepted', async () => {
+    expect(await db.commandAsync("INSERT INTO Marker SET name = 'fired'")).toBe(true);
+  });
+
+  test('poll with a count query confirms completion', async () => {
+    const rows = await db.commandAsync('UPDATE Card SET tts = :tts WHERE tts IS NULL', { tts: 'done' }, {
+      poll: {
+        query: 'SELECT count(*) AS pending FROM Card WHERE tts IS NULL',
+        until: ([row]) => row.pending === 0,
+        interval: 50,
+        timeout: 10_000
+      }
+    });
+    expect(rows[0].pending).toBe(0);
+  });
+
+  test('poll on a marker record', async () => {
+    const [marker] = await db.commandAsync("INSERT INTO Marker SET name = 'backfill'", null, {
+      poll: { query: "SELECT FROM Marker WHERE name = 'backfill'", interval: 50 }
+    });
+    expect(marker.name).toBe('backfill');
+  });
+
+  test('poll gives up with TimeoutError', async () => {
+    const error = await db.commandAsync("UPDATE Card SET tts = 'again'", null, {
+      poll: { query: "SELECT FROM Marker WHERE name = 'never'", interval: 20, timeout: 100 }
+    }).catch(e => e);
+    expect(error).toBeInstanceOf(TimeoutError);
+  });
+
+  test('onComplete reports completion in the background', async () => {
+    const completed = new Promise(resolve => {
+      db.commandAsync("INSERT INTO Marker SET name = 'callback'", null, {
+        poll: { query: "SELECT FROM Marker WHERE name = 'callback'", interval: 50 },
+        onComplete: (error, rows) => resolve({ error, rows })
+      });
+    });
+
+    const { error, rows } = await completed;
+    expect(error).toBeNull();
+    expect(rows).toHaveLength(1);
+  });
+
+  test('an onComplete that throws is reported on the error event', async () => {
+    let listener;
+    const reported = new Promise(resolve => db.on('error', listener = resolve));
+
+    await db.commandAsync("INSERT INTO Marker SET name = 'throws'", null, {
+      poll: { query: "SELECT FROM Marker WHERE name = 'throws'", interval: 50 },
+      onComplete: () => { throw new Error('callback failed'); }
+    });
+
+    const error = await reported;
+    db.off('error', listener);
+    expect(error.message).toBe('callback failed');
+  });
+});
@@ -0,0 +1,112 @@
+import { describe, test, expect, beforeAll, afterAll } from 'bun:test';
+import { join } from 'node:path';
+import { client, uniqueDbName, cleanupDatabase } from './helpers.js';
+import { QueryRegistry } from '../lib/index.js';
+import { parseQuery } from '../lib/queries.js';
+
+const PERSON_BY_NAME = `-- name: personByName
+-- params: name
+-- result: one
+-- description: Person by exact name
+SELECT name, age FROM Person WHERE name = :name`;
+
+const RENAME_PERSON = `-- params: from, to
+UPDATE Person SET name = :to WHERE name = :from`;
+
+describe('Named Queries - Registry', () => {
+  test('parses the header and statement', () => {
+    const query = parseQuery(PERSON_BY_NAME, 'personByName.sql');
+    expect(query).toMatchObject({
+      name: 'personByName',
+      language: 'sql',
+      params: ['name'],
+      result: 'one',
+      description: 'Person by exact name',
+      sql: 'SELECT name, age FROM Person WHERE name = :name',
+      readOnly: true
+    });
+  });
+
+  test('name defaults to the file name, result to many', () => {
+    const query = parseQuery(RENAME_PERSON, 'queries/renamePerson.sql');
+    expect(query.name).toBe('renamePerson');
+    expect(query.params).toEqual(['from', 'to']);
+    expect(query.result).toBe('many');
+    expect(query.readOnly).toBe(false);
+  });
+
+  test('rejects bad headers and params that do not match the statement', () => {
+    expect(() => parseQuery('-- nmae: x\nSELECT 1', 'x.sql')).toThrow("unknown header 'nmae'");
+    expect(() => parseQuery('-- result: all\nSELECT 1', 'x.sql')).toThrow("unknown result 'all'");
+    expect(() => parseQuery('SELECT FROM Person WHERE name = :name', 'x.sql')).toThrow('undeclared params :name');
+    expect(() => parseQuery('-- params: name, age\nSELECT FROM Person WHERE name = :name', 'x.sql'))
+      .toThrow('declared params not used: age');
+    expect(() => parseQuery('-- name: empty\n', 'x.sql')).toThrow('has no statement');
+  });
+
+  test('comments in the statement may hold apostrophes', () => {
+    const query = parseQuery("-- params: name\nSELECT FROM Person\n-- don't use LIKE here\nWHERE name = :name", 'x.sql');
+    expect(query.params).toEqual(['name']);
+    expect(() => parseQuery("SELECT FROM Person -- it's exact\nWHERE name = :name", 'x.sql'))
+      .toThrow('undeclared params :name');
+  });
+
+  test('bind checks supplied params', () => {
+    const registry = new QueryRegistry([parseQuery(PERSON_BY_NAME, 'personByName.sql')]);
+    expect(registry.bind('personByName', { name: 'Alice' }).params).toEqual({ name: 'Alice' });
+    expect(() => registry.bind('personByName', {})).toThrow("Query 'personByName': missing param :name");
+    expect(() => registry.bind('personByName', { name: 'A', age: 3 })).toThrow('unknown param :age');
+    expect(() => registry.bind('nope')).toThrow("Unknown query 'nope'");
+  });
+
+  test('rejects duplicate names', () => {
+    const query = parseQuery(PERSON_BY_NAME, 'a.sql');
+    expect(() => new QueryRegistry([query, query])).toThrow("Duplicate query 'personByName'");
+  });
+
+  test('loads the example queries from disk', () => {
+    const registry = QueryRegistry.fromDirectory(join(import.meta.dir, '../examples/queries'));
+    expect(registry.list().map(q => q.name)).toEqual(['deckWithCards', 'deckWithCardsByRid']);
+    expect(registry.get('deckWithCards').params).toEqual(['deckUid']);
+  });
+
+  test('named() needs a registry', async () => {
+    await expect(client.named('personByName', { name: 'A' })).rejects.toThrow('No query registry');
+  });
+});
+
+describe('Named Queries', () => {
+  const dbName = uniqueDbName('test_named');
+  const registry = new QueryRegistry([
+    parseQuery(PERSON_BY_NAME, 'personByName.sql'),
+    parseQuery(RENAME_PERSON, 'renamePerson.sql')
+  ]);
+  const db = client.withDatabase(dbName).withQueries(registry);
+
+  beforeAll(async () => {
+    await cleanupDatabase(dbName);
+    await client.createDatabase(dbName);
+    await db.command('CREATE DOCUMENT TYPE Person');
+    await db.command("INSERT INTO Person SET name = 'Alice', age = 30");
+  });
+
+  afterAll(async () => {
+    await cleanupDatabase(dbName);
+  });
+
+  test('result: one returns the first row or null', async () => {
+    expect(await db.named('personByName', { name: 'Alice' })).toMatchObject({ name: 'Alice', age: 30 });
+    expect(await db.named('personByName', { name: 'Nobody' })).toBeNull();
+  });
+
+  test('write queries run as commands', async () => {
+    const [result] = await db.named('renamePerson', { from: 'Alice', to: 'Alicia' });
+    expect(result.count).toBe(1);
+    expect(await db.named('personByName', { name: 'Alicia' })).not.toBeNull();
+  });
+
+  test('derived clients keep the registry', async () => {
+    const result = await db.transaction(tx => tx.named('personByName', { name: 'Alicia' }));
+    expect(result.age).toBe(30);
+  });
+});
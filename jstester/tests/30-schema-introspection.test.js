@@ -0,0 +1,95 @@
+import { describe, test, expect, beforeAll, afterAll } from 'bun:test';
+import { client, uniqueDbName, cleanupDatabase } from './helpers.js';
+import { normalizeType, normalizeIndex } from '../lib/schema.js';
+
+describe('Schema Introspection - Descriptors', () => {
+  test('fills in defaults for unset property flags', () => {
+    const type = normalizeType({
+      name: 'Card',
+      type: 'vertex',
+      parentTypes: ['Base'],
+      properties: [{ name: 'tags', type: 'LIST', ofType: 'STRING', mandatory: true }]
+    });
+    expect(type.kind).toBe('vertex');
+    expect(type.supertypes).toEqual(['Base']);
+    expect(type.properties[0]).toMatchObject({
+      name: 'tags', type: 'LIST', ofType: 'STRING', mandatory: true, notNull: false, readOnly: false, min: null, default: null
+    });
+  });
+
+  test('index fields come from its properties', () => {
+    const index = normalizeIndex({ name: 'Card[uid]', typeName: 'Card', type: 'LSM_TREE', unique: true, properties: ['uid'] });
+    expect(index).toMatchObject({ typeName: 'Card', type: 'LSM_TREE', unique: true, fields: ['uid'] });
+  });
+});
+
+describe('Schema Introspection', () => {
+  const dbName = uniqueDbName('test_schema_api');
+  const db = client.withDatabase(dbName);
+
+  beforeAll(async () => {
+    await cleanupDatabase(dbName);
+    await client.createDatabase(dbName);
+    await db.batch([
+      'CREATE DOCUMENT TYPE Base',
+      'CREATE PROPERTY Base.uid STRING (mandatory true, notnull true)',
+      'CREATE DOCUMENT TYPE Card EXTENDS Base',
+      'CREATE PROPERTY Card.text STRING (readonly true)',
+      'CREATE PROPERTY Card.order INTEGER (min 0, max 100)',
+      'CREATE PROPERTY Card.status STRING (default "draft")',
+      'CREATE PROPERTY Card.tags LIST OF STRING',
+      'CREATE VERTEX TYPE Person',
+      'CREATE EDGE TYPE Knows',
+      'CREATE INDEX ON Base (uid) UNIQUE',
+      'CREATE INDEX ON Card (status) NOTUNIQUE'
+    ]);
+  });
+
+  afterAll(async () => {
+    await cleanupDatabase(dbName);
+  });
+
+  test('getTypes reports kinds and supertypes', async () => {
+    const types = await db.schema.getTypes();
+    const byName = Object.fromEntries(types.map(t => [t.name, t]));
+    expect(byName.Card.kind).toBe('document');
+    expect(byName.Card.supertypes).toEqual(['Base']);
+    expect(byName.Person.kind).toBe('vertex');
+    expect(byName.Knows.kind).toBe('edge');
+  });
+
+  test('getType returns null for unknown types', async () => {
+    expect(await db.schema.getType('Missing')).toBeNull();
+    expect(await db.schema.hasType('Card')).toBe(true);
+  });
+
+  test('getProperties includes inherited ones and constraints', async () => {
+    const properties = await db.schema.getProperties('Card');
+    const byName = Object.fromEntries(properties.map(p => [p.name, p]));
+    expect(properties[0].name).toBe('uid');
+    expect(byName.uid).toMatchObject({ type: 'STRING', mandatory: true, notNull: true });
+    expect(byName.text.readOnly).toBe(true);
+    expect(String(byName.order.min)).toBe('0');
+    expect(String(byName.order.max)).toBe('100');
+    expect(byName.status.default).toContain('draft');
+    expect(byName.tags).toMatchObject({ type: 'LIST', ofType: 'STRING' });
+
+    const own = await db.schema.getProperties('Card', { inherited: false });
+    expect(own.map(p => p.name)).not.toContain('uid');
+    await expect(db.schema.getProperties('Missing')).rejects.toThrow("Unknown type 'Missing'");
+  });
+
+  test('hasProperty', async () => {
+    expect(await db.schema.hasProperty('Card', 'uid')).toBe(true);
+    expect(await db.schema.hasProperty('Card', 'cloze_text')).toBe(false);
+    expect(await db.schema.hasProperty('Missing', 'uid')).toBe(false);
+  });
+
+  test('getIndexes reports uniqueness and fields', async () => {
+    const uid = (await db.schema.getIndexes('Base')).find(i => i.fields[0] === 'uid');
+    expect(uid).toMatchObject({ typeName: 'Base', unique: true, fields: ['uid'] });
+    const status = (await db.schema.getIndexes('Card')).find(i => i.fields[0] === 'status');
+    expect(status).toMatchObject({ typeName: 'Card', unique: false });
+    expect((await db.schema.getIndexes()).length).toBeGreaterThanOrEqual(2);
+  });
+});
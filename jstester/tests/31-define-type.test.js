@@ -0,0 +1,92 @@
+import { describe, test, expect, beforeAll, afterAll } from 'bun:test';
+import { client, uniqueDbName, cleanupDatabase } from './helpers.js';
+import { defineType, schemaDDL, string, integer, datetime, link, list, map, raw } from '../lib/index.js';
+
+const Deck = defineType('Deck', {
+  properties: {
+    uid: string().mandatory().notNull().unique(),
+    name: string().default('untitled')
+  }
+});
+
+const Card = defineType('Card', {
+  kind: 'vertex',
+  properties: {
+    uid: string().unique(),
+    deck: link('Deck').indexed(),
+    order: integer().min(0).max(1000),
+    words: list(string()),
+    options: map(),
+    createdAt: datetime().default(raw('sysdate()')).readOnly()
+  },
+  indexes: [{ fields: ['deck', 'order'], unique: true }]
+});
+
+describe('Define Type - DDL', () => {
+  test('generates idempotent DDL with link targets, constraints and indexes', () => {
+    expect(Card.toDDL()).toEqual([
+      'CREATE VERTEX TYPE Card IF NOT EXISTS',
+      'CREATE PROPERTY Card.uid IF NOT EXISTS STRING',
+      'CREATE PROPERTY Card.deck IF NOT EXISTS LINK OF Deck',
+      'CREATE PROPERTY Card.order IF NOT EXISTS INTEGER (min 0, max 1000)',
+      'CREATE PROPERTY Card.words IF NOT EXISTS LIST OF STRING',
+      'CREATE PROPERTY Card.options IF NOT EXISTS MAP',
+      'CREATE PROPERTY Card.createdAt IF NOT EXISTS DATETIME (default sysdate(), readonly true)',
+      'CREATE INDEX IF NOT EXISTS ON Card (uid) UNIQUE',
+      'CREATE INDEX IF NOT EXISTS ON Card (deck) NOTUNIQUE',
+      'CREATE INDEX IF NOT EXISTS ON Card (deck, order) UNIQUE'
+    ]);
+    expect(Deck.propertyDDL()).toEqual([
+      'CREATE PROPERTY Deck.uid IF NOT EXISTS STRING (mandatory true, notnull true)',
+      'CREATE PROPERTY Deck.name IF NOT EXISTS STRING (default "untitled")'
+    ]);
+  });
+
+  test('creates every type before properties, supertypes first', () => {
+    const Special = defineType('SpecialDeck', { extends: 'Deck' });
+    const ddl = schemaDDL([Card, Special, Deck]);
+    expect(ddl.slice(0, 3)).toEqual([
+      'CREATE VERTEX TYPE Card IF NOT EXISTS',
+      'CREATE DOCUMENT TYPE Deck IF NOT EXISTS',
+      'CREATE DOCUMENT TYPE SpecialDeck IF NOT EXISTS EXTENDS Deck'
+    ]);
+    expect(ddl[3]).toStartWith('CREATE PROPERTY');
+  });
+
+  test('rejects invalid definitions', () => {
+    expect(() => defineType('Card', { kind: 'table' })).toThrow("Unknown kind 'table'");
+    expect(() => defineType('Bad Name')).toThrow('Invalid type name');
+    expect(() => defineType('Card', { properties: { uid: 'STRING' } })).toThrow('expected a property definition');
+    expect(() => string().indexed('HASH')).toThrow("Unknown index type 'HASH'");
+    expect(() => link('Deck; DROP TYPE Card')).toThrow('Invalid type name');
+  });
+});
+
+describe('Define Type', () => {
+  const dbName = uniqueDbName('test_define_type');
+  const db = client.withDatabase(dbName);
+
+  beforeAll(async () => {
+    await cleanupDatabase(dbName);
+    await client.createDatabase(dbName);
+  });
+
+  afterAll(async () => {
+    await cleanupDatabase(dbName);
+  });
+
+  test('applySchema creates types, properties and indexes', async () => {
+    await db.applySchema([Card, Deck]);
+
+    const deck = await db.schema.getProperty('Card', 'deck');
+    expect(deck).toMatchObject({ type: 'LINK', ofType: 'Deck' });
+    expect((await db.schema.getProperty('Deck', 'uid')).mandatory).toBe(true);
+    const indexes = await db.schema.getIndexes('Card');
+    expect(indexes.some(i => i.unique && i.fields.join() === 'deck,order')).toBe(true);
+  });
+
+  test('applying again is a no-op', async () => {
+    await db.applySchema([Card, Deck]);
+    expect((await db.schema.getProperties('Card')).length).toBe(6);
+  });
+});
@@ -0,0 +1,147 @@
+import { describe, test, expect, beforeAll, afterAll } from 'bun:test';
+import { join } from 'node:path';
+import { client, uniqueDbName, cleanupDatabase } from './helpers.js';
+import { defineType, declaredSchema, diffSchema, migrationDDL, formatChange, string, integer, link, list } from '../lib/index.js';
+import { normalizeType, normalizeIndex } from '../lib/schema.js';
+import { Migrator } from '../examples/migrations/migrator.js';
+import { CMS_TYPES } from '../examples/cms-schema.js';
+
+const Deck = defineType('Deck', {
+  properties: { uid: string().unique(), name: string() }
+});
+
+const Card = defineType('Card', {
+  properties: {
+    uid: string().unique(),
+    deck: link('Deck').indexed(),
+    order: integer().min(0)
+  }
+});
+
+// What a database created by an older version of the schema would report
+const LIVE = {
+  types: [
+    normalizeType({ name: '_migrations', type: 'document', properties: [{ name: 'version', type: 'STRING' }] }),
+    normalizeType({
+      name: 'Card', type: 'document', properties: [
+        { name: 'uid', type: 'STRING' },
+        { name: 'deck', type: 'LINK', ofType: 'Deck' },
+        { name: 'order', type: 'INTEGER' },
+        { name: 'legacy', type: 'STRING' }
+      ]
+    })
+  ],
+  indexes: [
+    normalizeIndex({ name: 'Card[uid]', typeName: 'Card', type: 'LSM_TREE', unique: true, properties: ['uid'] })
+  ]
+};
+
+describe('Schema Diff - Changes', () => {
+  const changes = diffSchema(LIVE, declaredSchema([Deck, Card]));
+
+  test('lists added, removed and changed types, properties and indexes', () => {
+    expect(changes.map(formatChange)).toEqual([
+      '+ type Deck (document)',
+      '+ property Deck.uid STRING',
+      '+ property Deck.name STRING',
+      '~ property Card.order: min null -> 0',
+      '- property Card.legacy STRING',
+      '+ index Deck (uid) UNIQUE',
+      '+ index Card (deck) NOTUNIQUE'
+    ]);
+  });
+
+  test('builds up and down DDL in dependency order', () => {
+    const { up, down, notes } = migrationDDL(changes);
+    expect(up).toEqual([
+      'DROP PROPERTY Card.legacy',
+      'CREATE DOCUMENT TYPE Deck IF NOT EXISTS',
+      'CREATE PROPERTY Deck.uid IF NOT EXISTS STRING',
+      'CREATE PROPERTY Deck.name IF NOT EXISTS STRING',
+      'ALTER PROPERTY Card.order MIN 0',
+      'CREATE INDEX IF NOT EXISTS ON Deck (uid) UNIQUE',
+      'CREATE INDEX IF NOT EXISTS ON Card (deck) NOTUNIQUE'
+    ]);
+    expect(down).toEqual([
+      'DROP INDEX `Card[deck]`',
+      'DROP INDEX `Deck[uid]`',
+      'ALTER PROPERTY Card.order MIN null',
+      'DROP PROPERTY Deck.name',
+      'DROP PROPERTY Deck.uid',
+      'DROP TYPE Deck IF EXISTS',
+      'CREATE PROPERTY Card.legacy IF NOT EXISTS STRING'
+    ]);
+    expect(notes).toEqual([]);
+  });
+
+  test('no changes against itself', () => {
+    const declared = declaredSchema([Deck, Card]);
+    expect(diffSchema(declared, declared)).toEqual([]);
+  });
+
+  test('an OF type change re-creates the property and its indexes', () => {
+    const untyped = {
+      types: [normalizeType({ name: 'Card', type: 'document', properties: [{ name: 'deck', type: 'LINK' }] })],
+      indexes: [normalizeIndex({ name: 'Card[deck]', typeName: 'Card', type: 'LSM_TREE', unique: false, properties: ['deck'] })]
+    };
+    const typed = declaredSchema([defineType('Card', { properties: { deck: link('Deck').indexed() } })]);
+    const changes = diffSchema(untyped, typed);
+    expect(changes.map(formatChange)).toEqual(['~ property Card.deck: ofType null -> Deck']);
+
+    const { up, down, notes } = migrationDDL(changes);
+    expect(up).toEqual([
+      'DROP INDEX `Card[deck]`',
+      'DROP PROPERTY Card.deck',
+      'CREATE PROPERTY Card.deck IF NOT EXISTS LINK OF Deck',
+      'CREATE INDEX IF NOT EXISTS ON Card (deck) NOTUNIQUE'
+    ]);
+    expect(down).toEqual([
+      'DROP INDEX `Card[deck]`',
+      'DROP PROPERTY Card.deck',
+      'CREATE PROPERTY Card.deck IF NOT EXISTS LINK',
+      'CREATE INDEX IF NOT EXISTS ON Card (deck) NOTUNIQUE'
+    ]);
+    expect(notes).toEqual([]);
+  });
+
+  test('type changes without DDL become notes', () => {
+    const vertex = defineType('Card', { kind: 'vertex', properties: { uid: string().unique(), deck: link('Deck').indexed(), order: list() } });
+    const { notes } = migrationDDL(diffSchema(declaredSchema([Card]), declaredSchema([vertex])));
+    expect(notes).toHaveLength(2);
+    expect(notes[0]).toContain('Card: kind document -> vertex');
+    expect(notes[1]).toContain('Card.order: type INTEGER -> LIST');
+  });
+});
+
+describe('Schema Diff', () => {
+  const dbName = uniqueDbName('test_schema_diff');
+  const db = client.withDatabase(dbName);
+
+  beforeAll(async () => {
+    await cleanupDatabase(dbName);
+    await client.createDatabase(dbName);
+    await db.command('CREATE DOCUMENT TYPE Card');
+    await db.command('CREATE PROPERTY Card.uid STRING');
+    await db.command('CREATE PROPERTY Card.legacy STRING');
+  });
+
+  afterAll(async () => {
+    await cleanupDatabase(dbName);
+  });
+
+  test('diff against declared types, apply the migration, diff again', async () => {
+    const changes = await db.schema.diff([Deck, Card]);
+    expect(changes.map(formatChange)).toContain('- property Card.legacy STRING');
+
+    const { up } = migrationDDL(changes);
+    for (const sql of up) await db.command(sql);
+
+    expect(await db.schema.diff([Deck, Card])).toEqual([]);
+  });
+
+  test('the CMS migrations build exactly cms-schema.js', async () => {
+    const migrator = new Migrator(db, join(import.meta.dir, '../examples/migrations'));
+    const changes = await migrator.schemaDiff(CMS_TYPES, { fromMigrations: true });
+    expect(changes.map(formatChange)).toEqual([]);
+  });
+});
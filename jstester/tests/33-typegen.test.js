@@ -0,0 +1,92 @@
+import { describe, test, expect, beforeAll, afterAll } from 'bun:test';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { client, uniqueDbName, cleanupDatabase } from './helpers.js';
+import { defineType, declaredSchema, string, long, decimal, datetime, link, list, map } from '../lib/index.js';
+import { generateTypes, writeTypes } from '../lib/typegen.js';
+import { normalizeType } from '../lib/schema.js';
+import { declaredTypes } from '../examples/migrations/migrator.js';
+
+const Deck = defineType('Deck', {
+  properties: { uid: string().mandatory().notNull(), name: string() }
+});
+
+const Card = defineType('Card', {
+  kind: 'vertex',
+  properties: {
+    deck: link('Deck'),
+    anything: link(),
+    words: list(string()),
+    options: map(),
+    views: long(),
+    price: decimal(),
+    createdAt: datetime()
+  }
+});
+
+// Live schemas can hold names the DSL rejects
+const special = normalizeType({
+  name: 'SpecialCard', type: 'vertex', parentTypes: ['Card'], properties: [{ name: 'x-flag', type: 'STRING' }]
+});
+
+describe('Typegen - Output', () => {
+  const source = generateTypes([...declaredSchema([Deck, Card]).types, special], { importFrom: '../lib/index.js' });
+
+  test('one interface per type with decoded property types', () => {
+    expect(source).toContain("import type { Rid, Decimal } from '../lib/index.js';");
+    expect(source).toContain([
+      'export interface Card {',
+      "  '@rid': Rid<Card>;",
+      "  '@type': string;",
+      '  deck?: Rid<Deck> | null;',
+      '  anything?: Rid | null;',
+      '  words?: string[] | null;',
+      '  options?: Record<string, unknown> | null;',
+      '  views?: bigint | null;',
+      '  price?: Decimal | null;',
+      '  createdAt?: Date | null;',
+      '}'
+    ].join('\n'));
+  });
+
+  test('mandatory and notnull properties are required and non-null', () => {
+    expect(source).toContain('  uid: string;');
+  });
+
+  test('subtypes extend their supertype and quote odd names', () => {
+    expect(source).toContain("export interface SpecialCard extends Omit<Card, '@rid'> {");
+    expect(source).toContain("  'x-flag'?: string | null;");
+    expect(source).toContain('  SpecialCard: SpecialCard;');
+  });
+});
+
+describe('Typegen - Committed types', () => {
+  test('examples/types/cms.d.ts matches cms-schema.js (regenerate: migrator.js <db> declared-types)', async () => {
+    const file = join(import.meta.dir, '../examples/types/cms.d.ts');
+    expect(await Bun.file(file).text()).toBe(declaredTypes());
+  });
+});
+
+describe('Typegen', () => {
+  const dbName = uniqueDbName('test_typegen');
+  const db = client.withDatabase(dbName);
+  const file = join(tmpdir(), `${dbName}.d.ts`);
+
+  beforeAll(async () => {
+    await cleanupDatabase(dbName);
+    await client.createDatabase(dbName);
+    await db.applySchema([Deck, Card]);
+  });
+
+  afterAll(async () => {
+    await cleanupDatabase(dbName);
+  });
+
+  test('writes interfaces for the live schema', async () => {
+    const text = await writeTypes(db, file);
+    expect(await Bun.file(file).text()).toBe(text);
+    expect(text).toContain(`// Source: ${dbName}`);
+    expect(text).toContain('  deck?: Rid<Deck> | null;');
+    expect(text).toContain('  uid: string;');
+  });
+});
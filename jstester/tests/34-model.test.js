@@ -0,0 +1,156 @@
+import { describe, test, expect, beforeAll, afterAll } from 'bun:test';
+import { client, uniqueDbName, cleanupDatabase } from './helpers.js';
+import { Model, validators, ValidationError, defineType, string, integer, datetime, link } from '../lib/index.js';
+
+const { required, length, range, oneOf } = validators;
+
+class Deck extends Model {
+  static validations = { name: required() };
+}
+
+class Card extends Model {
+  static log = [];
+  static validations = {
+    text: [required(), length({ max: 20 })],
+    deck: required(),
+    order: range({ min: 0 }),
+    status: oneOf(['draft', 'published'])
+  };
+
+  beforeSave({ isNew }) {
+    if (typeof this.text === 'string') this.text = this.text.trim();
+    if (isNew) this.status ??= 'draft';
+  }
+
+  afterSave({ isNew }) {
+    Card.log.push(`${isNew ? 'created' : 'updated'} ${this.text}`);
+  }
+}
+
+const SCHEMA = [
+  defineType('Deck', { properties: { name: string(), createdAt: datetime(), updatedAt: datetime() } }),
+  defineType('Card', {
+    properties: {
+      text: string(), deck: link('Deck'), order: integer(), status: string(),
+      createdAt: datetime(), updatedAt: datetime()
+    }
+  })
+];
+
+describe('Model - Records', () => {
+  test('validations collect messages per field', () => {
+    const card = new Card({ text: 'x'.repeat(21), order: -1, status: 'gone' });
+    expect(card.validate()).toEqual({
+      text: ['is too long (max 20)'],
+      deck: ['is required'],
+      order: ['must be at least 0'],
+      status: ['must be one of draft, published']
+    });
+    expect(new Card({ text: 'Hola', deck: '#1:0' }).validate()).toEqual({});
+  });
+
+  test('save() throws ValidationError before anything is sent', async () => {
+    const error = await new Card({ text: '  ' }).save().catch(e => e);
+    expect(error).toBeInstanceOf(ValidationError);
+    expect(error.errors).toEqual({ text: ['is required'], deck: ['is required'] });
+    expect(error.message).toBe('Invalid Card: text is required; deck is required');
+  });
+
+  test('loaded records track changed fields', () => {
+    const card = Card.load({ '@rid': '#12:3', '@type': 'Card', text: 'Hola', words: ['hola'] });
+    expect(card.isNew).toBe(false);
+    expect(card.rid.toString()).toBe('#12:3');
+    expect(card.isDirty).toBe(false);
+
+    card.text = 'Hola';
+    card.words.push('amigo');
+    card.order = 2;
+    expect(card.changedFields()).toEqual(['words', 'order']);
+    expect(JSON.parse(JSON.stringify(card))).toEqual({
+      '@rid': '#12:3', '@type': 'Card', text: 'Hola', words: ['hola', 'amigo'], order: 2
+    });
+  });
+
+  test('with() binds a client and keeps the type name', () => {
+    const Bound = Card.with(client);
+    expect(Bound.db).toBe(client);
+    expect(Bound.typeName).toBe('Card');
+    expect(new Bound()).toBeInstanceOf(Card);
+    expect(Card.db).toBe(null);
+    expect(() => Card.client).toThrow('Card has no client');
+  });
+});
+
+describe('Model', () => {
+  const dbName = uniqueDbName('test_model');
+  const db = client.withDatabase(dbName);
+  const Decks = Deck.with(db);
+  const Cards = Card.with(db);
+
+  beforeAll(async () => {
+    await cleanupDatabase(dbName);
+    await client.createDatabase(dbName);
+    await db.applySchema(SCHEMA);
+  });
+
+  afterAll(async () => {
+    await cleanupDatabase(dbName);
+  });
+
+  test('create() inserts with timestamps and runs the hooks', async () => {
+    const deck = await Decks.create({ name: 'Greetings' });
+    const card = await Cards.create({ text: ' Hola ', deck: deck.rid, order: 1 });
+
+    expect(card.isNew).toBe(false);
+    expect(card['@rid']).toMatch(/^#\d+:\d+$/);
+    expect(card.text).toBe('Hola');
+    expect(card.status).toBe('draft');
+    expect(card.createdAt).toBeTruthy();
+    expect(card.updatedAt).toBeTruthy();
+    expect(Card.log).toContain('created Hola');
+  });
+
+  test('find(), where() and findBy()', async () => {
+    const deck = await Decks.findBy({ name: 'Greetings' });
+    await Cards.create({ text: 'Adiós', deck: deck.rid, order: 2 });
+
+    const cards = await Cards.where({ deck: deck.rid }, { orderBy: 'order' });
+    expect(cards.map(c => c.text)).toEqual(['Hola', 'Adiós']);
+    expect(cards[0]).toBeInstanceOf(Card);
+
+    const later = await Cards.where('`order` > :min', { min: 1 });
+    expect(later.map(c => c.text)).toEqual(['Adiós']);
+
+    const found = await Cards.find(cards[0].rid);
+    expect(found.text).toBe('Hola');
+    expect(await Cards.find(null)).toBe(null);
+  });
+
+  test('save() updates only changed fields and refreshes updatedAt', async () => {
+    const card = await Cards.findBy({ text: 'Hola' });
+    const { updatedAt } = card;
+    await Bun.sleep(20);
+
+    card.status = 'published';
+    expect(card.changedFields()).toEqual(['status']);
+    await card.save();
+    expect(card.isDirty).toBe(false);
+    expect(card.updatedAt).not.toBe(updatedAt);
+    expect(Card.log).toContain('updated Hola');
+
+    const stored = await Cards.find(card.rid);
+    expect(stored.status).toBe('published');
+  });
+
+  test('reload() and delete()', async () => {
+    const card = await Cards.findBy({ text: 'Adiós' });
+    card.text = 'changed';
+    await card.reload();
+    expect(card.text).toBe('Adiós');
+
+    const rid = card.rid;
+    await card.delete();
+    expect(card.isNew).toBe(true);
+    expect(await Cards.find(rid)).toBe(null);
+  });
+});
@@ -0,0 +1,93 @@
+import { describe, test, expect, beforeAll, afterAll } from 'bun:test';
+import { client, uniqueDbName, cleanupDatabase } from './helpers.js';
+import { Model, includeLinks, measureQueries, select, defineType, string, integer, link, list } from '../lib/index.js';
+
+class Deck extends Model {}
+class Card extends Model {}
+
+const SCHEMA = [
+  defineType('Track', { properties: { name: string() } }),
+  defineType('Deck', { properties: { name: string(), track: link('Track') } }),
+  defineType('Card', { properties: { text: string(), order: integer(), deck: link('Deck'), related: list(link()) } })
+];
+
+describe('Include - Records', () => {
+  test('loaded links count as their RID for dirty tracking and saving', () => {
+    const card = Card.load({ '@rid': '#12:3', text: 'Hola', deck: '#11:0', related: ['#12:4'] });
+    card.deck = { '@rid': '#11:0', name: 'Greetings' };
+    card.related = [{ '@rid': '#12:4', text: 'Adiós' }];
+    expect(card.changedFields()).toEqual([]);
+
+    card.deck = { '@rid': '#11:1', name: 'Farewells' };
+    expect(card.changedFields()).toEqual(['deck']);
+  });
+
+  test('rejects empty path segments', async () => {
+    await expect(includeLinks(client, [], ['deck..track'])).rejects.toThrow('Invalid include path: deck..track');
+  });
+});
+
+describe('Include', () => {
+  const dbName = uniqueDbName('test_include');
+  const db = client.withDatabase(dbName);
+  const Decks = Deck.with(db);
+  const Cards = Card.with(db);
+
+  beforeAll(async () => {
+    await cleanupDatabase(dbName);
+    await client.createDatabase(dbName);
+    await db.applySchema(SCHEMA);
+
+    const [track] = await db.command('INSERT INTO Track SET name = :name', { name: 'Basics' });
+    const greetings = await Decks.create({ name: 'Greetings', track: track['@rid'] });
+    const farewells = await Decks.create({ name: 'Farewells', track: track['@rid'] });
+    const hola = await Cards.create({ text: 'Hola', order: 1, deck: greetings.rid });
+    await Cards.create({ text: 'Adiós', order: 2, deck: farewells.rid, related: [hola.rid] });
+  });
+
+  afterAll(async () => {
+    await cleanupDatabase(dbName);
+  });
+
+  test('loads links and links of links with one query per level', async () => {
+    const { result: cards, queries } = await measureQueries(db, () =>
+      Cards.where({}, { orderBy: 'order' }).include('deck', 'deck.track', 'related').all()
+    );
+
+    expect(cards.map(c => c.deck.name)).toEqual(['Greetings', 'Farewells']);
+    expect(cards[0].deck.track).toBe(cards[1].deck.track);
+    expect(cards[0].deck.track.name).toBe('Basics');
+    expect(cards[1].related[0].text).toBe('Hola');
+    expect(queries).toHaveLength(3);
+  });
+
+  test('splits a level into chunkSize RIDs per query', async () => {
+    const rows = await db.query('SELECT FROM Card ORDER BY text');
+    const { queries } = await measureQueries(db, () => includeLinks(db, rows, ['deck'], { chunkSize: 1 }));
+    expect(rows.map(r => r.deck.name)).toEqual(['Farewells', 'Greetings']);
+    expect(queries).toHaveLength(2);
+  });
+
+  test('find() with include, and saving a record with loaded links', async () => {
+    const [first] = await Cards.where({ text: 'Hola' });
+    const card = await Cards.find(first.rid, { include: ['deck'] });
+    expect(card.deck.name).toBe('Greetings');
+
+    card.order = 5;
+    await card.save();
+    const [row] = await db.query('SELECT deck.name AS deckName, `order` FROM Card WHERE @rid = :rid', { rid: card.rid });
+    expect(row).toEqual({ deckName: 'Greetings', order: 5 });
+  });
+
+  test('plain rows and streamed pages', async () => {
+    const rows = await db.query('SELECT FROM Card ORDER BY text');
+    await includeLinks(db, rows, ['deck']);
+    expect(rows.map(r => r.deck.name)).toEqual(['Farewells', 'Greetings']);
+
+    const streamed = [];
+    for await (const row of db.stream(select().from('Card'), null, { pageSize: 1, include: ['deck.track'] })) {
+      streamed.push(row.deck.track.name);
+    }
+    expect(streamed).toEqual(['Basics', 'Basics']);
+  });
+});